@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+// Command-line GDPR scan for terminals and CI pipelines
+
+const fs = require('fs');
+
+const USAGE = `Usage: gdpr-check [options] <url...>
+
+Options:
+  -f, --file <path>      Read URLs from a file (one per line, # starts a comment)
+      --json             Print results as JSON instead of a summary
+      --min-score <n>    Fail when a score is below n (0-100)
+      --crawl            Crawl the site instead of checking a single page
+      --max-pages <n>    Page limit for --crawl (default 10)
+      --static           Fetch the HTML without a browser (fast, no banner or consent checks)
+      --profile <id>     Scoring profile (default, strict-cnil, eprivacy-only or a custom one)
+      --lang <code>      Language of findings and recommendations (sk, en, cs, de)
+      --no-screenshots   Skip banner and consent screenshots (smaller --json output)
+  -v, --verbose          Print scanner debug logs to stderr
+  -h, --help             Show this help
+
+Exit codes:
+  0  all scans passed
+  1  a score is below --min-score, a mandatory check of the profile failed
+     or a CRITICAL recommendation was produced
+  2  invalid arguments or a page could not be scanned`;
+
+function parseArgs(argv) {
+  const options = { urls: [], json: false, minScore: null, crawl: false, maxPages: null, engine: 'browser', profile: null, lang: null, screenshots: true, verbose: false, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    switch (arg) {
+      case '-f':
+      case '--file':
+        options.urls.push(...readUrlFile(value()));
+        break;
+      case '--json':
+        options.json = true;
+        break;
+      case '--min-score':
+        options.minScore = Number(value());
+        if (!Number.isFinite(options.minScore)) throw new Error('--min-score must be a number');
+        break;
+      case '--crawl':
+        options.crawl = true;
+        break;
+      case '--max-pages':
+        options.maxPages = parseInt(value(), 10);
+        break;
+      case '--static':
+        options.engine = 'static';
+        break;
+      case '--profile':
+        options.profile = value();
+        break;
+      case '--lang':
+        options.lang = value().toLowerCase();
+        break;
+      case '--no-screenshots':
+        options.screenshots = false;
+        break;
+      case '-v':
+      case '--verbose':
+        options.verbose = true;
+        break;
+      case '-h':
+      case '--help':
+        options.help = true;
+        break;
+      default:
+        if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}`);
+        options.urls.push(arg);
+    }
+  }
+
+  for (const url of options.urls) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      throw new Error(`Invalid URL: ${url}`);
+    }
+    if (!['http:', 'https:'].includes(parsed.protocol)) throw new Error(`Only HTTP and HTTPS URLs are supported: ${url}`);
+  }
+
+  return options;
+}
+
+function readUrlFile(file) {
+  return fs.readFileSync(file, 'utf8')
+    .split(/\r?\n/)
+    .map(line => line.replace(/#.*/, '').trim())
+    .filter(Boolean);
+}
+
+// Gate evaluation shared by the summary and the exit code
+function evaluate(result, minScore) {
+  const critical = (result.recommendations || []).filter(r => r.priority === 'CRITICAL');
+  const belowMinScore = minScore !== null && result.score < minScore;
+  const mandatoryFailures = result.scoring?.mandatoryFailures || [];
+  return {
+    error: result.error || null,
+    critical,
+    belowMinScore,
+    mandatoryFailures,
+    passed: !result.error && critical.length === 0 && !belowMinScore && mandatoryFailures.length === 0
+  };
+}
+
+function formatSummary(result, gate, minScore) {
+  const lines = [];
+  const status = gate.error ? 'ERROR' : gate.passed ? 'PASS' : 'FAIL';
+  const profile = result.scoring ? `  profile ${result.scoring.profile.id}` : '';
+  lines.push(`${status}  ${result.url}  score ${result.score}%${minScore !== null ? ` (min ${minScore}%)` : ''}${profile}`);
+
+  if (gate.error) {
+    lines.push(`  Error: ${gate.error}`);
+    return lines.join('\n');
+  }
+  if (result.limitations) {
+    lines.push(`  ${result.limitations.message}`);
+  }
+
+  for (const [name, check] of Object.entries(result.checks || {})) {
+    if (typeof check.score !== 'number') continue;
+    const found = typeof check.found === 'boolean' ? (check.found ? 'found' : 'not found') : '';
+    lines.push(`  ${name.padEnd(24)} ${String(check.score).padStart(3)}%  ${found}`.trimEnd());
+  }
+
+  for (const failure of gate.mandatoryFailures) {
+    const score = failure.notEvaluated ? 'not evaluated' : `${failure.score}%`;
+    lines.push(`  Mandatory check failed: ${failure.check} ${score} (min ${failure.minScore}%)${failure.url ? ` on ${failure.url}` : ''}`);
+  }
+
+  if (result.site) {
+    lines.push(`  Pages scanned: ${result.site.pagesScanned}, failed: ${result.site.pagesFailed}, lowest score: ${result.site.minScore}%`);
+  }
+  if ((result.thirdPartyServices || []).length > 0) {
+    lines.push(`  Trackers before consent: ${result.thirdPartyServices.map(s => s.name).join(', ')}`);
+  }
+
+  for (const rec of result.recommendations || []) {
+    if (['CRITICAL', 'HIGH'].includes(rec.priority)) lines.push(`  [${rec.priority}] ${rec.message}`);
+  }
+
+  return lines.join('\n');
+}
+
+async function main() {
+  let options;
+  try {
+    options = parseArgs(process.argv.slice(2));
+  } catch (error) {
+    console.error(`gdpr-check: ${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+  if (options.urls.length === 0) {
+    console.error(`gdpr-check: no URLs given\n\n${USAGE}`);
+    return 2;
+  }
+
+  const { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, localizeResult } = require('../lib/i18n');
+  if (options.lang && !SUPPORTED_LANGUAGES.includes(options.lang)) {
+    console.error(`gdpr-check: unsupported language ${options.lang} (available: ${SUPPORTED_LANGUAGES.join(', ')})`);
+    return 2;
+  }
+
+  const { loadScoringProfiles } = require('../lib/scoring');
+  const profiles = loadScoringProfiles();
+  if (options.profile && !profiles.has(options.profile)) {
+    console.error(`gdpr-check: unknown scoring profile ${options.profile} (available: ${profiles.list().map(p => p.id).join(', ')})`);
+    return 2;
+  }
+
+  // Library modules log with console.log; keep stdout for the report (and valid JSON)
+  const log = console.log;
+  console.log = options.verbose ? (...args) => console.error(...args) : () => {};
+
+  const { GDPRChecker } = require('../server');
+  const checker = new GDPRChecker();
+  checker.debug = options.verbose;
+
+  const reports = [];
+  for (const url of options.urls) {
+    if (!options.json) console.error(`Scanning ${url}...`);
+
+    const scanOptions = { skipScreenshots: !options.screenshots, profile: options.profile, engine: options.engine };
+    const result = localizeResult(options.crawl
+      ? await checker.checkSite(url, { maxPages: options.maxPages }, scanOptions)
+      : await checker.checkUrl(url, scanOptions), options.lang || DEFAULT_LANGUAGE);
+    const gate = evaluate(result, options.minScore);
+    reports.push({ result, gate });
+
+    if (!options.json) log(`${formatSummary(result, gate, options.minScore)}\n`);
+  }
+
+  await checker.close();
+
+  if (options.json) {
+    const output = reports.map(({ result, gate }) => ({
+      ...result,
+      gate: {
+        passed: gate.passed,
+        belowMinScore: gate.belowMinScore,
+        critical: gate.critical.length,
+        mandatoryFailures: gate.mandatoryFailures.length
+      }
+    }));
+    log(JSON.stringify(output.length === 1 ? output[0] : output, null, 2));
+  }
+
+  if (reports.some(r => r.gate.error)) return 2;
+  return reports.every(r => r.gate.passed) ? 0 : 1;
+}
+
+main()
+  .then(code => {
+    process.exitCode = code;
+  })
+  .catch(error => {
+    console.error(`gdpr-check: ${error.stack || error.message}`);
+    process.exitCode = 2;
+  });
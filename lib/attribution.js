@@ -0,0 +1,182 @@
+// Request attribution: initiator chains (who loaded which tracker) and Google Tag Manager containers
+
+const { text, ref } = require('./i18n');
+
+// Script URLs kept per initiator stack; the top frames are the ones that matter
+const MAX_STACK_SCRIPTS = 5;
+// Loader chains longer than this are cut off (and guard against initiator cycles)
+const MAX_CHAIN_LENGTH = 10;
+
+// Container IDs in snippets and <noscript> iframes (ns.html?id=GTM-XXXX)
+const GTM_ID_PATTERN = /\bGTM-[A-Z0-9]{4,10}\b/g;
+// Keys of window.google_tag_manager besides internal ones like "dataLayer"
+const TAG_ID_PATTERN = /^(?:GTM|G|AW|DC|GT)-[A-Z0-9]+$/;
+
+// Compact form of CDP Network.Initiator (HTTPRequest.initiator()): type, the initiating document or script
+// and the script URLs of the call stack, including async parents (setTimeout, promises)
+function summarizeInitiator(initiator) {
+  if (!initiator) return null;
+
+  const scripts = [];
+  for (let stack = initiator.stack; stack && scripts.length < MAX_STACK_SCRIPTS; stack = stack.parent) {
+    for (const frame of stack.callFrames || []) {
+      if (frame.url && !scripts.includes(frame.url)) scripts.push(frame.url);
+    }
+  }
+
+  return {
+    type: initiator.type,
+    url: scripts[0] || initiator.url || null,
+    scripts: scripts.slice(0, MAX_STACK_SCRIPTS)
+  };
+}
+
+// GTM container or gtag.js tag ID loaded by a script URL; paths only, so server-side GTM on a custom domain counts too
+function tagManagerScript(url) {
+  try {
+    const { pathname, searchParams } = new URL(url);
+    const id = searchParams.get('id');
+    if (!id) return null;
+    if (pathname.endsWith('/gtm.js')) return { id, type: 'gtm' };
+    if (pathname.endsWith('/gtag/js')) return { id, type: 'gtag' };
+  } catch {}
+  return null;
+}
+
+function tagType(id) {
+  return id.startsWith('GTM-') ? 'gtm' : 'gtag';
+}
+
+// Walks from a request up through the scripts that loaded it until a document (page or iframe) is reached
+function initiatorChain(request, byUrl, isDocument) {
+  const chain = [];
+  const seen = new Set([request.url]);
+  let current = request;
+
+  while (current?.initiator?.url && chain.length < MAX_CHAIN_LENGTH) {
+    const url = current.initiator.url;
+    if (seen.has(url)) break;
+    seen.add(url);
+
+    const document = isDocument(url);
+    chain.push({ url, initiatorType: current.initiator.type, document });
+    if (document) break;
+    current = byUrl.get(url);
+  }
+
+  return chain;
+}
+
+// How a chain step started the next one: the page HTML, an inline script of the page or a script URL
+function describeStep(step) {
+  if (!step) return ref(text('attribution.unknown'));
+  if (step.document) return ref(text(step.initiatorType === 'parser' ? 'attribution.html' : 'attribution.inline'));
+  return step.url;
+}
+
+// Attributes every consent-requiring tracker seen in the requests to the script that loaded it and collects
+// the tag manager containers of the page with the tags they fired
+function analyzeAttribution(requests, { pageUrl, trackerDb, html = '', tagManagerGlobals = [] }) {
+  const byUrl = new Map();
+  for (const request of requests) {
+    if (!byUrl.has(request.url)) byUrl.set(request.url, request);
+  }
+  const isDocument = url => url === pageUrl || byUrl.get(url)?.type === 'document';
+
+  const describe = step => {
+    const tracker = trackerDb.matchUrl(step.url);
+    return {
+      ...step,
+      trackerId: tracker?.id || null,
+      service: tracker?.name || null,
+      container: step.document ? null : tagManagerScript(step.url)?.id || null
+    };
+  };
+
+  const firstRequests = new Map();
+  for (const request of requests) {
+    const tracker = trackerDb.matchUrl(request.url);
+    if (!tracker || !tracker.consentRequired) continue;
+
+    const entry = firstRequests.get(tracker.id);
+    if (entry) {
+      entry.count++;
+    } else {
+      firstRequests.set(tracker.id, { tracker, request, count: 1 });
+    }
+  }
+
+  const services = [...firstRequests.values()].map(({ tracker, request, count }) => {
+    const chain = initiatorChain(request, byUrl, isDocument).map(describe);
+    // Steps inside the tracker itself (fbevents.js loading facebook.com/tr) are not the loader
+    const loaderIndex = chain.findIndex(step => step.trackerId !== tracker.id);
+    const loader = loaderIndex >= 0 && !chain[loaderIndex].document ? chain[loaderIndex] : null;
+    const trigger = loader ? chain[loaderIndex + 1] || null : chain[loaderIndex] || null;
+    const container = chain.find(step => step.container)?.container || null;
+
+    let message;
+    if (chain.length === 0) {
+      message = text('attribution.unattributed', { service: tracker.name });
+    } else if (loader?.container) {
+      message = text('attribution.container', { service: tracker.name, container: loader.container, trigger: describeStep(trigger) });
+    } else if (loader) {
+      message = text('attribution.loader', { service: tracker.name, loader: loader.service || loader.url, trigger: describeStep(trigger) });
+    } else {
+      message = text('attribution.direct', { service: tracker.name, trigger: describeStep(trigger) });
+    }
+
+    return {
+      id: tracker.id,
+      service: tracker.name,
+      category: tracker.category,
+      requests: count,
+      url: request.url,
+      loadedBy: loader ? { url: loader.url, service: loader.service, container: loader.container } : null,
+      trigger: trigger ? { url: trigger.document ? null : trigger.url, type: trigger.document ? trigger.initiatorType : 'script' } : null,
+      container,
+      chain: chain.map(step => step.url),
+      ...message
+    };
+  });
+
+  const containers = new Map();
+  const addContainer = (id, type, source, url = null) => {
+    const existing = containers.get(id);
+    if (existing) {
+      if (!existing.sources.includes(source)) existing.sources.push(source);
+      existing.url = existing.url || url;
+    } else {
+      containers.set(id, { id, type, url, sources: [source] });
+    }
+  };
+  for (const request of requests) {
+    const script = tagManagerScript(request.url);
+    if (script) addContainer(script.id, script.type, 'request', request.url);
+  }
+  for (const id of new Set(String(html).match(GTM_ID_PATTERN) || [])) addContainer(id, 'gtm', 'html');
+  for (const id of tagManagerGlobals.filter(key => TAG_ID_PATTERN.test(key))) addContainer(id, tagType(id), 'global');
+
+  // A container only found in the HTML did not run before consent (e.g. its snippet is blocked by the CMP)
+  const containerList = [...containers.values()].map(container => {
+    const tags = services
+      .filter(service => [service.url, ...service.chain].some(url => tagManagerScript(url)?.id === container.id))
+      .map(service => ({ service: service.service, category: service.category, requests: service.requests }));
+    return { ...container, loaded: container.sources.some(source => source !== 'html'), tags };
+  });
+
+  return {
+    services,
+    containers: containerList,
+    summary: {
+      services: services.length,
+      viaTagManager: services.filter(service => service.container).length,
+      containers: containerList.length
+    }
+  };
+}
+
+module.exports = {
+  summarizeInitiator,
+  tagManagerScript,
+  analyzeAttribution
+};
@@ -0,0 +1,368 @@
+// Cookie banner presentation analysis: rendered visibility and deceptive design patterns (EDPB Guidelines 03/2022)
+
+const { text } = require('./i18n');
+
+// "By continuing to browse you accept cookies" - consent implied by inactivity is not valid consent
+const IMPLICIT_CONSENT_PATTERNS = [
+  /by (?:continuing|using|browsing|staying|scrolling)[^.]{0,80}(?:you )?(?:agree|accept|consent)/i,
+  /(?:pokračovaním|ďalším používaním|používaním|prehliadaním|zotrvaním)[^.]{0,80}(?:súhlasíte|vyjadrujete súhlas|akceptujete|dávate súhlas)/i,
+  /(?:pokračováním|dalším používáním|používáním|procházením|setrváním)[^.]{0,80}(?:souhlasíte|vyjadřujete souhlas|akceptujete|dáváte souhlas)/i,
+  /(?:durch die weitere nutzung|wenn sie (?:diese|die) (?:website|seite) weiter)[^.]{0,80}(?:stimmen|akzeptieren|einverstanden)/i
+];
+
+// Purposes labelled as necessary may legitimately be switched on
+const NECESSARY_LABEL = /necessary|essential|required|nevyhnutn|nutn|nezbytn|notwendig|erforderlich|technick/i;
+
+// Attribute marking the banner element chosen for the element screenshot
+const BANNER_MARKER = 'data-gdpr-checker-banner';
+
+// Runs inside the page; must stay self-contained. Measures every banner candidate on the
+// rendered page: a <div class="cookie-..."> in the HTML is not proof that anybody sees it
+function collectBannerVisibility(selectors, marker) {
+  const viewport = { width: window.innerWidth, height: window.innerHeight };
+  const elements = [];
+  const seen = new Set();
+
+  const effectiveZIndex = (el) => {
+    for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+      const z = window.getComputedStyle(node).zIndex;
+      if (z !== 'auto') return parseInt(z, 10);
+    }
+    return null;
+  };
+
+  // Sample a few points: pointer-events: none wrappers let elementFromPoint fall through
+  const isOnTop = (el, rect) => {
+    const left = Math.max(rect.left, 0);
+    const right = Math.min(rect.right, viewport.width);
+    const top = Math.max(rect.top, 0);
+    const bottom = Math.min(rect.bottom, viewport.height);
+    const points = [[0.5, 0.5], [0.2, 0.2], [0.8, 0.2], [0.2, 0.8], [0.8, 0.8]];
+    return points.some(([x, y]) => {
+      const hit = document.elementFromPoint(left + (right - left) * x, top + (bottom - top) * y);
+      return hit && (el === hit || el.contains(hit) || hit.contains(el));
+    });
+  };
+
+  for (const selector of selectors) {
+    let matches;
+    try {
+      matches = document.querySelectorAll(selector);
+    } catch {
+      continue;
+    }
+
+    for (const el of Array.from(matches).slice(0, 5)) {
+      if (seen.has(el)) continue;
+      seen.add(el);
+
+      const text = (el.innerText || el.textContent || '').replace(/\s+/g, ' ').trim().toLowerCase();
+      if (text.length <= 10) continue;
+
+      const style = window.getComputedStyle(el);
+      const rect = el.getBoundingClientRect();
+      const rendered = rect.width > 0 && rect.height > 0 &&
+        (typeof el.checkVisibility === 'function'
+          ? el.checkVisibility({ opacityProperty: true, visibilityProperty: true })
+          : style.display !== 'none' && style.visibility !== 'hidden' && parseFloat(style.opacity) > 0);
+      const inViewport = rect.bottom > 0 && rect.right > 0 && rect.top < viewport.height && rect.left < viewport.width;
+      const onTop = rendered && inViewport && isOnTop(el, rect);
+
+      const reasons = [];
+      if (!rendered) reasons.push(rect.width === 0 || rect.height === 0 ? 'zero-size' : 'hidden-by-css');
+      else if (!inViewport) reasons.push('outside-viewport');
+      else if (!onTop) reasons.push('covered');
+
+      elements.push({
+        el,
+        selector,
+        text: text.substring(0, 100),
+        visible: reasons.length === 0,
+        reasons,
+        box: { x: Math.round(rect.left), y: Math.round(rect.top), width: Math.round(rect.width), height: Math.round(rect.height) },
+        display: style.display,
+        opacity: parseFloat(style.opacity),
+        zIndex: effectiveZIndex(el),
+        inViewport
+      });
+    }
+  }
+
+  // Screenshot the outermost visible candidate, not a button inside it
+  const visible = elements.filter(e => e.visible);
+  const target = visible.find(e => !visible.some(other => other !== e && other.el.contains(e.el)));
+  if (target) target.el.setAttribute(marker, '');
+
+  return {
+    viewport,
+    elements: elements.map(({ el, ...info }) => info)
+  };
+}
+
+// Runs inside the page; must stay self-contained
+function collectBannerState(containerSelectors, patternSources, necessarySource) {
+  const isVisible = (el) => {
+    const rect = el.getBoundingClientRect();
+    const style = window.getComputedStyle(el);
+    return rect.width > 0 && rect.height > 0 &&
+      style.visibility !== 'hidden' && style.display !== 'none' && parseFloat(style.opacity) > 0;
+  };
+  const necessary = new RegExp(necessarySource, 'i');
+
+  const containers = [];
+  for (const selector of containerSelectors) {
+    try {
+      document.querySelectorAll(selector).forEach(el => {
+        if (!containers.includes(el) && (el.innerText || el.textContent || '').trim().length > 10) containers.push(el);
+      });
+    } catch {}
+  }
+  // Nested matches (e.g. #onetrust-consent-sdk > #onetrust-banner-sdk) would be counted twice
+  const roots = containers.filter(el => !containers.some(other => other !== el && other.contains(el)));
+  const visibleRoots = roots.filter(isVisible);
+
+  // Pre-ticked purposes: hidden second layers count too, their defaults apply on "save"
+  const preTicked = [];
+  for (const root of roots) {
+    const toggles = root.querySelectorAll('input[type="checkbox"], [role="switch"], [role="checkbox"]');
+    toggles.forEach(el => {
+      const checked = el.tagName === 'INPUT' ? el.checked : el.getAttribute('aria-checked') === 'true';
+      const disabled = el.disabled || el.getAttribute('aria-disabled') === 'true';
+      if (!checked || disabled) return;
+
+      const labelEl = (el.id && document.querySelector(`label[for="${CSS.escape(el.id)}"]`)) || el.closest('label');
+      const label = ((labelEl && labelEl.innerText) || el.getAttribute('aria-label') || el.name || el.parentElement?.innerText || '')
+        .replace(/\s+/g, ' ').trim().slice(0, 80);
+      if (!necessary.test(label)) preTicked.push(label || el.id || '?');
+    });
+  }
+
+  const bannerText = visibleRoots.map(el => el.innerText).join('\n');
+  const searchText = (bannerText || document.body.innerText || '').slice(0, 20000);
+  let implicitConsent = null;
+  for (const source of patternSources) {
+    const match = searchText.match(new RegExp(source, 'i'));
+    if (match) {
+      implicitConsent = match[0].replace(/\s+/g, ' ').trim().slice(0, 200);
+      break;
+    }
+  }
+
+  // Largest fixed/sticky layer, as a share of the viewport
+  const viewportArea = window.innerWidth * window.innerHeight;
+  let overlayCoverage = 0;
+  const elements = document.body.querySelectorAll('*');
+  for (let i = 0; i < elements.length && i < 5000; i++) {
+    const el = elements[i];
+    const style = window.getComputedStyle(el);
+    if (style.position !== 'fixed' && style.position !== 'sticky') continue;
+    if (!isVisible(el)) continue;
+
+    const rect = el.getBoundingClientRect();
+    const width = Math.max(0, Math.min(rect.right, window.innerWidth) - Math.max(rect.left, 0));
+    const height = Math.max(0, Math.min(rect.bottom, window.innerHeight) - Math.max(rect.top, 0));
+    overlayCoverage = Math.max(overlayCoverage, (width * height) / viewportArea);
+  }
+
+  const htmlStyle = window.getComputedStyle(document.documentElement);
+  const bodyStyle = window.getComputedStyle(document.body);
+  const scrollLocked = htmlStyle.overflow === 'hidden' || htmlStyle.overflowY === 'hidden' ||
+    bodyStyle.overflow === 'hidden' || bodyStyle.overflowY === 'hidden' || bodyStyle.position === 'fixed';
+
+  return {
+    bannerVisible: visibleRoots.length > 0,
+    preTicked,
+    implicitConsent,
+    overlayCoverage: Math.round(overlayCoverage * 100) / 100,
+    scrollLocked
+  };
+}
+
+// Runs inside the page on a button element; must stay self-contained
+function collectButtonStyle(el) {
+  const parse = (value) => {
+    const m = (value || '').match(/rgba?\(([\d.]+),\s*([\d.]+),\s*([\d.]+)(?:,\s*([\d.]+))?\)/);
+    return m ? { r: +m[1], g: +m[2], b: +m[3], a: m[4] === undefined ? 1 : +m[4] } : null;
+  };
+
+  // Effective background: first ancestor with a non-transparent background colour
+  let background = null;
+  for (let node = el; node && node.nodeType === 1; node = node.parentElement) {
+    const color = parse(window.getComputedStyle(node).backgroundColor);
+    if (color && color.a > 0.5) {
+      background = color;
+      break;
+    }
+  }
+
+  let surrounding = null;
+  for (let node = el.parentElement; node && node.nodeType === 1; node = node.parentElement) {
+    const color = parse(window.getComputedStyle(node).backgroundColor);
+    if (color && color.a > 0.5) {
+      surrounding = color;
+      break;
+    }
+  }
+
+  const style = window.getComputedStyle(el);
+  const rect = el.getBoundingClientRect();
+  const own = parse(style.backgroundColor);
+
+  return {
+    width: Math.round(rect.width),
+    height: Math.round(rect.height),
+    fontSize: parseFloat(style.fontSize) || 0,
+    fontWeight: parseInt(style.fontWeight, 10) || 400,
+    color: parse(style.color),
+    background: background || { r: 255, g: 255, b: 255, a: 1 },
+    surrounding: surrounding || { r: 255, g: 255, b: 255, a: 1 },
+    filled: !!own && own.a > 0.5,
+    bordered: parseFloat(style.borderTopWidth) > 0 && style.borderTopStyle !== 'none'
+  };
+}
+
+function relativeLuminance({ r, g, b }) {
+  const channel = (value) => {
+    const c = value / 255;
+    return c <= 0.03928 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  };
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+}
+
+// WCAG 2.x contrast ratio, 1 (none) to 21 (black on white)
+function contrastRatio(a, b) {
+  if (!a || !b) return null;
+  const [light, dark] = [relativeLuminance(a), relativeLuminance(b)].sort((x, y) => y - x);
+  return Math.round(((light + 0.05) / (dark + 0.05)) * 100) / 100;
+}
+
+// How much a button stands out: a filled button differing from its surroundings beats a bare text link
+function prominence(button) {
+  const fill = button.filled ? contrastRatio(button.background, button.surrounding) : 1;
+  return (button.filled ? 2 : button.bordered ? 1 : 0) + Math.min(fill, 5) / 5;
+}
+
+function checkButtonParity(accept, reject) {
+  if (!accept || !reject) return null;
+
+  const issues = [];
+  let score = 100;
+
+  const acceptArea = accept.style.width * accept.style.height;
+  const rejectArea = Math.max(1, reject.style.width * reject.style.height);
+  const areaRatio = Math.round((acceptArea / rejectArea) * 100) / 100;
+  if (areaRatio >= 2) {
+    score -= 40;
+    issues.push(text('banner.button-parity.larger', { accept: accept.text, reject: reject.text, ratio: areaRatio }));
+  } else if (areaRatio >= 1.4) {
+    score -= 20;
+    issues.push(text('banner.button-parity.larger', { accept: accept.text, reject: reject.text, ratio: areaRatio }));
+  }
+
+  const rejectContrast = contrastRatio(reject.style.color, reject.style.background);
+  const acceptContrast = contrastRatio(accept.style.color, accept.style.background);
+  if (rejectContrast !== null && rejectContrast < 3) {
+    score -= 30;
+    issues.push(text('banner.button-parity.lowContrast', { reject: reject.text, ratio: rejectContrast }));
+  }
+
+  if (prominence(accept.style) - prominence(reject.style) >= 1.5) {
+    score -= 30;
+    issues.push(text('banner.button-parity.lessProminent', { accept: accept.text, reject: reject.text }));
+  }
+
+  if (accept.style.fontSize - reject.style.fontSize >= 3) {
+    score -= 10;
+    issues.push(text('banner.button-parity.smallerFont', { reject: reject.text, rejectSize: reject.style.fontSize, acceptSize: accept.style.fontSize }));
+  }
+
+  return {
+    score: Math.max(0, score),
+    issues,
+    metrics: { areaRatio, acceptContrast, rejectContrast, acceptFilled: accept.style.filled, rejectFilled: reject.style.filled }
+  };
+}
+
+// Turns the collected page state into scored sub-checks
+function evaluateBannerDesign({ state, accept, reject }) {
+  const subChecks = [];
+
+  subChecks.push({
+    id: 'reject-first-layer',
+    ...text('banner.reject-first-layer.label', {}, 'label'),
+    passed: !!reject,
+    score: reject ? 100 : 0,
+    severity: 'HIGH',
+    ...(reject
+      ? text('banner.reject-first-layer.available', { button: reject.text }, 'details')
+      : text('banner.reject-first-layer.missing', {}, 'details'))
+  });
+
+  const parity = checkButtonParity(accept, reject);
+  if (parity) {
+    subChecks.push({
+      id: 'button-parity',
+      ...text('banner.button-parity.label', {}, 'label'),
+      passed: parity.issues.length === 0,
+      score: parity.score,
+      severity: parity.score < 60 ? 'HIGH' : 'MEDIUM',
+      ...(parity.issues.length
+        ? text('banner.button-parity.issues', { issues: parity.issues.map(issue => ({ messageId: issue.messageId, params: issue.params })) }, 'details')
+        : text('banner.button-parity.equal', {}, 'details')),
+      metrics: parity.metrics
+    });
+  }
+
+  subChecks.push({
+    id: 'pre-ticked-purposes',
+    ...text('banner.pre-ticked-purposes.label', {}, 'label'),
+    passed: state.preTicked.length === 0,
+    score: state.preTicked.length === 0 ? 100 : 0,
+    severity: 'HIGH',
+    ...(state.preTicked.length
+      ? text('banner.pre-ticked-purposes.found', { purposes: state.preTicked }, 'details')
+      : text('banner.pre-ticked-purposes.none', {}, 'details'))
+  });
+
+  subChecks.push({
+    id: 'implicit-consent',
+    ...text('banner.implicit-consent.label', {}, 'label'),
+    passed: !state.implicitConsent,
+    score: state.implicitConsent ? 0 : 100,
+    severity: 'HIGH',
+    ...(state.implicitConsent
+      ? text('banner.implicit-consent.found', { text: state.implicitConsent }, 'details')
+      : text('banner.implicit-consent.none', {}, 'details'))
+  });
+
+  // A full-screen layer with scrolling disabled and no way to refuse is a cookie wall
+  const blocking = state.overlayCoverage >= 0.8 && state.scrollLocked;
+  const cookieWall = blocking && !reject;
+  subChecks.push({
+    id: 'cookie-wall',
+    ...text('banner.cookie-wall.label', {}, 'label'),
+    passed: !cookieWall,
+    score: cookieWall ? 0 : 100,
+    severity: 'HIGH',
+    ...(cookieWall
+      ? text('banner.cookie-wall.found', { coverage: Math.round(state.overlayCoverage * 100) }, 'details')
+      : blocking
+        ? text('banner.cookie-wall.blocking', {}, 'details')
+        : text('banner.cookie-wall.none', {}, 'details'))
+  });
+
+  const score = Math.round(subChecks.reduce((sum, check) => sum + check.score, 0) / subChecks.length);
+  return { analyzed: true, score, subChecks };
+}
+
+module.exports = {
+  BANNER_MARKER,
+  IMPLICIT_CONSENT_PATTERNS,
+  NECESSARY_LABEL,
+  collectBannerVisibility,
+  collectBannerState,
+  collectButtonStyle,
+  contrastRatio,
+  checkButtonParity,
+  evaluateBannerDesign
+};
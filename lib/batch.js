@@ -0,0 +1,352 @@
+// Batch scans: URL lists from JSON or CSV, run through the scan queue with a per-batch concurrency limit
+
+const crypto = require('crypto');
+const { text, translate } = require('./i18n');
+
+const DEFAULT_CONCURRENCY = 2;
+const MAX_CONCURRENCY = 5;
+const DEFAULT_MAX_URLS = 200;
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;
+const QUEUE_RETRY_MS = 5000;
+const PRIORITY_ORDER = ['CRITICAL', 'HIGH', 'MEDIUM', 'LOW'];
+
+// Header names recognized as the URL column of an uploaded CSV
+const URL_COLUMNS = ['url', 'urls', 'website', 'web', 'webstránka', 'webstranka', 'stránka', 'stranka', 'domain', 'doména', 'domena', 'site', 'adresa'];
+
+const EXPORT_COLUMNS = [
+  'url', 'status', 'score', 'bannerFound', 'policyFound', 'trackerCount', 'preConsentViolations', 'topRecommendation', 'scanId', 'error'
+];
+
+// Delimiter with the most occurrences in the first line; spreadsheets export ";" in locales with a decimal comma
+function detectDelimiter(line) {
+  const counts = [',', ';', '\t'].map(delimiter => ({ delimiter, count: line.split(delimiter).length - 1 }));
+  const best = counts.sort((a, b) => b.count - a.count)[0];
+  return best.count > 0 ? best.delimiter : ',';
+}
+
+// RFC 4180 fields: quoted values may contain delimiters, doubled quotes and line breaks
+function parseCsv(input) {
+  const source = String(input).replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(source.split(/\r?\n/, 1)[0]);
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field.trim() === '') {
+      quoted = true;
+      field = '';
+    } else if (char === delimiter) {
+      row.push(field.trim());
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field.trim());
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field !== '' || row.length > 0) {
+    row.push(field.trim());
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(Boolean));
+}
+
+// Bare domains from spreadsheets ("example.com") are scanned over HTTPS; a single word
+// ("Client", "n/a") is a note in the cell, not a host
+function normalizeTarget(value) {
+  const raw = String(value || '').trim();
+  if (!raw) return null;
+
+  try {
+    const url = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `https://${raw}`);
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    if (!url.hostname.includes('.') && !url.hostname.startsWith('[') && url.hostname !== 'localhost') return null;
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+// URLs from a CSV (header row optional) or a JSON list of strings / { url } objects, deduplicated
+function parseUrlList(input) {
+  let values = [];
+
+  if (typeof input === 'string') {
+    const rows = parseCsv(input);
+    const header = rows.length > 0 ? rows[0].map(cell => cell.toLowerCase()) : [];
+    const column = header.findIndex(cell => URL_COLUMNS.includes(cell));
+    values = (column >= 0 ? rows.slice(1) : rows).map(cells => cells[Math.max(column, 0)]);
+  } else if (Array.isArray(input)) {
+    values = input.map(item => (item && typeof item === 'object' ? item.url : item));
+  }
+
+  const urls = [];
+  const invalid = [];
+  for (const value of values) {
+    if (value === undefined || value === null || String(value).trim() === '') continue;
+    const url = normalizeTarget(value);
+    if (!url) {
+      invalid.push(String(value).trim());
+    } else if (!urls.includes(url)) {
+      urls.push(url);
+    }
+  }
+
+  return { urls, invalid };
+}
+
+// The summary table row of one scan result; crawls count violations over all scanned pages
+function summarizeResult(result) {
+  if (!result) return {};
+
+  const checks = result.checks || {};
+  const pages = result.mode === 'crawl' ? (result.pages || []).filter(page => !page.error) : [result];
+  const recommendations = result.recommendations || [];
+  const rank = priority => {
+    const index = PRIORITY_ORDER.indexOf(priority);
+    return index >= 0 ? index : PRIORITY_ORDER.length;
+  };
+  const top = recommendations.reduce((best, rec) => (!best || rank(rec.priority) < rank(best.priority) ? rec : best), null);
+
+  return {
+    scanId: result.scanId || null,
+    score: typeof result.score === 'number' ? result.score : null,
+    passed: result.scoring ? result.scoring.passed : null,
+    // Static scans do not look for a banner; null keeps that apart from "not found"
+    bannerFound: checks.cookieBanner ? !!checks.cookieBanner.found : null,
+    policyFound: !!checks.privacyPolicy?.found,
+    trackerCount: (result.thirdPartyServices || []).length,
+    preConsentViolations: pages.reduce((sum, page) => sum + (page.checks?.preConsentViolations?.violations || []).length, 0),
+    topRecommendation: top
+  };
+}
+
+function csvCell(value, delimiter) {
+  let cell = value === null || value === undefined ? '' : String(value);
+  // Spreadsheets evaluate cells starting with these characters as formulas
+  if (/^[=+\-@\t\r]/.test(cell)) cell = `'${cell}`;
+  return /["\r\n]/.test(cell) || cell.includes(delimiter) ? `"${cell.replace(/"/g, '""')}"` : cell;
+}
+
+// ";" where the language writes decimals with a comma, as Excel expects there
+function defaultDelimiter(lang) {
+  return new Intl.NumberFormat(lang).format(1.5).includes(',') ? ';' : ',';
+}
+
+// UTF-8 with BOM and CRLF line endings, so Excel opens it with diacritics intact
+function batchToCsv(batch, lang, delimiter = defaultDelimiter(lang)) {
+  const yesNo = value => (value === null || value === undefined ? '' : translate(lang, value ? 'batch.yes' : 'batch.no'));
+  const format = {
+    status: row => translate(lang, `batch.status.${row.status}`),
+    bannerFound: row => (row.status === 'completed' ? yesNo(row.bannerFound) : ''),
+    policyFound: row => (row.status === 'completed' ? yesNo(row.policyFound) : ''),
+    topRecommendation: row => {
+      const rec = row.topRecommendation;
+      if (!rec) return '';
+      const message = rec.messageId ? translate(lang, rec.messageId, rec.params || {}) : rec.message;
+      return `[${rec.priority}] ${message}`;
+    },
+    error: row => (row.errorId ? translate(lang, row.errorId, row.errorParams || {}) : row.error)
+  };
+
+  const lines = [EXPORT_COLUMNS.map(column => translate(lang, `batch.column.${column}`))];
+  for (const row of batch.rows) {
+    lines.push(EXPORT_COLUMNS.map(column => (format[column] ? format[column](row) : row[column])));
+  }
+
+  return '\uFEFF' + lines.map(cells => cells.map(cell => csvCell(cell, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+class BatchManager {
+  constructor({ enqueue, getJob = () => null, concurrency, maxUrls, retentionMs, retryMs = QUEUE_RETRY_MS } = {}) {
+    if (typeof enqueue !== 'function') {
+      throw new Error('BatchManager requires an enqueue(params) function');
+    }
+
+    this.enqueue = enqueue;
+    this.getJob = getJob;
+    this.concurrency = Math.min(MAX_CONCURRENCY, Math.max(1, parseInt(concurrency, 10) || DEFAULT_CONCURRENCY));
+    this.maxUrls = Math.max(1, parseInt(maxUrls, 10) || DEFAULT_MAX_URLS);
+    this.retentionMs = retentionMs || DEFAULT_RETENTION_MS;
+    this.retryMs = retryMs;
+
+    this.batches = new Map();
+  }
+
+  // Invalid entries are listed after the scanned ones, so nothing from the upload silently disappears
+  create({ urls, invalid = [], crawl = false, profile = null, engine = 'browser', lang = null, concurrency }) {
+    this.prune();
+
+    const rows = [
+      ...urls.map(url => ({ url, status: 'queued' })),
+      ...invalid.map(url => ({ url, status: 'invalid', ...text('error.INVALID_URL', {}, 'error') }))
+    ].map((row, index) => ({
+      index,
+      jobId: null,
+      scanId: null,
+      score: null,
+      passed: null,
+      bannerFound: null,
+      policyFound: null,
+      trackerCount: null,
+      preConsentViolations: null,
+      topRecommendation: null,
+      error: null,
+      ...row
+    }));
+
+    const batch = {
+      id: crypto.randomUUID(),
+      status: 'running',
+      params: { crawl, profile, engine, lang },
+      concurrency: Math.min(this.concurrency, Math.max(1, parseInt(concurrency, 10) || this.concurrency)),
+      createdAt: new Date().toISOString(),
+      finishedAt: null,
+      rows,
+      pending: rows.filter(row => row.status === 'queued'),
+      running: 0,
+      retryTimer: null
+    };
+
+    this.batches.set(batch.id, batch);
+    this.pump(batch);
+    return batch;
+  }
+
+  get(id) {
+    return this.batches.get(id) || null;
+  }
+
+  // Rows not yet handed to the scan queue are dropped; running scans finish normally
+  cancel(batch) {
+    for (const row of batch.pending) row.status = 'cancelled';
+    batch.pending = [];
+    if (batch.retryTimer) clearTimeout(batch.retryTimer);
+    batch.retryTimer = null;
+    if (batch.status === 'running') batch.status = 'cancelled';
+    this.finishIfDone(batch);
+  }
+
+  toJSON(batch) {
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0, invalid: 0, cancelled: 0 };
+    for (const row of batch.rows) counts[row.status]++;
+
+    const scores = batch.rows.filter(row => row.status === 'completed' && row.score !== null).map(row => row.score);
+    const rows = batch.rows.map(row => {
+      const job = row.status === 'running' && row.jobId ? this.getJob(row.jobId) : null;
+      return job ? { ...row, progress: job.progress, stage: job.stage } : row;
+    });
+
+    return {
+      id: batch.id,
+      status: batch.status,
+      mode: batch.params.crawl ? 'crawl' : 'single',
+      profile: batch.params.profile,
+      engine: batch.params.engine,
+      concurrency: batch.concurrency,
+      createdAt: batch.createdAt,
+      finishedAt: batch.finishedAt,
+      summary: {
+        total: batch.rows.length,
+        ...counts,
+        averageScore: scores.length ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : null
+      },
+      rows
+    };
+  }
+
+  stats() {
+    const counts = { running: 0, completed: 0, cancelled: 0 };
+    for (const batch of this.batches.values()) counts[batch.status]++;
+    return { ...counts, concurrency: this.concurrency, maxUrls: this.maxUrls };
+  }
+
+  pump(batch) {
+    while (batch.running < batch.concurrency && batch.pending.length > 0 && !batch.retryTimer) {
+      this.runRow(batch, batch.pending.shift());
+    }
+    this.finishIfDone(batch);
+  }
+
+  async runRow(batch, row) {
+    let job;
+    try {
+      job = this.enqueue({
+        url: row.url,
+        crawl: batch.params.crawl,
+        profile: batch.params.profile,
+        engine: batch.params.engine,
+        lang: batch.params.lang
+      });
+    } catch (error) {
+      if (error.code !== 'QUEUE_FULL') {
+        Object.assign(row, { status: 'failed', error: error.message });
+        return;
+      }
+      // Other clients filled the scan queue; wait for room instead of failing the row
+      batch.pending.unshift(row);
+      batch.retryTimer = setTimeout(() => {
+        batch.retryTimer = null;
+        this.pump(batch);
+      }, this.retryMs);
+      return;
+    }
+
+    batch.running++;
+    row.status = 'running';
+    row.jobId = job.id;
+
+    await job.done;
+    // A failed load still returns a result, but its zero score would read as a real finding
+    if (job.status === 'completed') {
+      Object.assign(row, summarizeResult(job.result), { status: 'completed' });
+    } else {
+      Object.assign(row, { status: 'failed', error: job.error || null });
+    }
+
+    batch.running--;
+    this.pump(batch);
+  }
+
+  finishIfDone(batch) {
+    if (batch.finishedAt || batch.running > 0 || batch.pending.length > 0) return;
+    if (batch.status === 'running') batch.status = 'completed';
+    batch.finishedAt = new Date().toISOString();
+  }
+
+  // Drops finished batches older than the retention window; results stay in the scan history
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [id, batch] of this.batches) {
+      if (batch.finishedAt && new Date(batch.finishedAt).getTime() < cutoff) {
+        this.batches.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = {
+  EXPORT_COLUMNS,
+  parseCsv,
+  parseUrlList,
+  summarizeResult,
+  batchToCsv,
+  BatchManager
+};
@@ -0,0 +1,130 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCsv, parseUrlList, summarizeResult, batchToCsv, BatchManager } = require('./batch');
+const { ScanQueue } = require('./jobs');
+
+test('parseCsv detects the delimiter and reads quoted fields', () => {
+  assert.deepEqual(parseCsv('\uFEFFurl;note\r\n"https://a.example/";"x; ""y""\nz"\r\n\r\nb.example;\n'), [
+    ['url', 'note'],
+    ['https://a.example/', 'x; "y"\nz'],
+    ['b.example', '']
+  ]);
+  assert.deepEqual(parseCsv('a.example\tone\nb.example\ttwo'), [['a.example', 'one'], ['b.example', 'two']]);
+});
+
+test('parseUrlList picks the URL column, deduplicates and lists invalid entries', () => {
+  const csv = 'Client,Webstránka\nAcme,acme.example\nBeta,https://acme.example/\nGamma,n/a\nDelta,ftp://files.example';
+  assert.deepEqual(parseUrlList(csv), { urls: ['https://acme.example/'], invalid: ['n/a', 'ftp://files.example'] });
+  assert.deepEqual(parseUrlList(['a.example', { url: 'http://b.example/x' }, '', null]), {
+    urls: ['https://a.example/', 'http://b.example/x'],
+    invalid: []
+  });
+  assert.deepEqual(parseUrlList(42), { urls: [], invalid: [] });
+});
+
+test('summarizeResult picks the most urgent recommendation and counts crawl violations', () => {
+  const summary = summarizeResult({
+    scanId: 'scan-1',
+    score: 55,
+    mode: 'crawl',
+    scoring: { passed: false },
+    thirdPartyServices: [{ id: 'meta-pixel' }],
+    checks: { privacyPolicy: { found: true } },
+    recommendations: [{ priority: 'MEDIUM', message: 'Medium' }, { priority: 'CRITICAL', message: 'Critical' }],
+    pages: [
+      { checks: { preConsentViolations: { violations: [{}, {}] } } },
+      { checks: { preConsentViolations: { violations: [{}] } } },
+      { error: 'timeout', checks: { preConsentViolations: { violations: [{}] } } }
+    ]
+  });
+
+  assert.equal(summary.passed, false);
+  assert.equal(summary.bannerFound, null);
+  assert.equal(summary.policyFound, true);
+  assert.equal(summary.trackerCount, 1);
+  assert.equal(summary.preConsentViolations, 3);
+  assert.equal(summary.topRecommendation.message, 'Critical');
+});
+
+test('batchToCsv writes a localized, formula-safe spreadsheet', () => {
+  const batch = {
+    rows: [
+      {
+        url: 'https://a.example/',
+        status: 'completed',
+        score: 80,
+        bannerFound: true,
+        policyFound: false,
+        trackerCount: 2,
+        preConsentViolations: 0,
+        topRecommendation: { priority: 'HIGH', messageId: 'recommendation.scanError', params: { error: '=cmd' } },
+        scanId: 's1',
+        error: null
+      },
+      { url: '=HYPERLINK("x")', status: 'invalid', errorId: 'error.INVALID_URL' }
+    ]
+  };
+  const lines = batchToCsv(batch, 'en').split('\r\n');
+
+  assert.equal(lines[0], '\uFEFFURL,Status,Score,Cookie banner,Privacy policy,Trackers,Pre-consent violations,Top recommendation,Scan ID,Error');
+  assert.equal(lines[1], 'https://a.example/,completed,80,yes,no,2,0,[HIGH] Scan failed: =cmd,s1,');
+  assert.equal(lines[2], '"\'=HYPERLINK(""x"")",invalid URL,,,,,,,,Invalid URL. Use the format: https://example.com');
+  assert.equal(batchToCsv({ rows: [] }, 'sk').split('\r\n')[0].includes(';'), true);
+});
+
+test('BatchManager limits its share of the scan queue and waits when the queue is full', async () => {
+  const finish = [];
+  const queue = new ScanQueue({
+    concurrency: 5,
+    maxQueued: 1,
+    run: params => new Promise(resolve => finish.push(() => resolve({ url: params.url, score: 90, scanId: `scan-${finish.length}` })))
+  });
+  // Another client already fills the queue's waiting list
+  const blockers = Array.from({ length: 6 }, () => queue.enqueue({ url: 'https://other.example/' }));
+  const manager = new BatchManager({ enqueue: params => queue.enqueue(params), getJob: id => queue.get(id), retryMs: 10 });
+
+  const batch = manager.create({ urls: ['https://a.example/', 'https://b.example/', 'https://c.example/'], invalid: ['n/a'], concurrency: 9 });
+  assert.equal(batch.concurrency, 2);
+  assert.deepEqual(batch.rows.map(row => row.status), ['queued', 'queued', 'queued', 'invalid']);
+  assert.ok(batch.retryTimer);
+
+  let maxRunning = 0;
+  while (batch.status === 'running') {
+    maxRunning = Math.max(maxRunning, manager.toJSON(batch).summary.running);
+    finish.splice(0).forEach(done => done());
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+  await Promise.all(blockers.map(job => job.done));
+  assert.equal(maxRunning, 2);
+
+  const view = manager.toJSON(batch);
+  assert.equal(view.status, 'completed');
+  assert.equal(view.summary.completed, 3);
+  assert.equal(view.summary.invalid, 1);
+  assert.equal(view.summary.averageScore, 90);
+});
+
+test('BatchManager cancels rows that have not started', async () => {
+  const jobs = [];
+  const manager = new BatchManager({
+    concurrency: 1,
+    enqueue: () => {
+      const job = { id: `job-${jobs.length}`, status: 'running' };
+      job.done = new Promise(resolve => { job.finish = () => { job.status = 'completed'; job.result = { score: 70 }; resolve(job); }; });
+      jobs.push(job);
+      return job;
+    }
+  });
+  const batch = manager.create({ urls: ['https://a.example/', 'https://b.example/'] });
+
+  manager.cancel(batch);
+  assert.equal(batch.status, 'cancelled');
+  assert.equal(batch.finishedAt, null);
+  jobs[0].finish();
+  await jobs[0].done;
+  await new Promise(resolve => setImmediate(resolve));
+
+  assert.deepEqual(batch.rows.map(row => row.status), ['completed', 'cancelled']);
+  assert.ok(batch.finishedAt);
+  assert.equal(jobs.length, 1);
+});
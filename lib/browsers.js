@@ -0,0 +1,365 @@
+// Shared Chromium pool: isolated browser contexts per scan, health checks, recycling and crash recovery
+
+const fs = require('fs');
+const crypto = require('crypto');
+const puppeteer = require('puppeteer');
+
+const DEFAULT_SIZE = 2;
+const DEFAULT_CONTEXTS_PER_BROWSER = 2;
+const DEFAULT_MAX_PAGES = 50;
+const DEFAULT_MAX_MEMORY_MB = 1024;
+const DEFAULT_IDLE_TIMEOUT_MS = 5 * 60 * 1000;
+const DEFAULT_ACQUIRE_TIMEOUT_MS = 5 * 60 * 1000;
+const HEALTH_CHECK_INTERVAL_MS = 30000;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+const PAGE_SIZE = 4096;
+
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-dev-shm-usage',
+  '--disable-gpu',
+  '--disable-web-security',
+  '--disable-features=VizDisplayCompositor',
+  '--disable-extensions',
+  '--disable-plugins',
+  '--disable-default-apps',
+  '--no-zygote'
+];
+
+// --single-process keeps Chromium alive on hosts that cannot fork renderers, but a crashing
+// page then takes down every context of the browser, so it is opt-in
+function launchOptions(singleProcess = process.env.BROWSER_SINGLE_PROCESS === 'true') {
+  return {
+    headless: 'new',
+    args: singleProcess ? [...LAUNCH_ARGS, '--single-process'] : LAUNCH_ARGS,
+    timeout: 60000
+  };
+}
+
+function positiveInt(value, fallback) {
+  const number = parseInt(value, 10);
+  return number > 0 ? number : fallback;
+}
+
+function withTimeout(promise, ms, message) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(message)), ms);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+// Resident memory of a process and its children in MB, read from /proc (Linux only, null elsewhere).
+// Shared pages are counted once per process, so this overestimates; good enough for a ceiling.
+function processTreeMemoryMb(rootPid) {
+  if (!rootPid || process.platform !== 'linux') return null;
+
+  try {
+    const children = new Map();
+    for (const name of fs.readdirSync('/proc')) {
+      if (!/^\d+$/.test(name)) continue;
+      try {
+        const stat = fs.readFileSync(`/proc/${name}/stat`, 'utf8');
+        const ppid = parseInt(stat.slice(stat.lastIndexOf(')') + 2).split(' ')[1], 10);
+        if (!children.has(ppid)) children.set(ppid, []);
+        children.get(ppid).push(parseInt(name, 10));
+      } catch {}
+    }
+
+    let pages = 0;
+    const stack = [rootPid];
+    while (stack.length > 0) {
+      const pid = stack.pop();
+      try {
+        pages += parseInt(fs.readFileSync(`/proc/${pid}/statm`, 'utf8').split(' ')[1], 10) || 0;
+      } catch {}
+      stack.push(...(children.get(pid) || []));
+    }
+    return Math.round((pages * PAGE_SIZE) / 1024 / 1024);
+  } catch {
+    return null;
+  }
+}
+
+class BrowserPool {
+  constructor({
+    size,
+    contextsPerBrowser,
+    maxPagesPerBrowser,
+    maxMemoryMb,
+    idleTimeoutMs = DEFAULT_IDLE_TIMEOUT_MS,
+    acquireTimeoutMs = DEFAULT_ACQUIRE_TIMEOUT_MS,
+    healthCheckIntervalMs = HEALTH_CHECK_INTERVAL_MS,
+    launch = () => puppeteer.launch(launchOptions()),
+    log = console.log
+  } = {}) {
+    this.size = positiveInt(size, DEFAULT_SIZE);
+    this.contextsPerBrowser = positiveInt(contextsPerBrowser, DEFAULT_CONTEXTS_PER_BROWSER);
+    this.maxPagesPerBrowser = positiveInt(maxPagesPerBrowser, DEFAULT_MAX_PAGES);
+    this.maxMemoryMb = positiveInt(maxMemoryMb, DEFAULT_MAX_MEMORY_MB);
+    this.idleTimeoutMs = idleTimeoutMs;
+    this.acquireTimeoutMs = acquireTimeoutMs;
+    this.healthCheckIntervalMs = healthCheckIntervalMs;
+    this.launch = launch;
+    this.log = log;
+
+    this.entries = new Set();
+    this.launching = 0;
+    this.waiters = [];
+    this.timer = null;
+    this.checking = false;
+    this.closed = false;
+    this.counters = { launched: 0, recycled: 0, crashed: 0, leases: 0, launchFailures: 0 };
+  }
+
+  // A fresh incognito context in a pooled browser; callers must release() it when done
+  async acquire() {
+    if (this.closed) throw new Error('Browser pool is closed');
+    const deadline = Date.now() + this.acquireTimeoutMs;
+
+    while (true) {
+      if (this.closed) throw new Error('Browser pool is closed');
+      const entry = this.pick();
+      if (entry) return this.lease(entry);
+
+      if (this.entries.size + this.launching < this.size) {
+        await this.spawn();
+        continue;
+      }
+
+      const remaining = deadline - Date.now();
+      if (remaining <= 0) throw new Error('Timed out waiting for a free browser');
+      await this.waitForSlot(remaining);
+    }
+  }
+
+  // Fill browsers that are already running before launching another one
+  pick() {
+    let best = null;
+    for (const entry of this.entries) {
+      if (entry.retiring || !entry.browser.connected || entry.active >= this.contextsPerBrowser) continue;
+      if (!best || entry.active > best.active) best = entry;
+    }
+    return best;
+  }
+
+  async lease(entry) {
+    entry.active++;
+    entry.pages++;
+    entry.lastUsedAt = Date.now();
+    if (entry.pages >= this.maxPagesPerBrowser) this.retire(entry, 'page limit');
+
+    let context;
+    try {
+      context = await entry.browser.createBrowserContext();
+    } catch (error) {
+      entry.active--;
+      this.destroy(entry, 'context creation failed');
+      throw new Error(`Browser context creation failed: ${error.message}`);
+    }
+
+    this.counters.leases++;
+    let released = false;
+    const extraContexts = [];
+    return {
+      browser: entry.browser,
+      context,
+      // Another context in the leased browser for pages a scan opens next to its own (consent
+      // scenarios, policy pages); acquiring a second lease instead can deadlock a full pool
+      newContext: async () => {
+        if (released) throw new Error('Browser lease already released');
+        entry.pages++;
+        if (entry.pages >= this.maxPagesPerBrowser) this.retire(entry, 'page limit');
+        const extra = await entry.browser.createBrowserContext();
+        extraContexts.push(extra);
+        return extra;
+      },
+      release: async () => {
+        if (released) return;
+        released = true;
+        await Promise.all([context, ...extraContexts].map(c => c.close().catch(() => {})));
+        entry.active--;
+        entry.lastUsedAt = Date.now();
+        if (entry.retiring && entry.active === 0) this.destroy(entry, 'retired');
+        this.notify();
+      }
+    };
+  }
+
+  async spawn() {
+    this.launching++;
+    try {
+      const browser = await this.launch();
+      if (this.closed) {
+        await browser.close().catch(() => {});
+        throw new Error('Browser pool is closed');
+      }
+
+      const entry = {
+        id: crypto.randomUUID().slice(0, 8),
+        browser,
+        pid: browser.process() ? browser.process().pid : null,
+        launchedAt: Date.now(),
+        lastUsedAt: Date.now(),
+        active: 0,
+        pages: 0,
+        memoryMb: null,
+        retiring: false,
+        closing: false
+      };
+
+      browser.on('disconnected', () => {
+        if (!this.entries.has(entry)) return;
+        this.entries.delete(entry);
+        if (!entry.closing) {
+          this.counters.crashed++;
+          this.log(`[POOL] Browser ${entry.id} disconnected unexpectedly, a new one is launched on demand`);
+        }
+        this.notify();
+      });
+
+      this.entries.add(entry);
+      this.counters.launched++;
+      this.log(`[POOL] Browser ${entry.id} launched (pid ${entry.pid})`);
+      this.startHealthChecks();
+      return entry;
+    } catch (error) {
+      this.counters.launchFailures++;
+      this.log('[POOL] Failed to launch browser:', error.message);
+      const launchError = new Error(`Browser initialization failed: ${error.message}`);
+      launchError.code = 'BROWSER_LAUNCH_FAILED';
+      throw launchError;
+    } finally {
+      this.launching--;
+    }
+  }
+
+  // No new leases; the browser closes once its running scans release their contexts
+  retire(entry, reason) {
+    if (entry.retiring) return;
+    entry.retiring = true;
+    this.log(`[POOL] Retiring browser ${entry.id} (${reason})`);
+    if (entry.active === 0) this.destroy(entry, reason);
+  }
+
+  destroy(entry, reason) {
+    if (!this.entries.has(entry)) return;
+    this.entries.delete(entry);
+    entry.closing = true;
+    if (entry.retiring) this.counters.recycled++;
+    this.log(`[POOL] Closing browser ${entry.id} (${reason})`);
+    entry.browser.close().catch(() => {
+      try {
+        entry.browser.process()?.kill('SIGKILL');
+      } catch {}
+    });
+    this.notify();
+  }
+
+  waitForSlot(ms) {
+    return new Promise(resolve => {
+      const waiter = () => {
+        clearTimeout(timer);
+        resolve();
+      };
+      const timer = setTimeout(() => {
+        this.waiters = this.waiters.filter(w => w !== waiter);
+        resolve();
+      }, ms);
+      this.waiters.push(waiter);
+    });
+  }
+
+  notify() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(waiter => waiter());
+  }
+
+  startHealthChecks() {
+    if (this.timer || !this.healthCheckIntervalMs) return;
+    this.timer = setInterval(() => this.checkHealth(), this.healthCheckIntervalMs);
+    // The CLI must be able to exit while browsers are idle
+    this.timer.unref();
+  }
+
+  // Unresponsive browsers are killed, oversized ones recycled, idle ones closed to free memory
+  async checkHealth() {
+    if (this.checking) return;
+    this.checking = true;
+
+    for (const entry of [...this.entries]) {
+      if (entry.closing) continue;
+
+      try {
+        await withTimeout(entry.browser.version(), HEALTH_CHECK_TIMEOUT_MS, 'health check timed out');
+      } catch (error) {
+        this.counters.crashed++;
+        this.destroy(entry, `unresponsive: ${error.message}`);
+        continue;
+      }
+
+      entry.memoryMb = processTreeMemoryMb(entry.pid);
+      if (entry.memoryMb !== null && entry.memoryMb > this.maxMemoryMb) {
+        this.retire(entry, 'memory limit');
+      } else if (entry.active === 0 && Date.now() - entry.lastUsedAt > this.idleTimeoutMs) {
+        this.destroy(entry, 'idle');
+      }
+    }
+
+    if (this.entries.size === 0 && this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    this.checking = false;
+  }
+
+  stats() {
+    return {
+      size: this.size,
+      contextsPerBrowser: this.contextsPerBrowser,
+      maxPagesPerBrowser: this.maxPagesPerBrowser,
+      maxMemoryMb: this.maxMemoryMb,
+      activeContexts: [...this.entries].reduce((sum, entry) => sum + entry.active, 0),
+      waiting: this.waiters.length,
+      ...this.counters,
+      browsers: [...this.entries].map(entry => ({
+        id: entry.id,
+        pid: entry.pid,
+        activeContexts: entry.active,
+        pages: entry.pages,
+        memoryMb: entry.memoryMb,
+        uptimeSeconds: Math.round((Date.now() - entry.launchedAt) / 1000),
+        retiring: entry.retiring
+      }))
+    };
+  }
+
+  async close() {
+    this.closed = true;
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+
+    const entries = [...this.entries];
+    this.entries.clear();
+    await Promise.all(entries.map(async entry => {
+      entry.closing = true;
+      try {
+        await entry.browser.close();
+      } catch (error) {
+        this.log(`[POOL] Error closing browser ${entry.id}:`, error.message);
+      }
+    }));
+    this.notify();
+  }
+}
+
+module.exports = {
+  LAUNCH_ARGS,
+  launchOptions,
+  processTreeMemoryMb,
+  BrowserPool
+};
@@ -0,0 +1,136 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('node:events');
+const { BrowserPool } = require('./browsers');
+
+// Stands in for a puppeteer Browser; contexts only need to be created and closed
+class FakeBrowser extends EventEmitter {
+  constructor() {
+    super();
+    this.connected = true;
+    this.contexts = [];
+  }
+
+  async createBrowserContext() {
+    const context = { closed: false, close: async () => { context.closed = true; } };
+    this.contexts.push(context);
+    return context;
+  }
+
+  process() {
+    return null;
+  }
+
+  async version() {
+    return 'HeadlessChrome/0';
+  }
+
+  async close() {
+    this.connected = false;
+    this.emit('disconnected');
+  }
+
+  crash() {
+    this.connected = false;
+    this.emit('disconnected');
+  }
+}
+
+function createPool(options = {}) {
+  const browsers = [];
+  const pool = new BrowserPool({
+    healthCheckIntervalMs: 0,
+    log: () => {},
+    launch: async () => {
+      const browser = new FakeBrowser();
+      browsers.push(browser);
+      return browser;
+    },
+    ...options
+  });
+  return { pool, browsers };
+}
+
+test('acquire fills a running browser before launching another one', async () => {
+  const { pool, browsers } = createPool({ size: 2, contextsPerBrowser: 2 });
+  const leases = [await pool.acquire(), await pool.acquire(), await pool.acquire()];
+
+  assert.equal(browsers.length, 2);
+  assert.equal(leases[0].browser, leases[1].browser);
+  assert.notEqual(leases[2].browser, leases[0].browser);
+  assert.equal(pool.stats().activeContexts, 3);
+
+  await Promise.all(leases.map(lease => lease.release()));
+  assert.equal(pool.stats().activeContexts, 0);
+  assert.ok(browsers[0].contexts.every(context => context.closed));
+  await pool.close();
+});
+
+test('acquire waits for a released context and times out on a full pool', async () => {
+  const { pool } = createPool({ size: 1, contextsPerBrowser: 1, acquireTimeoutMs: 50 });
+  const first = await pool.acquire();
+
+  await assert.rejects(pool.acquire(), /Timed out waiting for a free browser/);
+
+  const waiting = pool.acquire();
+  await first.release();
+  const second = await waiting;
+  assert.equal(second.browser, first.browser);
+  await second.release();
+  await pool.close();
+});
+
+test('extra contexts of a lease do not take a pool slot and close with it', async () => {
+  const { pool, browsers } = createPool({ size: 1, contextsPerBrowser: 1, acquireTimeoutMs: 50 });
+  const lease = await pool.acquire();
+
+  const extra = await lease.newContext();
+  assert.equal(browsers[0].contexts.length, 2);
+  assert.equal(pool.stats().activeContexts, 1);
+  assert.equal(pool.stats().browsers[0].pages, 2);
+
+  await lease.release();
+  assert.equal(extra.closed, true);
+  await assert.rejects(lease.newContext(), /already released/);
+  await pool.close();
+});
+
+test('a browser is replaced after its page limit once its scans are done', async () => {
+  const { pool, browsers } = createPool({ size: 1, contextsPerBrowser: 2, maxPagesPerBrowser: 2 });
+  const first = await pool.acquire();
+  const second = await pool.acquire();
+  assert.equal(pool.stats().browsers[0].retiring, true);
+
+  await first.release();
+  assert.equal(browsers[0].connected, true);
+  await second.release();
+  assert.equal(browsers[0].connected, false);
+
+  const third = await pool.acquire();
+  assert.equal(third.browser, browsers[1]);
+  assert.equal(pool.stats().recycled, 1);
+  await third.release();
+  await pool.close();
+});
+
+test('a crashed browser is dropped and relaunched on demand', async () => {
+  const { pool, browsers } = createPool({ size: 1 });
+  const lease = await pool.acquire();
+  browsers[0].crash();
+  assert.equal(pool.stats().crashed, 1);
+  assert.equal(pool.stats().browsers.length, 0);
+
+  const next = await pool.acquire();
+  assert.equal(next.browser, browsers[1]);
+  await Promise.all([lease.release(), next.release()]);
+  await pool.close();
+});
+
+test('a failed launch is reported with a code and a closed pool refuses leases', async () => {
+  const { pool } = createPool({ launch: async () => { throw new Error('no chromium'); } });
+  await assert.rejects(pool.acquire(), error => error.code === 'BROWSER_LAUNCH_FAILED' && /no chromium/.test(error.message));
+  assert.equal(pool.stats().launchFailures, 1);
+
+  await pool.close();
+  await assert.rejects(pool.acquire(), /closed/);
+});
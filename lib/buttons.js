@@ -0,0 +1,62 @@
+// Consent button text matching: picks the accept-all or reject-all button among the visible button texts of a page
+
+// Longer texts are paragraphs or links, not banner buttons
+const MAX_BUTTON_TEXT_LENGTH = 60;
+
+function normalizeButtonText(value) {
+  return String(value || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// 0 = exact label, 1 = label as a whole word inside a short text, null = no match
+function rankLabel(text, label) {
+  if (text === label) return 0;
+  const index = text.indexOf(label);
+  if (index === -1) return null;
+  const before = text.charAt(index - 1);
+  const after = text.charAt(index + label.length);
+  const isLetter = c => c !== '' && /\p{L}/u.test(c);
+  return !isLetter(before) && !isLetter(after) ? 1 : null;
+}
+
+// Lower is better: exact matches first, then the longest (most specific) label
+function labelScore(text, labels) {
+  let best = null;
+  for (const label of labels) {
+    const rank = rankLabel(text, label);
+    if (rank === null) continue;
+    const score = rank * 1000 - label.length;
+    if (best === null || score < best) best = score;
+  }
+  return best;
+}
+
+// Index of the best candidate ({ index, text }) for the labels, or null. A text matching both lists belongs to
+// the one with the more specific label, so "Prijať iba nevyhnutné" is a reject button despite "prijať".
+function pickButton(candidates, labels, excludeLabels = []) {
+  let best = null;
+  let bestScore = Infinity;
+
+  for (const candidate of candidates) {
+    const text = normalizeButtonText(candidate.text);
+    if (!text || text.length > MAX_BUTTON_TEXT_LENGTH) continue;
+
+    const score = labelScore(text, labels);
+    if (score === null) continue;
+    const excluded = labelScore(text, excludeLabels);
+    if (excluded !== null && excluded <= score) continue;
+
+    if (score < bestScore) {
+      bestScore = score;
+      best = candidate.index;
+    }
+  }
+
+  return best;
+}
+
+module.exports = {
+  MAX_BUTTON_TEXT_LENGTH,
+  normalizeButtonText,
+  rankLabel,
+  pickButton
+};
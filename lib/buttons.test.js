@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { rankLabel, pickButton } = require('./buttons');
+
+const acceptLabels = [
+  'accept all', 'accept', 'allow all', 'allow', 'ok', 'prijať všetko', 'prijať', 'súhlasím',
+  'přijmout vše', 'přijmout', 'alle akzeptieren', 'akzeptieren'
+];
+const rejectLabels = [
+  'reject all', 'reject', 'deny', 'only necessary', 'necessary only', 'iba nevyhnutné', 'odmietnuť',
+  'pouze nezbytné', 'odmítnout', 'alle ablehnen', 'nur notwendige', 'nur notwendige cookies'
+];
+
+const candidates = texts => texts.map((text, index) => ({ index, text }));
+
+test('rankLabel prefers exact labels and requires whole words', () => {
+  assert.equal(rankLabel('accept', 'accept'), 0);
+  assert.equal(rankLabel('accept all cookies', 'accept all'), 1);
+  assert.equal(rankLabel('unacceptable', 'accept'), null);
+  assert.equal(rankLabel('prijať všetko', 'prijať'), 1);
+  assert.equal(rankLabel('settings', 'accept'), null);
+});
+
+test('pickButton prefers exact and more specific labels', () => {
+  const texts = candidates(['Settings', 'Accept all cookies', 'Accept all']);
+  assert.equal(pickButton(texts, acceptLabels, rejectLabels), 2);
+});
+
+test('pickButton skips texts that are too long to be a button', () => {
+  const texts = candidates([`Accept ${'x'.repeat(80)}`]);
+  assert.equal(pickButton(texts, acceptLabels, rejectLabels), null);
+});
+
+test('pickButton finds necessary-only buttons that contain an accept word', () => {
+  const cases = [
+    'Prijať iba nevyhnutné',
+    'Accept only necessary',
+    'Allow necessary only',
+    'Přijmout pouze nezbytné',
+    'Nur notwendige Cookies akzeptieren'
+  ];
+  for (const label of cases) {
+    const texts = candidates(['Prijať všetko', label]);
+    assert.equal(pickButton(texts, rejectLabels, acceptLabels), 1, label);
+  }
+});
+
+test('pickButton does not treat necessary-only buttons as accept-all', () => {
+  const texts = candidates(['Accept only necessary', 'Nur notwendige Cookies akzeptieren', 'Alle akzeptieren']);
+  assert.equal(pickButton(texts, acceptLabels, rejectLabels), 2);
+  assert.equal(pickButton(candidates(['Accept only necessary']), acceptLabels, rejectLabels), null);
+});
+
+test('pickButton returns null without a matching candidate', () => {
+  assert.equal(pickButton(candidates(['Settings', 'More information']), rejectLabels, acceptLabels), null);
+  assert.equal(pickButton([], rejectLabels, acceptLabels), null);
+});
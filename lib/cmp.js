@@ -0,0 +1,279 @@
+// Consent management platform (CMP) signatures and detection
+
+const CMP_SIGNATURES = [
+  {
+    id: 'onetrust',
+    name: 'OneTrust',
+    scripts: ['cdn.cookielaw.org', 'optanon.blob.core.windows.net', 'otSDKStub.js', 'onetrust.com'],
+    globals: ['OneTrust', 'Optanon', 'OnetrustActiveGroups'],
+    selectors: ['#onetrust-consent-sdk', '#onetrust-banner-sdk'],
+    cookies: ['OptanonConsent', 'OptanonAlertBoxClosed']
+  },
+  {
+    id: 'cookiebot',
+    name: 'Cookiebot',
+    scripts: ['consent.cookiebot.com', 'consentcdn.cookiebot.com'],
+    // Not the CookieConsent global or cookie: the Osano/Insites cookieconsent library uses them too
+    globals: ['Cookiebot'],
+    selectors: ['#CybotCookiebotDialog', '#CookiebotWidget'],
+    cookies: []
+  },
+  {
+    id: 'didomi',
+    name: 'Didomi',
+    scripts: ['sdk.privacy-center.org', 'didomi'],
+    globals: ['Didomi', 'didomiOnReady'],
+    selectors: ['#didomi-host', '#didomi-notice'],
+    cookies: ['didomi_token']
+  },
+  {
+    id: 'usercentrics',
+    name: 'Usercentrics',
+    scripts: ['app.usercentrics.eu', 'web.cmp.usercentrics.eu', 'privacy-proxy.usercentrics.eu'],
+    globals: ['UC_UI', 'usercentrics', '__ucCmp'],
+    selectors: ['#usercentrics-root', '#usercentrics-cmp-ui', '#uc-banner-modal'],
+    cookies: ['uc_user_interaction', 'uc_settings']
+  },
+  {
+    id: 'quantcast',
+    name: 'Quantcast Choice',
+    scripts: ['cmp.quantcast.com', 'quantcast.mgr.consensu.org'],
+    globals: ['__qc'],
+    selectors: ['.qc-cmp2-container', '#qc-cmp2-ui'],
+    cookies: ['addtl_consent']
+  },
+  {
+    id: 'cookieyes',
+    name: 'CookieYes',
+    scripts: ['cdn-cookieyes.com', 'app.cookieyes.com'],
+    globals: ['getCkyConsent', 'cookieyes'],
+    selectors: ['.cky-consent-container', '#cookie-law-info-bar'],
+    cookies: ['cookieyes-consent', 'viewed_cookie_policy']
+  },
+  {
+    id: 'complianz',
+    name: 'Complianz',
+    scripts: ['complianz-gdpr', 'complianz'],
+    globals: ['complianz', 'cmplz_set_cookie'],
+    selectors: ['#cmplz-cookiebanner-container', '.cmplz-cookiebanner'],
+    cookies: ['cmplz_banner-status', 'cmplz_consented_services']
+  },
+  {
+    id: 'klaro',
+    name: 'Klaro',
+    scripts: ['klaro.js', 'klaro-no-css.js', 'cdn.kiprotect.com/klaro'],
+    globals: ['klaro', 'klaroConfig'],
+    selectors: ['.klaro', '#klaro'],
+    cookies: ['klaro']
+  },
+  {
+    id: 'trustarc',
+    name: 'TrustArc',
+    scripts: ['consent.trustarc.com', 'consent-pref.trustarc.com'],
+    globals: ['truste'],
+    selectors: ['#truste-consent-track', '#consent_blackbar'],
+    cookies: ['notice_behavior', 'notice_preferences']
+  },
+  {
+    id: 'sourcepoint',
+    name: 'Sourcepoint',
+    scripts: ['cdn.privacy-mgmt.com', 'sourcepoint.mgr.consensu.org'],
+    globals: ['_sp_', '_sp_queue'],
+    selectors: ['[id^="sp_message_container"]'],
+    cookies: ['consentUUID']
+  },
+  {
+    id: 'borlabs',
+    name: 'Borlabs Cookie',
+    scripts: ['borlabs-cookie'],
+    globals: ['BorlabsCookie'],
+    selectors: ['#BorlabsCookieBox', '.BorlabsCookie'],
+    cookies: ['borlabs-cookie']
+  },
+  {
+    id: 'iubenda',
+    name: 'iubenda',
+    scripts: ['cdn.iubenda.com', 'iubenda.com/cs'],
+    globals: ['_iub'],
+    selectors: ['#iubenda-cs-banner'],
+    cookies: ['_iub_cs-']
+  },
+  {
+    id: 'osano',
+    name: 'Osano',
+    scripts: ['cmp.osano.com'],
+    globals: ['Osano'],
+    selectors: ['.osano-cm-window', '.osano-cm-dialog'],
+    cookies: ['osano_consentmanager']
+  },
+  {
+    id: 'cookiescript',
+    name: 'Cookie-Script',
+    scripts: ['cookie-script.com'],
+    globals: ['CookieScript'],
+    selectors: ['#cookiescript_injected'],
+    cookies: ['CookieScriptConsent']
+  },
+  {
+    id: 'consentmanager',
+    name: 'consentmanager.net',
+    scripts: ['consentmanager.net', 'consensu.org/delivery/cmp'],
+    globals: ['__cmp', 'cmp_id'],
+    selectors: ['#cmpbox', '#cmpwrapper'],
+    cookies: ['__cmpcc', '__cmpconsentx']
+  },
+  {
+    id: 'cookiefirst',
+    name: 'CookieFirst',
+    scripts: ['consent.cookiefirst.com'],
+    globals: ['CookieFirst'],
+    selectors: ['.cookiefirst-root'],
+    cookies: ['cookiefirst-consent']
+  },
+  {
+    id: 'axeptio',
+    name: 'Axeptio',
+    scripts: ['static.axept.io'],
+    globals: ['axeptioSettings', '_axcb'],
+    selectors: ['#axeptio_overlay', '#axeptio_main_button'],
+    cookies: ['axeptio_cookies', 'axeptio_authorized_vendors']
+  },
+  {
+    id: 'google-fc',
+    name: 'Google Funding Choices',
+    scripts: ['fundingchoicesmessages.google.com'],
+    globals: ['googlefc'],
+    selectors: ['.fc-consent-root'],
+    cookies: ['FCCDCF', 'FCNEC']
+  },
+  {
+    id: 'cookieinformation',
+    name: 'Cookie Information',
+    scripts: ['policy.app.cookieinformation.com'],
+    globals: ['CookieInformation'],
+    selectors: ['#coiOverlay', '#cookie-information-template-wrapper'],
+    cookies: ['CookieInformationConsent']
+  },
+  {
+    id: 'cookiehub',
+    name: 'CookieHub',
+    scripts: ['cookiehub.net'],
+    globals: ['cookiehub'],
+    selectors: ['.ch2-container'],
+    cookies: ['cookiehub']
+  },
+  {
+    id: 'civic',
+    name: 'Civic Cookie Control',
+    scripts: ['cc.cdn.civiccomputing.com'],
+    globals: ['CookieControl'],
+    selectors: ['#ccc'],
+    cookies: ['CookieControl']
+  },
+  {
+    id: 'tarteaucitron',
+    name: 'tarteaucitron.js',
+    scripts: ['tarteaucitron'],
+    globals: ['tarteaucitron'],
+    selectors: ['#tarteaucitronRoot'],
+    cookies: ['tarteaucitron']
+  },
+  {
+    id: 'cookie-notice',
+    name: 'Cookie Notice (WordPress)',
+    scripts: ['cookie-notice/js/front'],
+    globals: ['cnArgs'],
+    selectors: ['#cookie-notice'],
+    cookies: ['cookie_notice_accepted']
+  },
+  {
+    id: 'orejime',
+    name: 'Orejime',
+    scripts: ['orejime'],
+    globals: ['orejime', 'orejimeConfig'],
+    selectors: ['.orejime-Main', '#orejime'],
+    cookies: ['orejime']
+  }
+];
+
+// Runs inside the page; must stay self-contained
+function collectCmpSignals(globals, selectors) {
+  const scripts = Array.from(document.querySelectorAll('script[src]')).map(s => s.src);
+  const presentGlobals = globals.filter(name => {
+    try {
+      return typeof window[name] !== 'undefined';
+    } catch {
+      return false;
+    }
+  });
+  const presentSelectors = selectors.filter(selector => {
+    try {
+      return !!document.querySelector(selector);
+    } catch {
+      return false;
+    }
+  });
+
+  return {
+    scripts,
+    globals: presentGlobals,
+    selectors: presentSelectors,
+    hasTcfApi: typeof window.__tcfapi === 'function'
+  };
+}
+
+// Matches collected page signals and cookie names against CMP_SIGNATURES
+function detectCmp(signals, cookieNames = []) {
+  const detected = [];
+
+  for (const cmp of CMP_SIGNATURES) {
+    const evidence = [];
+
+    for (const pattern of cmp.scripts) {
+      const script = signals.scripts.find(src => src.toLowerCase().includes(pattern.toLowerCase()));
+      if (script) evidence.push({ type: 'script', value: script });
+    }
+    for (const name of cmp.globals) {
+      if (signals.globals.includes(name)) evidence.push({ type: 'global', value: name });
+    }
+    for (const selector of cmp.selectors) {
+      if (signals.selectors.includes(selector)) evidence.push({ type: 'dom', value: selector });
+    }
+    for (const pattern of cmp.cookies) {
+      const cookie = cookieNames.find(name => name.startsWith(pattern));
+      if (cookie) evidence.push({ type: 'cookie', value: cookie });
+    }
+
+    if (evidence.length > 0) {
+      const types = new Set(evidence.map(e => e.type));
+      detected.push({
+        id: cmp.id,
+        name: cmp.name,
+        // Evidence of several kinds (e.g. script + DOM) is much stronger than a single cookie name
+        confidence: types.size >= 2 ? 'high' : types.has('script') || types.has('dom') ? 'medium' : 'low',
+        evidence
+      });
+    }
+  }
+
+  const rank = { high: 0, medium: 1, low: 2 };
+  detected.sort((a, b) => rank[a.confidence] - rank[b.confidence] || b.evidence.length - a.evidence.length);
+
+  return detected;
+}
+
+function allSignatureGlobals() {
+  return [...new Set(CMP_SIGNATURES.flatMap(cmp => cmp.globals))];
+}
+
+function allSignatureSelectors() {
+  return [...new Set(CMP_SIGNATURES.flatMap(cmp => cmp.selectors))];
+}
+
+module.exports = {
+  CMP_SIGNATURES,
+  collectCmpSignals,
+  detectCmp,
+  allSignatureGlobals,
+  allSignatureSelectors
+};
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { detectCmp } = require('./cmp');
+
+const noSignals = { scripts: [], globals: [], selectors: [] };
+
+test('detectCmp rates evidence of several kinds higher than a single signal', () => {
+  const [cmp] = detectCmp({
+    scripts: ['https://consent.cookiebot.com/uc.js'],
+    globals: ['Cookiebot'],
+    selectors: ['#CybotCookiebotDialog']
+  });
+  assert.equal(cmp.id, 'cookiebot');
+  assert.equal(cmp.confidence, 'high');
+  assert.deepEqual(cmp.evidence.map(evidence => evidence.type), ['script', 'global', 'dom']);
+
+  const [byCookie] = detectCmp(noSignals, ['OptanonConsent']);
+  assert.equal(byCookie.id, 'onetrust');
+  assert.equal(byCookie.confidence, 'low');
+});
+
+test('detectCmp does not take the generic CookieConsent global or cookie for Cookiebot', () => {
+  assert.deepEqual(detectCmp({ ...noSignals, globals: ['CookieConsent'] }, ['CookieConsent']), []);
+});
@@ -0,0 +1,267 @@
+// Google Consent Mode: consent commands in the dataLayer and the gcs/gcd consent state of Google tag hits
+
+const { text } = require('./i18n');
+const { tagManagerScript } = require('./attribution');
+
+const CONSENT_TYPES = ['ad_storage', 'analytics_storage', 'ad_user_data', 'ad_personalization'];
+// Consent Mode v1 types; v2 (required for EEA traffic since March 2024) adds ad_user_data and ad_personalization
+const STORAGE_TYPES = ['ad_storage', 'analytics_storage'];
+
+// gcd letter of one consent type: [default, update]; "l" means the tag got no signal at all
+const GCD_STATES = {
+  l: [null, null],
+  p: ['denied', null],
+  q: ['denied', 'denied'],
+  t: ['granted', null],
+  r: ['denied', 'granted'],
+  m: [null, 'denied'],
+  n: [null, 'granted'],
+  u: ['granted', 'denied'],
+  v: ['granted', 'granted']
+};
+
+// "11p1p1p1p5": a letter per consent type, in CONSENT_TYPES order, between digits
+const GCD_PATTERN = /^\d{2}([a-z])\d([a-z])\d([a-z])\d([a-z])/i;
+// "G1" + ad_storage + analytics_storage, 1 granted, 0 denied, - unknown
+const GCS_PATTERN = /^G1([01-])([01-])$/;
+
+const MAX_EXAMPLE_HITS = 5;
+
+function decodeGcd(value) {
+  const match = String(value || '').match(GCD_PATTERN);
+  if (!match) return null;
+
+  const states = {};
+  CONSENT_TYPES.forEach((type, i) => {
+    const [defaultState, update] = GCD_STATES[match[i + 1].toLowerCase()] || [null, null];
+    states[type] = { default: defaultState, update };
+  });
+  return states;
+}
+
+function decodeGcs(value) {
+  const match = String(value || '').match(GCS_PATTERN);
+  if (!match) return null;
+
+  const state = flag => (flag === '1' ? 'granted' : flag === '0' ? 'denied' : null);
+  return { ad_storage: state(match[1]), analytics_storage: state(match[2]) };
+}
+
+// A Google tag hit carrying Consent Mode parameters, or null. Analytics hits count as cookieless pings when
+// analytics_storage is denied, ads hits when ad_storage is.
+function parseGoogleHit(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return null;
+  }
+
+  const gcs = parsed.searchParams.get('gcs');
+  const gcd = parsed.searchParams.get('gcd');
+  if (!gcs && !gcd) return null;
+
+  const fromGcd = decodeGcd(gcd);
+  const fromGcs = decodeGcs(gcs) || {};
+  const consent = {};
+  const defaults = {};
+  for (const type of CONSENT_TYPES) {
+    consent[type] = fromGcd?.[type].update || fromGcd?.[type].default || fromGcs[type] || null;
+    defaults[type] = fromGcd?.[type].default || null;
+  }
+
+  const kind = /\/(?:g\/)?collect$/.test(parsed.pathname) ? 'analytics' : 'ads';
+  return {
+    url: `${parsed.origin}${parsed.pathname}`,
+    kind,
+    gcs,
+    gcd,
+    consent,
+    defaults,
+    cookieless: consent[kind === 'analytics' ? 'analytics_storage' : 'ad_storage'] === 'denied'
+  };
+}
+
+function summarizeHits(hits) {
+  return {
+    total: hits.length,
+    cookieless: hits.filter(hit => hit.cookieless).length,
+    full: hits.filter(hit => !hit.cookieless).length,
+    examples: hits.slice(0, MAX_EXAMPLE_HITS)
+  };
+}
+
+// Runs inside the page. gtag() pushes its Arguments object, so commands are array-like entries;
+// tag commands (config/event) are tracked to see whether the default came first.
+function readConsentCommands() {
+  const layer = window.dataLayer;
+  if (!Array.isArray(layer)) return null;
+
+  const commands = [];
+  let firstTagIndex = null;
+  layer.forEach((entry, index) => {
+    if (!entry || typeof entry !== 'object' || typeof entry.length !== 'number') return;
+    if (entry[0] === 'consent' && ['default', 'update'].includes(entry[1])) {
+      let state = {};
+      try {
+        state = JSON.parse(JSON.stringify(entry[2] || {}));
+      } catch {}
+      commands.push({ index, command: entry[1], state });
+    } else if (firstTagIndex === null && (entry[0] === 'config' || entry[0] === 'event')) {
+      firstTagIndex = index;
+    }
+  });
+
+  return { length: layer.length, commands, firstTagIndex };
+}
+
+// gtag() calls in inline scripts of the page HTML, in source order; static scans have no dataLayer to read
+const GTAG_CALL_PATTERN = /\bgtag\s*\(\s*(['"])(consent|config|event)\1\s*,\s*(?:(['"])(default|update)\3\s*,\s*)?/g;
+const STATE_ENTRY_PATTERN = /(['"]?)(\w+)\1\s*:\s*(?:(['"])([^'"]*)\3|\[([^\]]*)\])/g;
+
+// Object literal starting at the "{" at `start`, up to its matching brace
+function objectLiteralAt(source, start) {
+  if (source[start] !== '{') return null;
+  let depth = 0;
+  for (let i = start; i < source.length; i++) {
+    if (source[i] === '{') depth++;
+    if (source[i] === '}' && --depth === 0) return source.slice(start, i + 1);
+  }
+  return null;
+}
+
+// String and string-list values of a literal like { ad_storage: 'denied', region: ['DE', 'AT'] }
+function parseConsentState(literal) {
+  const state = {};
+  for (const match of literal.matchAll(STATE_ENTRY_PATTERN)) {
+    state[match[2]] = match[5] !== undefined
+      ? match[5].split(',').map(item => item.trim().replace(/^['"]|['"]$/g, '')).filter(Boolean)
+      : match[4];
+  }
+  return state;
+}
+
+// Same shape as readConsentCommands, or null when the HTML has no gtag() calls
+function parseConsentCommands(html) {
+  const source = String(html || '');
+  const commands = [];
+  let firstTagIndex = null;
+  let index = 0;
+
+  for (const match of source.matchAll(GTAG_CALL_PATTERN)) {
+    if (match[2] === 'consent') {
+      if (!match[4]) continue;
+      const literal = objectLiteralAt(source, match.index + match[0].length);
+      commands.push({ index, command: match[4], state: literal ? parseConsentState(literal) : {} });
+    } else if (firstTagIndex === null) {
+      firstTagIndex = index;
+    }
+    index++;
+  }
+
+  return index > 0 ? { length: index, commands, firstTagIndex } : null;
+}
+
+function grantedTypes(state = {}) {
+  return CONSENT_TYPES.filter(type => state[type] === 'granted');
+}
+
+// Defaults actually applied: the gcd of the first hit when there is one, otherwise the dataLayer commands
+// (commands without a region first, regional ones only fill gaps since the scanner's region is unknown)
+function resolveDefaults(commands, hits) {
+  const defaults = Object.fromEntries(CONSENT_TYPES.map(type => [type, null]));
+  let source = null;
+
+  const defaultCommands = commands.filter(c => c.command === 'default');
+  for (const command of [...defaultCommands.filter(c => !c.state.region), ...defaultCommands.filter(c => c.state.region)]) {
+    for (const type of CONSENT_TYPES) {
+      if (defaults[type] === null && ['granted', 'denied'].includes(command.state[type])) {
+        defaults[type] = command.state[type];
+        source = 'dataLayer';
+      }
+    }
+  }
+
+  const firstHit = hits.find(hit => hit.gcd && Object.values(hit.defaults).some(Boolean));
+  if (firstHit) {
+    for (const type of CONSENT_TYPES) {
+      if (firstHit.defaults[type]) defaults[type] = firstHit.defaults[type];
+    }
+    source = 'gcd';
+  }
+
+  return { defaults, source };
+}
+
+// before: { requests, layer } of the first page load; accept/reject: { clicked, updates, hits } of the consent scenarios.
+// partial: only the page HTML was seen, so a missing default may still be set by a script (CMP, GTM template).
+function analyzeConsentMode({ requests = [], layer = null, accept = null, reject = null, partial = false }) {
+  const commands = layer?.commands || [];
+  const hits = requests.map(request => parseGoogleHit(request.url)).filter(Boolean);
+  const googleTags = hits.length > 0 || requests.some(request => tagManagerScript(request.url));
+  const { defaults, source } = resolveDefaults(commands, hits);
+  const found = commands.length > 0 || hits.some(hit => hit.gcs || hit.gcd);
+
+  const deniedByDefault = STORAGE_TYPES.every(type => defaults[type] === 'denied');
+  const version = CONSENT_TYPES.every(type => defaults[type]) ? 2 : STORAGE_TYPES.some(type => defaults[type]) ? 1 : null;
+  const beforeConsent = summarizeHits(hits);
+
+  const issues = [];
+  const issue = (type, severity, params = {}) => issues.push({ type, severity, ...text(`consentMode.${type}`, params) });
+
+  if (!found) {
+    if (googleTags && !partial) issue('not-configured', 'MEDIUM');
+  } else {
+    // Types without a default count as granted, that is how Google tags treat them
+    const notDenied = STORAGE_TYPES.filter(type => defaults[type] !== 'denied')
+      .concat(CONSENT_TYPES.filter(type => !STORAGE_TYPES.includes(type) && defaults[type] === 'granted'));
+    if (notDenied.length > 0) issue('default-granted', 'HIGH', { types: notDenied });
+
+    const missingV2 = CONSENT_TYPES.filter(type => !STORAGE_TYPES.includes(type) && !defaults[type]);
+    if (missingV2.length > 0) issue('missing-v2', 'MEDIUM', { types: missingV2 });
+
+    const firstDefault = commands.find(c => c.command === 'default');
+    if (firstDefault && layer.firstTagIndex !== null && firstDefault.index > layer.firstTagIndex) {
+      issue('default-late', 'MEDIUM');
+    }
+
+    const autoGranted = [...new Set(commands.filter(c => c.command === 'update').flatMap(c => grantedTypes(c.state)))];
+    if (autoGranted.length > 0) issue('update-without-consent', 'HIGH', { types: autoGranted });
+
+    if (beforeConsent.full > 0) issue('full-hits-before-consent', 'HIGH', { count: beforeConsent.full });
+    if (reject?.clicked && reject.hits.full > 0) issue('full-hits-after-reject', 'HIGH', { count: reject.hits.full });
+
+    // Accepting must send a consent update, otherwise the site keeps measuring cookieless
+    if (accept?.clicked && !accept.updates.some(c => grantedTypes(c.state).length > 0) && accept.hits.full === 0) {
+      issue('no-update-after-accept', 'LOW');
+    }
+  }
+
+  return {
+    found,
+    evaluated: found || !partial,
+    googleTags,
+    version,
+    defaults,
+    defaultsSource: source,
+    deniedByDefault,
+    commands,
+    hits: {
+      beforeConsent,
+      afterAccept: accept?.clicked ? accept.hits : null,
+      afterReject: reject?.clicked ? reject.hits : null
+    },
+    issues
+  };
+}
+
+module.exports = {
+  CONSENT_TYPES,
+  decodeGcd,
+  decodeGcs,
+  parseGoogleHit,
+  summarizeHits,
+  readConsentCommands,
+  parseConsentCommands,
+  analyzeConsentMode
+};
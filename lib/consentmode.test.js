@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeGcd, decodeGcs, parseGoogleHit, parseConsentCommands, analyzeConsentMode } = require('./consentmode');
+
+const gtagScript = { url: 'https://www.googletagmanager.com/gtag/js?id=G-TEST123' };
+
+const snippet = `<script>
+  window.dataLayer = window.dataLayer || [];
+  function gtag(){dataLayer.push(arguments);}
+  gtag('consent', 'default', {
+    'ad_storage': 'denied',
+    analytics_storage: "denied",
+    ad_user_data: 'denied',
+    ad_personalization: 'denied',
+    region: ['DE', 'AT'],
+    wait_for_update: 500
+  });
+  gtag('js', new Date());
+  gtag('config', 'G-TEST123');
+</script>`;
+
+test('decodeGcd reads the default and update state of every consent type', () => {
+  assert.deepEqual(decodeGcd('13r3p3l3v5'), {
+    ad_storage: { default: 'denied', update: 'granted' },
+    analytics_storage: { default: 'denied', update: null },
+    ad_user_data: { default: null, update: null },
+    ad_personalization: { default: 'granted', update: 'granted' }
+  });
+  assert.equal(decodeGcd('bogus'), null);
+  assert.equal(decodeGcd(null), null);
+});
+
+test('decodeGcs reads ad_storage and analytics_storage', () => {
+  assert.deepEqual(decodeGcs('G101'), { ad_storage: 'denied', analytics_storage: 'granted' });
+  assert.deepEqual(decodeGcs('G1-1'), { ad_storage: null, analytics_storage: 'granted' });
+  assert.equal(decodeGcs('G2'), null);
+});
+
+test('parseGoogleHit tells cookieless pings from full hits', () => {
+  const ping = parseGoogleHit('https://region1.google-analytics.com/g/collect?v=2&tid=G-TEST123&gcs=G100&gcd=13p3p3p3p5');
+  assert.equal(ping.kind, 'analytics');
+  assert.equal(ping.cookieless, true);
+  assert.deepEqual(ping.defaults, { ad_storage: 'denied', analytics_storage: 'denied', ad_user_data: 'denied', ad_personalization: 'denied' });
+
+  const full = parseGoogleHit('https://googleads.g.doubleclick.net/pagead/viewthroughconversion/123/?gcd=13r3r3r3r5');
+  assert.equal(full.kind, 'ads');
+  assert.equal(full.cookieless, false);
+
+  assert.equal(parseGoogleHit('https://www.google-analytics.com/g/collect?v=2'), null);
+  assert.equal(parseGoogleHit('not a url'), null);
+});
+
+test('parseConsentCommands reads inline gtag consent calls in source order', () => {
+  const layer = parseConsentCommands(snippet);
+  assert.equal(layer.commands.length, 1);
+  assert.deepEqual(layer.commands[0], {
+    index: 0,
+    command: 'default',
+    state: {
+      ad_storage: 'denied',
+      analytics_storage: 'denied',
+      ad_user_data: 'denied',
+      ad_personalization: 'denied',
+      region: ['DE', 'AT']
+    }
+  });
+  assert.equal(layer.firstTagIndex, 1);
+});
+
+test('parseConsentCommands returns null without gtag calls', () => {
+  assert.equal(parseConsentCommands('<html><body>No tags</body></html>'), null);
+});
+
+test('analyzeConsentMode flags a default set after the first tag', () => {
+  const html = `<script>gtag('config', 'G-TEST123'); gtag("consent", "default", {ad_storage: "denied", analytics_storage: "denied"});</script>`;
+  const result = analyzeConsentMode({ requests: [gtagScript], layer: parseConsentCommands(html), partial: true });
+  assert.equal(result.found, true);
+  assert.equal(result.version, 1);
+  assert.deepEqual(result.issues.map(issue => issue.type), ['missing-v2', 'default-late']);
+});
+
+test('analyzeConsentMode does not report a missing setup from the HTML alone', () => {
+  const partial = analyzeConsentMode({ requests: [gtagScript], layer: parseConsentCommands('<p></p>'), partial: true });
+  assert.equal(partial.evaluated, false);
+  assert.deepEqual(partial.issues, []);
+
+  const full = analyzeConsentMode({ requests: [gtagScript], layer: { length: 0, commands: [], firstTagIndex: null } });
+  assert.equal(full.evaluated, true);
+  assert.deepEqual(full.issues.map(issue => issue.type), ['not-configured']);
+});
@@ -0,0 +1,158 @@
+// Cookie classification: purpose category, lifetime and first/third-party analysis
+
+const fs = require('fs');
+const path = require('path');
+const { getRegistrableDomain } = require('./trackers');
+
+const COOKIE_DATABASE_FILE = path.join(__dirname, '..', 'data', 'cookies.json');
+
+const COOKIE_CATEGORIES = ['strictly-necessary', 'preferences', 'statistics', 'marketing', 'unknown'];
+
+// Categories that may be set before the visitor gives consent; preferences need consent too
+const ESSENTIAL_CATEGORIES = ['strictly-necessary'];
+
+// CNIL guidance: consent and audience-measurement cookies should not live longer than 13 months
+const MAX_LIFETIME_DAYS = 395;
+
+// Maps tracker catalogue categories onto cookie purpose categories; chat and form widgets
+// keep visitor identifiers, so they land in a category that needs consent
+const TRACKER_CATEGORY_MAP = {
+  analytics: 'statistics',
+  performance: 'statistics',
+  'tag-manager': 'statistics',
+  marketing: 'marketing',
+  advertising: 'marketing',
+  social: 'marketing',
+  media: 'marketing',
+  chat: 'preferences',
+  forms: 'preferences',
+  security: 'strictly-necessary'
+};
+
+function wildcardToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function computeLifetime(cookie, now = Date.now()) {
+  // Puppeteer/CDP report session cookies with expires -1 (or session: true)
+  if (cookie.session || typeof cookie.expires !== 'number' || cookie.expires <= 0) {
+    return { session: true, expires: null, lifetimeDays: null };
+  }
+
+  const expiresMs = cookie.expires * 1000;
+  return {
+    session: false,
+    expires: new Date(expiresMs).toISOString(),
+    lifetimeDays: Math.max(0, Math.round((expiresMs - now) / 86400000))
+  };
+}
+
+class CookieClassifier {
+  constructor(database = { cookies: [], rules: [] }, trackerDb = null) {
+    this.exact = new Map();
+    this.wildcards = [];
+    this.rules = [];
+    this.trackerDb = trackerDb;
+
+    for (const entry of database.cookies || []) {
+      if (entry.name.includes('*')) {
+        this.wildcards.push({ ...entry, matcher: wildcardToRegExp(entry.name) });
+      } else {
+        this.exact.set(entry.name, entry);
+      }
+    }
+
+    for (const rule of database.rules || []) {
+      this.rules.push({ ...rule, matcher: new RegExp(rule.pattern, rule.flags || '') });
+    }
+  }
+
+  static load(trackerDb = null, file = COOKIE_DATABASE_FILE) {
+    let database = { cookies: [], rules: [] };
+    try {
+      database = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+      console.warn(`[COOKIES] Could not load cookie database ${file}: ${error.message}`);
+    }
+    return new CookieClassifier(database, trackerDb);
+  }
+
+  // Known cookie database first, then the tracker catalogue, then regex rules
+  categorize(name) {
+    const known = this.exact.get(name) || this.wildcards.find(entry => entry.matcher.test(name));
+    if (known) {
+      return { category: known.category, source: 'database', vendor: known.vendor || null, description: known.description || null };
+    }
+
+    const tracker = this.trackerDb ? this.trackerDb.matchCookie(name) : null;
+    if (tracker && TRACKER_CATEGORY_MAP[tracker.category]) {
+      return { category: TRACKER_CATEGORY_MAP[tracker.category], source: 'tracker', vendor: tracker.name, description: null };
+    }
+
+    const rule = this.rules.find(r => r.matcher.test(name));
+    if (rule) {
+      return { category: rule.category, source: 'rule', vendor: null, description: rule.description || null };
+    }
+
+    return { category: 'unknown', source: null, vendor: null, description: null };
+  }
+
+  classify(cookie, siteUrl = null, now = Date.now()) {
+    const name = cookie.name || '';
+    const lifetime = computeLifetime(cookie, now);
+
+    let thirdParty = null;
+    if (siteUrl && cookie.domain) {
+      try {
+        const siteDomain = getRegistrableDomain(new URL(siteUrl).hostname);
+        thirdParty = getRegistrableDomain(cookie.domain) !== siteDomain;
+      } catch {}
+    }
+
+    return {
+      name,
+      domain: cookie.domain,
+      path: cookie.path,
+      secure: cookie.secure || false,
+      httpOnly: cookie.httpOnly || false,
+      sameSite: cookie.sameSite || 'none',
+      ...this.categorize(name),
+      ...lifetime,
+      excessiveLifetime: lifetime.lifetimeDays !== null && lifetime.lifetimeDays > MAX_LIFETIME_DAYS,
+      thirdParty
+    };
+  }
+
+  classifyAll(cookies, siteUrl = null) {
+    const now = Date.now();
+    return cookies.map(cookie => this.classify(cookie, siteUrl, now));
+  }
+
+  isEssential(cookie) {
+    const category = cookie.category || this.categorize(cookie.name || '').category;
+    return ESSENTIAL_CATEGORIES.includes(category);
+  }
+}
+
+function summarizeCookies(classified) {
+  const byCategory = Object.fromEntries(COOKIE_CATEGORIES.map(c => [c, 0]));
+  for (const cookie of classified) byCategory[cookie.category]++;
+
+  return {
+    byCategory,
+    firstParty: classified.filter(c => c.thirdParty === false).length,
+    thirdParty: classified.filter(c => c.thirdParty === true).length,
+    session: classified.filter(c => c.session).length,
+    excessiveLifetime: classified.filter(c => c.excessiveLifetime).map(c => c.name)
+  };
+}
+
+module.exports = {
+  CookieClassifier,
+  COOKIE_CATEGORIES,
+  ESSENTIAL_CATEGORIES,
+  MAX_LIFETIME_DAYS,
+  computeLifetime,
+  summarizeCookies
+};
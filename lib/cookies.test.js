@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CookieClassifier, computeLifetime, summarizeCookies } = require('./cookies');
+const { TrackerDatabase } = require('./trackers');
+
+const now = Date.UTC(2026, 0, 1);
+const day = 86400;
+
+function trackerDb() {
+  const db = new TrackerDatabase();
+  db.addVendor({
+    vendor: 'Chat, Inc.',
+    trackers: [
+      { id: 'chat', name: 'Chat Widget', category: 'chat', domains: ['chat.example'], cookies: ['chat_visitor_*'] },
+      { id: 'shield', name: 'Bot Shield', category: 'security', domains: ['shield.example'], cookies: ['__shield'] }
+    ]
+  });
+  db.buildIndex();
+  return db;
+}
+
+const classifier = CookieClassifier.load(trackerDb());
+
+test('tracking cookies named like sessions are not strictly necessary', () => {
+  assert.equal(classifier.categorize('tracking_session').category, 'statistics');
+  assert.equal(classifier.categorize('analytics_session').category, 'statistics');
+  assert.equal(classifier.categorize('ads_sid').category, 'marketing');
+  assert.equal(classifier.categorize('sessionid').category, 'strictly-necessary');
+  assert.equal(classifier.categorize('shop_sess').category, 'strictly-necessary');
+});
+
+test('the cookie database wins over the tracker catalogue and rules', () => {
+  assert.deepEqual(classifier.categorize('PHPSESSID'), { category: 'strictly-necessary', source: 'database', vendor: null, description: 'PHP server session' });
+  assert.equal(classifier.categorize('_ga').source, 'database');
+  assert.deepEqual(classifier.categorize('chat_visitor_42'), { category: 'preferences', source: 'tracker', vendor: 'Chat Widget', description: null });
+  assert.equal(classifier.categorize('no-match-here').category, 'unknown');
+});
+
+test('only strictly necessary cookies may be set before consent', () => {
+  assert.equal(classifier.isEssential({ name: 'csrftoken' }), true);
+  assert.equal(classifier.isEssential({ name: '__shield' }), true);
+  assert.equal(classifier.isEssential({ name: 'lang' }), false);
+  assert.equal(classifier.isEssential({ name: 'chat_visitor_42' }), false);
+  assert.equal(classifier.isEssential({ name: 'anything', category: 'strictly-necessary' }), true);
+});
+
+test('classify reports lifetime and third-party origin', () => {
+  const cookie = classifier.classify({ name: '_ga', domain: '.google-analytics.com', path: '/', expires: now / 1000 + 400 * day }, 'https://www.example.com/', now);
+  assert.equal(cookie.lifetimeDays, 400);
+  assert.equal(cookie.excessiveLifetime, true);
+  assert.equal(cookie.thirdParty, true);
+  assert.equal(cookie.sameSite, 'none');
+
+  const session = classifier.classify({ name: 'sessionid', domain: 'shop.example.com', expires: -1 }, 'https://www.example.com/', now);
+  assert.equal(session.session, true);
+  assert.equal(session.thirdParty, false);
+});
+
+test('computeLifetime treats missing or negative expiry as a session cookie', () => {
+  assert.deepEqual(computeLifetime({ expires: -1 }, now), { session: true, expires: null, lifetimeDays: null });
+  assert.deepEqual(computeLifetime({ session: true, expires: now / 1000 + day }, now), { session: true, expires: null, lifetimeDays: null });
+  assert.equal(computeLifetime({ expires: now / 1000 + 30 * day }, now).lifetimeDays, 30);
+});
+
+test('summarizeCookies counts categories and origins', () => {
+  const classified = classifier.classifyAll([
+    { name: '_ga', domain: '.example.com', expires: Date.now() / 1000 + 800 * day },
+    { name: 'sessionid', domain: 'example.com', expires: -1 },
+    { name: '_fbp', domain: '.facebook.com', expires: -1 }
+  ], 'https://example.com/');
+  const summary = summarizeCookies(classified);
+  assert.equal(summary.byCategory.statistics, 1);
+  assert.equal(summary.byCategory['strictly-necessary'], 1);
+  assert.equal(summary.byCategory.marketing, 1);
+  assert.equal(summary.firstParty, 2);
+  assert.equal(summary.thirdParty, 1);
+  assert.equal(summary.session, 2);
+  assert.deepEqual(summary.excessiveLifetime, ['_ga']);
+});
@@ -0,0 +1,189 @@
+// Site crawl helpers: same-site link discovery, sitemap parsing and result aggregation
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+
+const DEFAULT_MAX_PAGES = 10;
+const MAX_PAGES_LIMIT = 50;
+const DEFAULT_MAX_DEPTH = 2;
+const MAX_DEPTH_LIMIT = 5;
+
+const SKIPPED_EXTENSIONS = /\.(pdf|jpe?g|png|gif|svg|webp|ico|zip|rar|7z|gz|docx?|xlsx?|pptx?|mp3|mp4|avi|mov|css|js|xml|json|txt|woff2?|ttf|eot)$/i;
+
+// Pages where trackers and personal-data forms usually live are crawled first
+const PRIORITY_KEYWORDS = [
+  'kontakt', 'contact', 'checkout', 'pokladna', 'pokladňa', 'kosik', 'cart', 'basket',
+  'objednavka', 'order', 'registr', 'register', 'signup', 'login', 'prihlas', 'account', 'ucet',
+  'newsletter', 'blog', 'clanky', 'novinky', 'formular', 'form'
+];
+
+function normalizeCrawlOptions(crawl = {}) {
+  const options = typeof crawl === 'object' && crawl !== null ? crawl : {};
+  const clamp = (value, fallback, max) => {
+    const n = parseInt(value, 10);
+    return Number.isFinite(n) && n > 0 ? Math.min(n, max) : fallback;
+  };
+
+  return {
+    maxPages: clamp(options.maxPages, DEFAULT_MAX_PAGES, MAX_PAGES_LIMIT),
+    maxDepth: clamp(options.maxDepth, DEFAULT_MAX_DEPTH, MAX_DEPTH_LIMIT),
+    sitemap: options.sitemap !== false,
+    consentInteractionOnSubpages: options.consentInteractionOnSubpages === true
+  };
+}
+
+function stripWww(hostname) {
+  return hostname.toLowerCase().replace(/^www\./, '');
+}
+
+function isSameSite(url, baseUrl) {
+  try {
+    return stripWww(new URL(url).hostname) === stripWww(new URL(baseUrl).hostname);
+  } catch {
+    return false;
+  }
+}
+
+// Absolute http(s) URL without fragment, or null for anything not worth crawling
+function normalizeUrl(href, baseUrl) {
+  try {
+    const url = new URL(href, baseUrl);
+    if (!['http:', 'https:'].includes(url.protocol)) return null;
+    if (SKIPPED_EXTENSIONS.test(url.pathname)) return null;
+    url.hash = '';
+    return url.toString();
+  } catch {
+    return null;
+  }
+}
+
+function extractLinks($, baseUrl) {
+  const links = new Set();
+  $('a[href]').each((i, el) => {
+    const url = normalizeUrl($(el).attr('href'), baseUrl);
+    if (url && isSameSite(url, baseUrl)) links.add(url);
+  });
+  return [...links];
+}
+
+function urlPriority(url) {
+  let lower = url.toLowerCase();
+  try {
+    lower = decodeURIComponent(lower);
+  } catch {}
+  return PRIORITY_KEYWORDS.some(keyword => lower.includes(keyword)) ? 0 : 1;
+}
+
+async function fetchXml(url) {
+  const response = await axios.get(url, {
+    timeout: 15000,
+    maxContentLength: 10 * 1024 * 1024,
+    responseType: 'text',
+    validateStatus: status => status < 400,
+    headers: { 'User-Agent': 'Mozilla/5.0 (compatible; GDPR-Checker/1.0)' }
+  });
+  return response.data;
+}
+
+// Reads robots.txt Sitemap: lines and /sitemap.xml, following one level of sitemap indexes
+async function fetchSitemapUrls(startUrl, limit = MAX_PAGES_LIMIT * 4) {
+  const origin = new URL(startUrl).origin;
+  const sitemaps = new Set([`${origin}/sitemap.xml`]);
+  const urls = new Set();
+
+  try {
+    const robots = await fetchXml(`${origin}/robots.txt`);
+    for (const line of String(robots).split('\n')) {
+      const match = line.match(/^\s*sitemap:\s*(\S+)/i);
+      if (match) sitemaps.add(match[1]);
+    }
+  } catch {}
+
+  const queue = [...sitemaps];
+  const visited = new Set();
+  while (queue.length > 0 && visited.size < 10 && urls.size < limit) {
+    const sitemapUrl = queue.shift();
+    if (visited.has(sitemapUrl)) continue;
+    visited.add(sitemapUrl);
+
+    try {
+      const $ = cheerio.load(await fetchXml(sitemapUrl), { xmlMode: true });
+      const isIndex = $('sitemapindex').length > 0;
+      $('loc').each((i, el) => {
+        const loc = $(el).text().trim();
+        if (isIndex) {
+          queue.push(loc);
+        } else {
+          const url = normalizeUrl(loc, startUrl);
+          if (url && isSameSite(url, startUrl) && urls.size < limit) urls.add(url);
+        }
+      });
+    } catch {}
+  }
+
+  return [...urls];
+}
+
+// Site-level view across all crawled pages
+function aggregateSiteResults(pages) {
+  const scanned = pages.filter(p => !p.error);
+  const trackers = new Map();
+  const cookies = new Map();
+  const pagesWithViolations = [];
+
+  for (const page of scanned) {
+    for (const service of page.thirdPartyServices || []) {
+      const key = service.id || service.name;
+      if (!trackers.has(key)) trackers.set(key, { ...service, pages: [] });
+      trackers.get(key).pages.push(page.url);
+    }
+
+    for (const cookie of page.checks?.cookies?.cookies || []) {
+      const key = `${cookie.name}@${cookie.domain}`;
+      if (!cookies.has(key)) {
+        cookies.set(key, {
+          name: cookie.name,
+          domain: cookie.domain,
+          category: cookie.category,
+          thirdParty: cookie.thirdParty,
+          lifetimeDays: cookie.lifetimeDays,
+          pages: []
+        });
+      }
+      cookies.get(key).pages.push(page.url);
+    }
+
+    const violations = [
+      ...(page.checks?.preConsentViolations?.violations || []),
+      ...(page.checks?.consentInteraction?.violations || [])
+    ];
+    if (violations.length > 0) {
+      pagesWithViolations.push({
+        url: page.url,
+        violations: violations.map(v => ({ type: v.type, severity: v.severity, messageId: v.messageId, params: v.params, message: v.message }))
+      });
+    }
+  }
+
+  const scores = scanned.map(p => p.score);
+  return {
+    pagesScanned: scanned.length,
+    pagesFailed: pages.length - scanned.length,
+    averageScore: scores.length ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : 0,
+    minScore: scores.length ? Math.min(...scores) : 0,
+    pageScores: pages.map(p => ({ url: p.url, depth: p.depth, score: p.score, error: p.error || null })),
+    trackers: [...trackers.values()],
+    cookies: [...cookies.values()],
+    pagesWithViolations
+  };
+}
+
+module.exports = {
+  normalizeCrawlOptions,
+  normalizeUrl,
+  isSameSite,
+  extractLinks,
+  urlPriority,
+  fetchSitemapUrls,
+  aggregateSiteResults
+};
@@ -0,0 +1,105 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const cheerio = require('cheerio');
+const {
+  normalizeCrawlOptions,
+  normalizeUrl,
+  isSameSite,
+  extractLinks,
+  urlPriority,
+  fetchSitemapUrls,
+  aggregateSiteResults
+} = require('./crawler');
+
+test('normalizeCrawlOptions clamps limits and falls back to defaults', () => {
+  assert.deepEqual(normalizeCrawlOptions(true), { maxPages: 10, maxDepth: 2, sitemap: true, consentInteractionOnSubpages: false });
+  assert.deepEqual(normalizeCrawlOptions({ maxPages: '500', maxDepth: 0, sitemap: false, consentInteractionOnSubpages: true }), {
+    maxPages: 50,
+    maxDepth: 2,
+    sitemap: false,
+    consentInteractionOnSubpages: true
+  });
+});
+
+test('normalizeUrl drops fragments, other schemes and file downloads', () => {
+  assert.equal(normalizeUrl('/kontakt#form', 'https://example.com/a/'), 'https://example.com/kontakt');
+  assert.equal(normalizeUrl('mailto:info@example.com', 'https://example.com/'), null);
+  assert.equal(normalizeUrl('/files/terms.PDF', 'https://example.com/'), null);
+  assert.equal(normalizeUrl('http://[bad', 'https://example.com/'), null);
+});
+
+test('extractLinks keeps same-site links once, ignoring www', () => {
+  const $ = cheerio.load(`
+    <a href="/blog">Blog</a><a href="https://www.example.com/blog#top">Blog</a>
+    <a href="https://shop.example.com/">Shop</a><a href="https://other.com/">Other</a>
+  `);
+  assert.deepEqual(extractLinks($, 'https://example.com/'), ['https://example.com/blog', 'https://www.example.com/blog']);
+  assert.equal(isSameSite('https://www.example.com/', 'https://example.com/x'), true);
+  assert.equal(isSameSite('not a url', 'https://example.com/'), false);
+});
+
+test('urlPriority puts forms and checkout pages first', () => {
+  assert.equal(urlPriority('https://example.com/kontakt'), 0);
+  assert.equal(urlPriority('https://example.com/poklad%C5%88a'), 0);
+  assert.equal(urlPriority('https://example.com/o-nas'), 1);
+});
+
+test('fetchSitemapUrls reads robots.txt sitemaps and sitemap indexes', async () => {
+  const server = http.createServer((req, res) => {
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    const pages = {
+      '/robots.txt': `User-agent: *\nSitemap: ${origin}/sitemap-index.xml\n`,
+      '/sitemap.xml': `<urlset><url><loc>${origin}/</loc></url></urlset>`,
+      '/sitemap-index.xml': `<sitemapindex><sitemap><loc>${origin}/pages.xml</loc></sitemap></sitemapindex>`,
+      '/pages.xml': `<urlset><url><loc>${origin}/kontakt</loc></url><url><loc>https://other.com/</loc></url><url><loc>${origin}/cennik.pdf</loc></url></urlset>`
+    };
+    if (!pages[req.url]) {
+      res.statusCode = 404;
+      return res.end();
+    }
+    res.end(pages[req.url]);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const origin = `http://127.0.0.1:${server.address().port}`;
+    assert.deepEqual(await fetchSitemapUrls(`${origin}/`), [`${origin}/`, `${origin}/kontakt`]);
+  } finally {
+    server.close();
+  }
+});
+
+test('aggregateSiteResults merges trackers, cookies and violations across pages', () => {
+  const pages = [
+    {
+      url: 'https://example.com/',
+      depth: 0,
+      score: 60,
+      thirdPartyServices: [{ id: 'google-analytics', name: 'Google Analytics' }],
+      checks: {
+        cookies: { cookies: [{ name: '_ga', domain: '.example.com', category: 'statistics', thirdParty: false, lifetimeDays: 395 }] },
+        preConsentViolations: { violations: [{ type: 'tracking-requests', severity: 'high', messageId: 'violation.tracking', params: { count: 1 }, message: 'Tracking' }] }
+      }
+    },
+    {
+      url: 'https://example.com/kontakt',
+      depth: 1,
+      score: 80,
+      thirdPartyServices: [{ id: 'google-analytics', name: 'Google Analytics' }],
+      checks: { cookies: { cookies: [{ name: '_ga', domain: '.example.com', category: 'statistics' }] } }
+    },
+    { url: 'https://example.com/broken', depth: 1, score: 0, error: 'timeout' }
+  ];
+  const site = aggregateSiteResults(pages);
+
+  assert.equal(site.pagesScanned, 2);
+  assert.equal(site.pagesFailed, 1);
+  assert.equal(site.averageScore, 70);
+  assert.equal(site.minScore, 60);
+  assert.deepEqual(site.trackers[0].pages, ['https://example.com/', 'https://example.com/kontakt']);
+  assert.equal(site.cookies.length, 1);
+  assert.equal(site.cookies[0].pages.length, 2);
+  assert.deepEqual(site.pagesWithViolations.map(page => page.url), ['https://example.com/']);
+  assert.equal(site.pageScores[2].error, 'timeout');
+});
@@ -0,0 +1,112 @@
+// Minimal 5-field cron expressions ("*/30 * * * *", "0 6 * * 1-5") evaluated in server local time
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 }
+];
+
+const MINUTE_MS = 60 * 1000;
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+function parseField(value, { name, min, max }) {
+  const allowed = new Set();
+
+  for (const part of value.split(',')) {
+    const match = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!match) throw new Error(`Invalid ${name} field "${value}"`);
+
+    const [, range, stepText] = match;
+    const step = stepText ? parseInt(stepText, 10) : 1;
+    let [from, to] = range === '*' ? [min, max] : range.split('-').map(n => parseInt(n, 10));
+    if (to === undefined) to = stepText ? max : from;
+
+    if (step < 1 || from < min || to > max || from > to) {
+      throw new Error(`Invalid ${name} field "${value}"`);
+    }
+    for (let n = from; n <= to; n += step) allowed.add(n);
+  }
+
+  return allowed;
+}
+
+function parseCron(expression) {
+  const normalized = SHORTCUTS[String(expression).trim()] || String(expression).trim();
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got "${expression}"`);
+  }
+
+  const [minute, hour, dayOfMonth, month, dayOfWeek] = parts.map((part, i) => parseField(part, FIELDS[i]));
+  // 7 is an alias for Sunday
+  if (dayOfWeek.has(7)) dayOfWeek.add(0);
+
+  const minutes = [...minute].sort((x, y) => x - y);
+  const domRestricted = parts[2] !== '*';
+  const dowRestricted = parts[4] !== '*';
+
+  return {
+    expression: normalized,
+    matchesMonth(date) {
+      return month.has(date.getMonth() + 1);
+    },
+    // Standard cron semantics: when both day fields are restricted, either may match
+    matchesDay(date) {
+      const domMatch = dayOfMonth.has(date.getDate());
+      const dowMatch = dayOfWeek.has(date.getDay());
+      return domRestricted && dowRestricted ? domMatch || dowMatch : domMatch && dowMatch;
+    },
+    matchesHour(date) {
+      return hour.has(date.getHours());
+    },
+    // First allowed minute at or after `value` within the hour, or null
+    nextMinute(value) {
+      return minutes.find(m => m >= value) ?? null;
+    },
+    matches(date) {
+      return minute.has(date.getMinutes()) && this.matchesHour(date) && this.matchesDay(date) && this.matchesMonth(date);
+    }
+  };
+}
+
+// Leap-day schedules ("0 0 29 2 *") can be up to 8 years apart (2096 -> 2104)
+const MAX_SEARCH_YEARS = 8;
+
+// Next matching minute after `from`. Skips whole months, days, then hours and minutes instead of testing every minute;
+// hour and minute steps are added in absolute time so DST changes never move the search backwards.
+function nextRun(expression, from = new Date()) {
+  const cron = typeof expression === 'string' ? parseCron(expression) : expression;
+  let date = new Date((Math.floor(from.getTime() / MINUTE_MS) + 1) * MINUTE_MS);
+  const lastYear = date.getFullYear() + MAX_SEARCH_YEARS;
+
+  while (date.getFullYear() <= lastYear) {
+    let next;
+    if (!cron.matchesMonth(date)) {
+      next = new Date(date.getFullYear(), date.getMonth() + 1, 1);
+    } else if (!cron.matchesDay(date)) {
+      next = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1);
+    } else if (!cron.matchesHour(date)) {
+      next = new Date(date.getTime() + (60 - date.getMinutes()) * MINUTE_MS);
+    } else {
+      const minute = cron.nextMinute(date.getMinutes());
+      if (minute === date.getMinutes()) return date;
+      next = new Date(date.getTime() + ((minute ?? 60) - date.getMinutes()) * MINUTE_MS);
+    }
+    // Local midnight can fall inside a DST gap; never step back or stand still
+    date = next > date ? next : new Date(date.getTime() + MINUTE_MS);
+  }
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextRun
+};
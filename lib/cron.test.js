@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { parseCron, nextRun } = require('./cron');
+
+// Local time, like the schedules themselves
+const at = (year, month, day, hour = 0, minute = 0) => new Date(year, month - 1, day, hour, minute);
+
+test('parseCron validates fields and expands shortcuts', () => {
+  assert.equal(parseCron('@daily').expression, '0 0 * * *');
+  assert.throws(() => parseCron('* * * *'), /5 fields/);
+  assert.throws(() => parseCron('60 * * * *'), /minute/);
+  assert.throws(() => parseCron('* * * 0 *'), /month/);
+  assert.throws(() => parseCron('*/0 * * * *'), /minute/);
+});
+
+test('parseCron matches either day field when both are restricted', () => {
+  const cron = parseCron('0 12 1 * 1');
+  assert.equal(cron.matches(at(2026, 6, 1, 12)), true); // 1st of the month, a Monday
+  assert.equal(cron.matches(at(2026, 6, 8, 12)), true); // a Monday
+  assert.equal(cron.matches(at(2026, 6, 9, 12)), false);
+  assert.equal(parseCron('0 12 * * 7').matches(at(2026, 6, 7, 12)), true); // 7 is Sunday
+});
+
+test('nextRun finds the next matching minute after the given time', () => {
+  assert.deepEqual(nextRun('*/30 * * * *', at(2026, 1, 1, 10, 0)), at(2026, 1, 1, 10, 30));
+  assert.deepEqual(nextRun('*/30 * * * *', at(2026, 1, 1, 10, 45)), at(2026, 1, 1, 11, 0));
+  // Friday evening -> Monday morning
+  assert.deepEqual(nextRun('0 6 * * 1-5', at(2026, 1, 2, 18, 0)), at(2026, 1, 5, 6, 0));
+  assert.deepEqual(nextRun('@monthly', at(2026, 12, 15)), at(2027, 1, 1));
+  assert.deepEqual(nextRun('5-10/2 */3 * 6 *', at(2026, 1, 1)), at(2026, 6, 1, 0, 5));
+});
+
+test('nextRun ignores seconds of the start time', () => {
+  const from = at(2026, 1, 1, 10, 29);
+  from.setSeconds(59);
+  assert.deepEqual(nextRun('30 10 * * *', from), at(2026, 1, 1, 10, 30));
+});
+
+test('nextRun reaches leap days and gives up on impossible dates', () => {
+  assert.deepEqual(nextRun('0 0 29 2 *', at(2097, 1, 1)), at(2104, 2, 29));
+  assert.equal(nextRun('0 0 31 2 *', at(2026, 1, 1)), null);
+});
+
+test('nextRun accepts a parsed expression', () => {
+  const cron = parseCron('0 0 * * 0');
+  assert.deepEqual(nextRun(cron, at(2026, 1, 1)), at(2026, 1, 4));
+});
@@ -0,0 +1,141 @@
+// Cookie declaration parsing (generic tables, Cookiebot, OneTrust) and comparison with observed cookies
+
+const cheerio = require('cheerio');
+
+const NAME_HEADER = /^(?:cookies?|(?:cookie |názov |název )?(?:name|názov|název)(?: cookies?| súboru cookie)?|identifikátor|cookie name|cookie id)$/i;
+const PROVIDER_HEADER = /provider|poskytovateľ|poskytovatel|domain|doména|host|vendor/i;
+const PURPOSE_HEADER = /purpose|účel|popis|description|použitie|použití/i;
+const EXPIRY_HEADER = /expir|platnosť|platnost|doba|duration|trvanie|lifetime|retention/i;
+
+// Cookie names never contain spaces; anything longer or sentence-like is table prose
+const COOKIE_NAME = /^[\w.\-#*$[\]{}:|@%]{2,100}$/;
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function splitNames(text) {
+  return cleanText(text)
+    .split(/\s*[,;]\s*|\s+\/\s+/)
+    .map(name => name.trim())
+    .filter(name => COOKIE_NAME.test(name));
+}
+
+function headerCells($, table) {
+  const headRow = $(table).find('thead tr').first().length
+    ? $(table).find('thead tr').first()
+    : $(table).find('tr').first();
+  return headRow.find('th, td').map((i, cell) => cleanText($(cell).text())).get();
+}
+
+function parseGenericTables($, declared) {
+  $('table').each((i, table) => {
+    const headers = headerCells($, table);
+    const nameIndex = headers.findIndex(h => NAME_HEADER.test(h));
+    if (nameIndex === -1) return;
+
+    const providerIndex = headers.findIndex(h => PROVIDER_HEADER.test(h));
+    const purposeIndex = headers.findIndex(h => PURPOSE_HEADER.test(h));
+    const expiryIndex = headers.findIndex(h => EXPIRY_HEADER.test(h));
+    const hasThead = $(table).find('thead tr').length > 0;
+
+    $(table).find(hasThead ? 'tbody tr' : 'tr').each((rowIndex, row) => {
+      if (!hasThead && rowIndex === 0) return;
+      const cells = $(row).find('td, th');
+      const cell = index => (index >= 0 ? cleanText(cells.eq(index).text()) : null);
+
+      for (const name of splitNames(cells.eq(nameIndex).text())) {
+        declared.push({
+          name,
+          provider: cell(providerIndex),
+          purpose: cell(purposeIndex),
+          expiry: cell(expiryIndex),
+          source: 'table'
+        });
+      }
+    });
+  });
+}
+
+// OneTrust renders cookie names as comma-separated lists inside its policy tables
+function parseOneTrust($, declared) {
+  $('.ot-cookies-td-content').each((i, el) => {
+    const row = $(el).closest('tr');
+    const provider = cleanText(row.find('.ot-host-td, .ot-host-name').first().text()) || null;
+    for (const name of splitNames($(el).text())) {
+      declared.push({ name, provider, purpose: null, expiry: null, source: 'onetrust' });
+    }
+  });
+}
+
+function parseCookieDeclaration(html) {
+  const $ = cheerio.load(html);
+  const declared = [];
+
+  parseOneTrust($, declared);
+  parseGenericTables($, declared);
+
+  const seen = new Set();
+  return declared.filter(entry => {
+    if (seen.has(entry.name)) return false;
+    seen.add(entry.name);
+    return true;
+  });
+}
+
+// Cookiebot writes "_ga_#", others "_ga_*" or "_ga_xxx" for generated suffixes
+function declarationMatcher(name) {
+  const escaped = name
+    .replace(/(?:#+|\*|x{3,}|\[[^\]]*\]|<[^>]*>|\{[^}]*\})/gi, '\u0000')
+    .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+    .replace(/\u0000/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Policies often name cookies in prose or lists instead of a table
+function mentionedInText(name, text) {
+  if (!text || name.length < 3) return false;
+  return new RegExp(`(^|[^\\w-])${escapeRegExp(name)}($|[^\\w-])`).test(text);
+}
+
+function compareDeclaredCookies(declared, observed, policyText = '') {
+  const matchers = declared.map(entry => ({ entry, matcher: declarationMatcher(entry.name) }));
+
+  const observedByName = new Map();
+  for (const cookie of observed) {
+    if (cookie.name && !observedByName.has(cookie.name)) observedByName.set(cookie.name, cookie);
+  }
+
+  const undeclared = [];
+  const matchedDeclarations = new Set();
+  for (const cookie of observedByName.values()) {
+    const matches = matchers.filter(m => m.matcher.test(cookie.name));
+    matches.forEach(m => matchedDeclarations.add(m.entry.name));
+
+    if (matches.length === 0 && !mentionedInText(cookie.name, policyText)) {
+      undeclared.push({
+        name: cookie.name,
+        domain: cookie.domain,
+        category: cookie.category || null,
+        vendor: cookie.vendor || null
+      });
+    }
+  }
+
+  return {
+    declaredCount: declared.length,
+    observedCount: observedByName.size,
+    undeclared,
+    notObserved: declared.filter(entry => !matchedDeclarations.has(entry.name)).map(entry => entry.name)
+  };
+}
+
+module.exports = {
+  parseCookieDeclaration,
+  compareDeclaredCookies,
+  declarationMatcher
+};
@@ -0,0 +1,226 @@
+// Form audit: personal data fields, submission security, consent checkboxes and privacy notices
+
+const { text } = require('./i18n');
+
+const PERSONAL_DATA_FIELDS = [
+  {
+    id: 'email',
+    label: 'E-mail',
+    types: ['email'],
+    autocomplete: ['email'],
+    pattern: /e-?mail/i
+  },
+  {
+    id: 'phone',
+    label: 'Telefón',
+    types: ['tel'],
+    autocomplete: ['tel', 'tel-national', 'tel-local'],
+    pattern: /phone|telef[oó]n|mobil|\btel\b/i
+  },
+  {
+    id: 'nationalId',
+    label: 'Rodné číslo / identifikátor',
+    types: [],
+    autocomplete: [],
+    pattern: /rodn[eé].?[cč][ií]slo|rodne_?cislo|birth.?number|national.?id|\bssn\b|personal.?id|[cč][ií]slo.?(?:op|ob[cč]ianskeho|ob[cč]anského)|id.?card/i
+  },
+  {
+    id: 'birthdate',
+    label: 'Dátum narodenia',
+    types: [],
+    autocomplete: ['bday', 'bday-day', 'bday-month', 'bday-year'],
+    pattern: /birth|\bbday\b|\bdob\b|narod|datum.?nar|geburt/i
+  },
+  {
+    id: 'address',
+    label: 'Adresa',
+    types: [],
+    autocomplete: ['street-address', 'address-line1', 'address-line2', 'postal-code', 'address-level1', 'address-level2'],
+    pattern: /address|adres|ulic|street|\bps[cč]\b|postal|\bzip\b|mesto|m[eě]sto|\bcity\b|stra[sß]e/i
+  },
+  {
+    id: 'name',
+    label: 'Meno',
+    types: [],
+    autocomplete: ['name', 'given-name', 'family-name', 'additional-name'],
+    pattern: /(?:^|[^a-z])(?:full.?|first.?|last.?|sur|user.?)?name(?:$|[^a-z])|\bmeno\b|jm[eé]no|priezvisko|p[rř][ií]jmen[ií]|vorname|nachname/i
+  }
+];
+
+const CONSENT_LABEL = /s[uú]hlas|souhlas|consent|agree|zustimm|einwillig|spracovan|zpracov[aá]n|osobn[ýy]ch [uú]daj|gdpr|newsletter|marketing|obchodn[eé] (?:oznámenia|sdělení)/i;
+const PRIVACY_LINK = /privacy|ochrana|osobn[ýy]ch.?[uú]daj|gdpr|z[aá]sady|datenschutz|podmienky.?spracovania|zpracov[aá]n[ií]/i;
+const SEARCH_FIELD = /^(?:q|s|search|query|hladat|hledat|keyword)$/i;
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function fieldLabel($, form, field) {
+  const id = field.attr('id');
+  const explicit = id ? form.find(`label[for="${id.replace(/"/g, '\\"')}"]`).first().text() : '';
+  return cleanText(explicit || field.closest('label').text() || field.attr('aria-label') || field.attr('placeholder') || '');
+}
+
+function classifyField(attributes) {
+  const autocomplete = (attributes.autocomplete || '').toLowerCase().split(/\s+/);
+  const haystack = [attributes.name, attributes.id, attributes.placeholder, attributes.label].filter(Boolean).join(' ');
+
+  for (const field of PERSONAL_DATA_FIELDS) {
+    if (field.types.includes(attributes.type)) return field.id;
+    if (field.autocomplete.some(token => autocomplete.includes(token))) return field.id;
+  }
+  for (const field of PERSONAL_DATA_FIELDS) {
+    if (field.pattern.test(haystack)) return field.id;
+  }
+  return null;
+}
+
+function resolveAction(action, pageUrl) {
+  try {
+    return new URL(action || pageUrl, pageUrl).toString();
+  } catch {
+    return null;
+  }
+}
+
+// Privacy links count inside the form or in the block that wraps it (up to two levels up, never the whole page)
+function findPrivacyLink($, form) {
+  const scopes = [form, form.parent(), form.parent().parent()]
+    .filter(scope => scope.length && !['body', 'html'].includes(scope[0].tagName));
+  for (const scope of scopes) {
+    const link = scope.find('a[href]').filter((i, a) => {
+      const anchor = $(a);
+      return PRIVACY_LINK.test(anchor.text()) || PRIVACY_LINK.test(anchor.attr('href'));
+    }).first();
+    if (link.length) return { text: cleanText(link.text()).slice(0, 100), href: link.attr('href') };
+  }
+  return null;
+}
+
+function analyzeForm($, form, pageUrl) {
+  const fields = [];
+  const checkboxes = [];
+
+  form.find('input, select, textarea').each((i, el) => {
+    const field = $(el);
+    const type = (field.attr('type') || (el.tagName === 'input' ? 'text' : el.tagName)).toLowerCase();
+    if (['hidden', 'submit', 'button', 'reset', 'image'].includes(type)) return;
+
+    const label = fieldLabel($, form, field);
+    if (type === 'checkbox') {
+      checkboxes.push({
+        name: field.attr('name') || null,
+        label: label.slice(0, 200),
+        checked: field.attr('checked') !== undefined,
+        consent: CONSENT_LABEL.test(label) || CONSENT_LABEL.test(field.attr('name') || '')
+      });
+      return;
+    }
+
+    fields.push({
+      name: field.attr('name') || field.attr('id') || null,
+      type,
+      required: field.attr('required') !== undefined || field.attr('aria-required') === 'true',
+      personalData: classifyField({
+        type,
+        autocomplete: field.attr('autocomplete'),
+        name: field.attr('name'),
+        id: field.attr('id'),
+        placeholder: field.attr('placeholder'),
+        label
+      })
+    });
+  });
+
+  const action = resolveAction(form.attr('action'), pageUrl);
+  const personalData = [...new Set(fields.map(f => f.personalData).filter(Boolean))];
+  const privacyLink = findPrivacyLink($, form);
+  const consentCheckboxes = checkboxes.filter(c => c.consent);
+  const preTicked = consentCheckboxes.filter(c => c.checked);
+
+  const issues = [];
+  if (personalData.length > 0) {
+    if (action && !action.startsWith('https://')) {
+      issues.push({ type: 'insecure-submission', severity: 'HIGH', ...text('forms.insecure-submission', { action }) });
+    }
+    if (!privacyLink && !consentCheckboxes.some(c => PRIVACY_LINK.test(c.label))) {
+      issues.push({ type: 'no-privacy-notice', severity: 'MEDIUM', ...text('forms.no-privacy-notice') });
+    }
+  }
+  if (preTicked.length > 0) {
+    issues.push({
+      type: 'pre-ticked-consent',
+      severity: 'HIGH',
+      ...text('forms.pre-ticked-consent', { checkboxes: preTicked.map(c => c.label || c.name) })
+    });
+  }
+
+  return {
+    id: form.attr('id') || form.attr('name') || null,
+    action,
+    method: (form.attr('method') || 'get').toLowerCase(),
+    fields,
+    personalData,
+    consentCheckbox: consentCheckboxes.length > 0,
+    checkboxes,
+    privacyLink,
+    issues
+  };
+}
+
+function isSearchForm($, form) {
+  if (form.attr('role') === 'search') return true;
+  const inputs = form.find('input').filter((i, el) => !['hidden', 'submit', 'button'].includes(($(el).attr('type') || 'text').toLowerCase()));
+  return inputs.length === 1 && (inputs.attr('type') === 'search' || SEARCH_FIELD.test(inputs.attr('name') || ''));
+}
+
+function analyzeForms($, pageUrl) {
+  const forms = [];
+  $('form').each((i, el) => {
+    const form = $(el);
+    if (isSearchForm($, form)) return;
+    forms.push({ page: pageUrl, ...analyzeForm($, form, pageUrl) });
+  });
+  return forms;
+}
+
+const DEFAULT_PENALTIES = { HIGH: 50, MEDIUM: 30, LOW: 10 };
+
+// Forms without personal data do not affect the score; each issue costs its severity's penalty
+function summarizeForms(forms, widgets = [], penalties = DEFAULT_PENALTIES) {
+  const collecting = forms.filter(f => f.personalData.length > 0 || f.issues.length > 0);
+  const scores = collecting.map(f => Math.max(0, 100 - f.issues.reduce((sum, issue) => sum + penalties[issue.severity], 0)));
+
+  return {
+    found: forms.some(f => f.issues.length > 0),
+    forms,
+    widgets,
+    summary: {
+      total: forms.length,
+      collectingPersonalData: forms.filter(f => f.personalData.length > 0).length,
+      issues: forms.reduce((sum, f) => sum + f.issues.length, 0),
+      widgets: widgets.length
+    },
+    score: scores.length ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length) : null
+  };
+}
+
+// Site-level result for crawls; the same form (e.g. a footer newsletter) is listed once per page
+function mergeForms(results, penalties = DEFAULT_PENALTIES) {
+  const forms = [];
+  const widgets = new Map();
+  for (const result of results) {
+    if (!result) continue;
+    forms.push(...(result.forms || []));
+    for (const widget of result.widgets || []) widgets.set(widget.id, widget);
+  }
+  return summarizeForms(forms, [...widgets.values()], penalties);
+}
+
+module.exports = {
+  PERSONAL_DATA_FIELDS,
+  classifyField,
+  analyzeForms,
+  summarizeForms,
+  mergeForms
+};
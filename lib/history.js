@@ -0,0 +1,181 @@
+// Scan history: JSON-file store keyed by site, and diffing between two stored scans
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const STORAGE_DIR = process.env.GDPR_STORAGE_DIR || path.join(__dirname, '..', 'storage');
+const DEFAULT_MAX_SCANS_PER_SITE = 100;
+const SCAN_ID_PATTERN = /^[0-9a-f-]{36}$/;
+
+// "https://www.Example.sk/kontakt" -> "example.sk"; history is kept per site, not per page
+function siteKey(url) {
+  return new URL(url).hostname.toLowerCase().replace(/^www\./, '');
+}
+
+function summarizeScan(id, result) {
+  return {
+    id,
+    url: result.url,
+    timestamp: result.timestamp,
+    mode: result.mode || 'single',
+    engine: result.engine || 'browser',
+    score: result.score,
+    profile: result.scoring?.profile?.id || null,
+    passed: result.scoring ? result.scoring.passed : null,
+    trackers: (result.thirdPartyServices || []).length,
+    cookies: collectCookies(result).length
+  };
+}
+
+class ScanHistory {
+  constructor({ dir = STORAGE_DIR, maxScansPerSite } = {}) {
+    this.scansDir = path.join(dir, 'scans');
+    this.sitesDir = path.join(dir, 'sites');
+    this.maxScansPerSite = parseInt(maxScansPerSite, 10) || DEFAULT_MAX_SCANS_PER_SITE;
+    // Site index files are read-modify-written, so saves run one at a time
+    this.writeChain = Promise.resolve();
+  }
+
+  async ensureDirs() {
+    await fs.promises.mkdir(this.scansDir, { recursive: true });
+    await fs.promises.mkdir(this.sitesDir, { recursive: true });
+  }
+
+  siteIndexPath(key) {
+    return path.join(this.sitesDir, `${key}.json`);
+  }
+
+  async readSiteIndex(key) {
+    try {
+      return JSON.parse(await fs.promises.readFile(this.siteIndexPath(key), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  save(result) {
+    const id = crypto.randomUUID();
+    const task = this.writeChain.then(async () => {
+      await this.ensureDirs();
+      const key = siteKey(result.url);
+      const stored = { ...result, scanId: id };
+
+      await fs.promises.writeFile(path.join(this.scansDir, `${id}.json`), JSON.stringify(stored));
+
+      const index = await this.readSiteIndex(key);
+      index.push(summarizeScan(id, stored));
+      index.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+      const removed = index.splice(0, Math.max(0, index.length - this.maxScansPerSite));
+      await fs.promises.writeFile(this.siteIndexPath(key), JSON.stringify(index, null, 2));
+
+      for (const old of removed) {
+        await fs.promises.rm(path.join(this.scansDir, `${old.id}.json`), { force: true });
+      }
+
+      return id;
+    });
+
+    // Keep the chain alive after a failed write
+    this.writeChain = task.catch(() => {});
+    return task;
+  }
+
+  // Newest first
+  async list(url, limit = 50) {
+    const index = await this.readSiteIndex(siteKey(url));
+    return index.slice(-limit).reverse();
+  }
+
+  async get(id) {
+    if (!SCAN_ID_PATTERN.test(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(path.join(this.scansDir, `${id}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+}
+
+// Crawl results carry the site-wide cookie union, single-page results the page cookies
+function collectCookies(result) {
+  if (result.site && Array.isArray(result.site.cookies)) return result.site.cookies;
+  return result.checks?.cookies?.cookies || [];
+}
+
+function collectViolations(result) {
+  const checks = result.checks || {};
+  return [
+    ...(checks.preConsentViolations?.violations || []),
+    ...(checks.consentInteraction?.violations || [])
+  ];
+}
+
+// Scans stored before scoring profiles existed have no profile
+function profileOf(result) {
+  const profile = result.scoring?.profile;
+  return profile ? { id: profile.id, version: profile.version, hash: profile.hash } : null;
+}
+
+// Items present in only one of the lists, compared by key
+function diffLists(before, after, keyOf) {
+  const beforeKeys = new Set(before.map(keyOf));
+  const afterKeys = new Set(after.map(keyOf));
+  return {
+    added: after.filter(item => !beforeKeys.has(keyOf(item))),
+    removed: before.filter(item => !afterKeys.has(keyOf(item)))
+  };
+}
+
+function diffScans(before, after) {
+  const cookieKey = c => `${c.name}@${c.domain}`;
+  const cookies = diffLists(collectCookies(before), collectCookies(after), cookieKey);
+  const trackers = diffLists(before.thirdPartyServices || [], after.thirdPartyServices || [], t => t.id || t.name);
+  const violations = diffLists(collectViolations(before), collectViolations(after), v => v.type);
+
+  const checkNames = new Set([...Object.keys(before.checks || {}), ...Object.keys(after.checks || {})]);
+  const flippedChecks = [];
+  const scoreChanges = [];
+  for (const name of checkNames) {
+    const from = before.checks?.[name];
+    const to = after.checks?.[name];
+    if (!from || !to) continue;
+
+    if (typeof from.found === 'boolean' && typeof to.found === 'boolean' && from.found !== to.found) {
+      flippedChecks.push({ check: name, from: from.found, to: to.found });
+    }
+    if (typeof from.score === 'number' && typeof to.score === 'number' && from.score !== to.score) {
+      scoreChanges.push({ check: name, from: from.score, to: to.score, delta: to.score - from.score });
+    }
+  }
+
+  const pickCookie = c => ({ name: c.name, domain: c.domain, category: c.category, thirdParty: c.thirdParty });
+  const pickTracker = t => ({ id: t.id, name: t.name, category: t.category, vendor: t.vendor });
+  // messageId/params stay so the diff can be re-rendered in the requested language (localize)
+  const pickViolation = v => ({ type: v.type, severity: v.severity, message: v.message, messageId: v.messageId, params: v.params });
+
+  return {
+    from: { id: before.scanId, timestamp: before.timestamp, score: before.score, profile: profileOf(before) },
+    to: { id: after.scanId, timestamp: after.timestamp, score: after.score, profile: profileOf(after) },
+    scoreDelta: (after.score || 0) - (before.score || 0),
+    // Scores from different profiles (or profile revisions) are not comparable
+    profileChanged: profileOf(before)?.hash !== profileOf(after)?.hash,
+    cookies: { added: cookies.added.map(pickCookie), removed: cookies.removed.map(pickCookie) },
+    trackers: { added: trackers.added.map(pickTracker), removed: trackers.removed.map(pickTracker) },
+    violations: { added: violations.added.map(pickViolation), removed: violations.removed.map(pickViolation) },
+    flippedChecks,
+    scoreChanges,
+    changed: cookies.added.length + cookies.removed.length + trackers.added.length + trackers.removed.length +
+      violations.added.length + violations.removed.length + flippedChecks.length > 0 ||
+      before.score !== after.score
+  };
+}
+
+module.exports = {
+  ScanHistory,
+  siteKey,
+  diffScans
+};
@@ -0,0 +1,29 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { siteKey, diffScans } = require('./history');
+const { text, translate, localizeResult } = require('./i18n');
+
+const scan = (score, violations) => ({
+  scanId: `scan-${score}`,
+  timestamp: '2026-01-01T00:00:00Z',
+  score,
+  checks: { preConsentViolations: { score, violations } }
+});
+
+test('siteKey groups pages of a site', () => {
+  assert.equal(siteKey('https://www.Example.sk/kontakt'), 'example.sk');
+});
+
+test('diffScans keeps message IDs of violations so the diff can be localized', () => {
+  const violation = { type: 'pre-consent-cookies', severity: 'CRITICAL', ...text('violation.pre-consent-cookies', { count: 3 }) };
+  const diff = diffScans(scan(80, []), scan(60, [violation]));
+
+  assert.equal(diff.scoreDelta, -20);
+  assert.equal(diff.changed, true);
+  assert.equal(diff.violations.added[0].messageId, 'violation.pre-consent-cookies');
+  assert.deepEqual(diff.violations.added[0].params, { count: 3 });
+
+  const localized = localizeResult(diff, 'en');
+  assert.equal(localized.violations.added[0].message, translate('en', 'violation.pre-consent-cookies', { count: 3 }));
+  assert.equal(localized.language, 'en');
+});
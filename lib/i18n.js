@@ -0,0 +1,141 @@
+// Message catalogues (data/locales/*.json) and localization of scan results
+
+const fs = require('fs');
+const path = require('path');
+
+const LOCALES_DIR = path.join(__dirname, '..', 'data', 'locales');
+const SUPPORTED_LANGUAGES = ['sk', 'en', 'cs', 'de'];
+const DEFAULT_LANGUAGE = SUPPORTED_LANGUAGES.includes(process.env.GDPR_LANGUAGE) ? process.env.GDPR_LANGUAGE : 'sk';
+const FALLBACK_LANGUAGE = 'en';
+
+// Result fields that can carry a message ID; "message" uses "params", the others "<field>Params"
+const TEXT_FIELDS = ['message', 'label', 'details', 'reason', 'article', 'error'];
+
+function paramsKey(field) {
+  return field === 'message' ? 'params' : `${field}Params`;
+}
+
+function loadCatalogues() {
+  const catalogues = {};
+  for (const lang of SUPPORTED_LANGUAGES) {
+    try {
+      catalogues[lang] = JSON.parse(fs.readFileSync(path.join(LOCALES_DIR, `${lang}.json`), 'utf8'));
+    } catch (error) {
+      console.warn(`[I18N] Catalogue ${lang} not loaded: ${error.message}`);
+      catalogues[lang] = {};
+    }
+  }
+  return catalogues;
+}
+
+const catalogues = loadCatalogues();
+
+function isMessageRef(value) {
+  return value !== null && typeof value === 'object' && typeof value.messageId === 'string';
+}
+
+// Params may hold nested message references and lists; sentences are joined with "; ", plain items with ", "
+function formatParam(lang, value) {
+  if (Array.isArray(value)) {
+    const items = value.map(item => formatParam(lang, item));
+    return items.join(value.some(isMessageRef) ? '; ' : ', ');
+  }
+  if (isMessageRef(value)) return translate(lang, value.messageId, value.params);
+  return value === null || value === undefined ? '' : String(value);
+}
+
+// Plural entries are objects keyed by Intl.PluralRules categories ("one", "few", "many", "other")
+function pickTemplate(lang, entry, params) {
+  if (typeof entry === 'string') return entry;
+  const count = Number(params.count);
+  const category = Number.isFinite(count) ? new Intl.PluralRules(lang).select(count) : 'other';
+  return entry[category] ?? entry.other;
+}
+
+// Missing IDs fall back to the default language, then English, then the ID itself
+function translate(lang, id, params = {}) {
+  for (const candidate of [lang, DEFAULT_LANGUAGE, FALLBACK_LANGUAGE]) {
+    const entry = catalogues[candidate]?.[id];
+    if (entry !== undefined) {
+      return pickTemplate(candidate, entry, params)
+        .replace(/\{(\w+)\}/g, (match, name) => (name in params ? formatParam(candidate, params[name]) : match));
+    }
+  }
+  return id;
+}
+
+// A result text: the stable ID, its params and the rendering in the default language
+function text(id, params = {}, field = 'message') {
+  return {
+    [field]: translate(DEFAULT_LANGUAGE, id, params),
+    [`${field}Id`]: id,
+    [paramsKey(field)]: params
+  };
+}
+
+// Reference to a text field of a result object, for use as a param of another message
+function ref(object, field = 'message') {
+  if (!object) return '';
+  const id = object[`${field}Id`];
+  return id ? { messageId: id, params: object[paramsKey(field)] || {} } : object[field] || '';
+}
+
+// Explicit language first, then the Accept-Language header ("cs-CZ,cs;q=0.9,en;q=0.8")
+function resolveLanguage(requested, acceptLanguage = '') {
+  const wanted = String(requested || '').toLowerCase().slice(0, 2);
+  if (SUPPORTED_LANGUAGES.includes(wanted)) return wanted;
+
+  const ranked = String(acceptLanguage || '')
+    .split(',')
+    .map(part => {
+      const [tag, ...options] = part.trim().split(';');
+      const q = options.map(o => o.trim()).find(o => o.startsWith('q='));
+      return { lang: tag.toLowerCase().slice(0, 2), q: q ? parseFloat(q.slice(2)) || 0 : 1 };
+    })
+    .filter(entry => entry.q > 0)
+    .sort((a, b) => b.q - a.q);
+
+  const match = ranked.find(entry => SUPPORTED_LANGUAGES.includes(entry.lang));
+  return match ? match.lang : DEFAULT_LANGUAGE;
+}
+
+// Copy of a result with every text field re-rendered in the given language
+function localize(value, lang) {
+  if (Array.isArray(value)) return value.map(item => localize(item, lang));
+  if (value === null || typeof value !== 'object') return value;
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) copy[key] = localize(item, lang);
+  for (const field of TEXT_FIELDS) {
+    const id = value[`${field}Id`];
+    if (typeof id === 'string') copy[field] = translate(lang, id, value[paramsKey(field)] || {});
+  }
+  return copy;
+}
+
+function localizeResult(result, lang) {
+  return { ...localize(result, lang), language: lang };
+}
+
+// All messages of a language under a prefix (e.g. "ui." for the web interface)
+function catalogue(lang, prefix = '') {
+  const messages = {};
+  for (const source of [FALLBACK_LANGUAGE, DEFAULT_LANGUAGE, lang]) {
+    for (const [id, entry] of Object.entries(catalogues[source] || {})) {
+      if (id.startsWith(prefix)) messages[id] = entry;
+    }
+  }
+  return messages;
+}
+
+module.exports = {
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  translate,
+  text,
+  ref,
+  resolveLanguage,
+  localize,
+  localizeResult,
+  catalogue
+};
@@ -0,0 +1,213 @@
+// Terminal-device access beyond HTTP cookies (Art. 5(3) ePrivacy): Web Storage, IndexedDB and fingerprinting APIs
+
+const { getRegistrableDomain } = require('./trackers');
+
+// Window property holding the recorder; non-enumerable so page scripts don't stumble over it
+const INSTRUMENTATION_KEY = '__gdprCheckerDeviceAccess';
+
+// Navigator properties read by fingerprinting libraries; userAgent and language are left out, every site reads them
+const NAVIGATOR_PROPERTIES = [
+  'plugins', 'mimeTypes', 'hardwareConcurrency', 'deviceMemory', 'languages', 'platform', 'maxTouchPoints',
+  'vendor', 'doNotTrack', 'cookieEnabled', 'webdriver', 'connection', 'userAgentData', 'productSub', 'appVersion', 'pdfViewerEnabled'
+];
+
+// A script reading this many of them is enumerating the device rather than feature-detecting
+const NAVIGATOR_THRESHOLD = 8;
+
+// Storage keys in these cookie-database categories need consent even without a known tracker script
+const CONSENT_CATEGORIES = ['statistics', 'marketing'];
+
+// Runs in every frame before any page script (page.evaluateOnNewDocument); must stay self-contained.
+// Wraps the storage and fingerprinting APIs and records each call with the URL of the calling script.
+function instrumentDeviceAccess(key, navigatorProperties, navigatorThreshold) {
+  if (window[key]) return;
+
+  const MAX_EVENTS = 500;
+  const events = new Map();
+  Object.defineProperty(window, key, { value: () => [...events.values()], enumerable: false });
+
+  // The first http(s) frame of the stack; this script itself has no URL
+  const callerScript = () => {
+    for (const line of String(new Error().stack || '').split('\n')) {
+      const match = line.match(/(https?:\/\/[^\s()]+?):\d+:\d+/);
+      if (match) return match[1];
+    }
+    return null;
+  };
+
+  const record = (category, api, detail, script = callerScript()) => {
+    const id = `${api}|${detail}|${script}`;
+    const existing = events.get(id);
+    if (existing) {
+      existing.count++;
+    } else if (events.size < MAX_EVENTS) {
+      events.set(id, { category, api, detail, script, count: 1, time: Date.now() });
+    }
+  };
+
+  const wrap = (proto, name, before) => {
+    const original = proto && proto[name];
+    if (typeof original !== 'function') return;
+    proto[name] = function (...args) {
+      try {
+        before.call(this, args);
+      } catch {}
+      return original.apply(this, args);
+    };
+  };
+
+  wrap(window.Storage && Storage.prototype, 'setItem', function (args) {
+    let api = 'sessionStorage';
+    try {
+      if (this === window.localStorage) api = 'localStorage';
+    } catch {}
+    record('storage', api, String(args[0]));
+  });
+  wrap(window.IDBFactory && IDBFactory.prototype, 'open', args => record('storage', 'indexedDB', String(args[0])));
+
+  // Canvas fingerprinting draws text and reads the pixels back; charts and image editors rarely do both
+  const textCanvases = new WeakSet();
+  const markText = function () {
+    textCanvases.add(this.canvas);
+  };
+  const canvasRead = canvas => {
+    if (textCanvases.has(canvas) && canvas.width >= 16 && canvas.height >= 16) record('fingerprinting', 'canvas', null);
+  };
+  if (window.CanvasRenderingContext2D) {
+    wrap(CanvasRenderingContext2D.prototype, 'fillText', markText);
+    wrap(CanvasRenderingContext2D.prototype, 'strokeText', markText);
+    wrap(CanvasRenderingContext2D.prototype, 'getImageData', function () {
+      canvasRead(this.canvas);
+    });
+  }
+  if (window.HTMLCanvasElement) {
+    wrap(HTMLCanvasElement.prototype, 'toDataURL', function () {
+      canvasRead(this);
+    });
+    wrap(HTMLCanvasElement.prototype, 'toBlob', function () {
+      canvasRead(this);
+    });
+  }
+
+  // UNMASKED_VENDOR_WEBGL / UNMASKED_RENDERER_WEBGL reveal the exact GPU
+  const unmasked = { 0x9245: 'UNMASKED_VENDOR_WEBGL', 0x9246: 'UNMASKED_RENDERER_WEBGL' };
+  for (const context of [window.WebGLRenderingContext, window.WebGL2RenderingContext]) {
+    wrap(context && context.prototype, 'getParameter', args => {
+      if (unmasked[args[0]]) record('fingerprinting', 'webgl', unmasked[args[0]]);
+    });
+  }
+
+  wrap(window.OfflineAudioContext && OfflineAudioContext.prototype, 'startRendering', () => {
+    record('fingerprinting', 'audio', 'OfflineAudioContext');
+  });
+
+  const navigatorReads = new Map();
+  for (const property of navigatorProperties) {
+    const descriptor = window.Navigator && Object.getOwnPropertyDescriptor(Navigator.prototype, property);
+    if (!descriptor || typeof descriptor.get !== 'function' || !descriptor.configurable) continue;
+
+    Object.defineProperty(Navigator.prototype, property, {
+      ...descriptor,
+      get() {
+        try {
+          const script = callerScript();
+          const read = navigatorReads.get(script) || new Set();
+          navigatorReads.set(script, read);
+          if (!read.has(property)) {
+            read.add(property);
+            if (read.size === navigatorThreshold) record('fingerprinting', 'navigator', [...read].join(', '), script);
+          }
+        } catch {}
+        return descriptor.get.call(this);
+      }
+    });
+  }
+}
+
+// Runs inside a frame; what the recorder has seen so far
+function collectDeviceAccess(key) {
+  return typeof window[key] === 'function' ? window[key]() : [];
+}
+
+function hostnameOf(url) {
+  try {
+    return new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+}
+
+// Attributes recorded calls to trackers and decides which of them need consent: storage writes by a
+// tracker or under a statistics/marketing key, fingerprinting by any third-party script
+function analyzeDeviceAccess(events, { pageUrl, trackerDb, cookieClassifier }) {
+  const siteDomain = getRegistrableDomain(hostnameOf(pageUrl));
+  const storage = [];
+  const fingerprinting = [];
+
+  for (const event of events) {
+    // Inline scripts report the document URL; for iframes that is the third party embedding itself
+    const source = event.script || event.frame || pageUrl;
+    const host = hostnameOf(source);
+    const thirdParty = !!host && getRegistrableDomain(host) !== siteDomain;
+    const tracker = trackerDb.matchUrl(source);
+    const entry = {
+      api: event.api,
+      script: event.script,
+      frame: event.frame !== pageUrl ? event.frame || null : null,
+      count: event.count,
+      thirdParty,
+      tracker: tracker
+        ? {
+          id: tracker.id,
+          name: tracker.name,
+          category: tracker.category,
+          vendor: tracker.vendor,
+          country: tracker.country,
+          consentRequired: tracker.consentRequired
+        }
+        : null
+    };
+
+    if (event.category === 'storage') {
+      const { category, vendor } = cookieClassifier.categorize(event.detail);
+      storage.push({
+        ...entry,
+        key: event.detail,
+        category,
+        vendor: vendor || tracker?.vendor || null,
+        consentRequired: !!tracker?.consentRequired || CONSENT_CATEGORIES.includes(category)
+      });
+    } else {
+      fingerprinting.push({
+        ...entry,
+        detail: event.detail,
+        consentRequired: thirdParty || !!tracker?.consentRequired
+      });
+    }
+  }
+
+  const countBy = (items, field) => items.reduce((counts, item) => {
+    counts[item[field]] = (counts[item[field]] || 0) + 1;
+    return counts;
+  }, {});
+
+  return {
+    storage,
+    fingerprinting,
+    summary: {
+      storageWrites: storage.length,
+      fingerprintingCalls: fingerprinting.length,
+      byApi: { ...countBy(storage, 'api'), ...countBy(fingerprinting, 'api') },
+      requiringConsent: [...storage, ...fingerprinting].filter(item => item.consentRequired).length
+    }
+  };
+}
+
+module.exports = {
+  INSTRUMENTATION_KEY,
+  NAVIGATOR_PROPERTIES,
+  NAVIGATOR_THRESHOLD,
+  instrumentDeviceAccess,
+  collectDeviceAccess,
+  analyzeDeviceAccess
+};
@@ -0,0 +1,147 @@
+// In-memory scan queue: job IDs, status/progress tracking and a concurrency limit
+
+const crypto = require('crypto');
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_MAX_QUEUED = 50;
+const DEFAULT_RETENTION_MS = 60 * 60 * 1000;
+
+class ScanQueue {
+  constructor({ run, concurrency, maxQueued, retentionMs } = {}) {
+    if (typeof run !== 'function') {
+      throw new Error('ScanQueue requires a run(params, onProgress) function');
+    }
+
+    this.run = run;
+    this.concurrency = Math.max(1, parseInt(concurrency, 10) || DEFAULT_CONCURRENCY);
+    this.maxQueued = Math.max(1, parseInt(maxQueued, 10) || DEFAULT_MAX_QUEUED);
+    this.retentionMs = retentionMs || DEFAULT_RETENTION_MS;
+
+    this.jobs = new Map();
+    this.pending = [];
+    this.running = 0;
+  }
+
+  enqueue(params) {
+    this.prune();
+
+    if (this.pending.length >= this.maxQueued) {
+      const error = new Error('Scan queue is full');
+      error.code = 'QUEUE_FULL';
+      throw error;
+    }
+
+    const job = {
+      id: crypto.randomUUID(),
+      status: 'queued',
+      params,
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      stage: 'queued',
+      message: null,
+      progress: 0,
+      page: null,
+      result: null,
+      error: null
+    };
+
+    // Lets synchronous callers (POST /api/check) wait for the same job
+    job.done = new Promise(resolve => {
+      job.resolve = resolve;
+    });
+
+    this.jobs.set(job.id, job);
+    this.pending.push(job);
+    this.pump();
+
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  // Public view of a job, without params internals and promise handles
+  toJSON(job) {
+    const view = {
+      id: job.id,
+      status: job.status,
+      url: job.params.url,
+      mode: job.params.crawl ? 'crawl' : 'single',
+      profile: job.params.profile || null,
+      engine: job.params.engine || 'browser',
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      finishedAt: job.finishedAt,
+      stage: job.stage,
+      message: job.message,
+      progress: job.progress,
+      page: job.page
+    };
+
+    if (job.status === 'queued') view.position = this.pending.indexOf(job) + 1;
+    if (job.result) view.result = job.result;
+    if (job.error) view.error = job.error;
+
+    return view;
+  }
+
+  stats() {
+    const counts = { queued: 0, running: 0, completed: 0, failed: 0 };
+    for (const job of this.jobs.values()) counts[job.status]++;
+    return { ...counts, concurrency: this.concurrency, maxQueued: this.maxQueued };
+  }
+
+  pump() {
+    while (this.running < this.concurrency && this.pending.length > 0) {
+      this.start(this.pending.shift());
+    }
+  }
+
+  async start(job) {
+    this.running++;
+    job.status = 'running';
+    job.stage = 'starting';
+    job.startedAt = new Date().toISOString();
+
+    const onProgress = ({ stage, message, progress, page }) => {
+      job.stage = stage;
+      job.message = message;
+      // Retries restart the stage list; never let the bar jump backwards
+      if (typeof progress === 'number') job.progress = Math.max(job.progress, Math.min(progress, 99));
+      if (page) job.page = page;
+    };
+
+    try {
+      job.result = await this.run(job.params, onProgress);
+      // checkUrl reports load failures inside the result instead of throwing
+      job.status = job.result && job.result.error ? 'failed' : 'completed';
+      job.error = job.result && job.result.error ? job.result.error : null;
+    } catch (error) {
+      job.status = 'failed';
+      job.error = error.message;
+    } finally {
+      job.stage = job.status;
+      job.progress = 100;
+      job.finishedAt = new Date().toISOString();
+      this.running--;
+      job.resolve(job);
+      this.pump();
+    }
+  }
+
+  // Drops finished jobs older than the retention window
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const [id, job] of this.jobs) {
+      if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) {
+        this.jobs.delete(id);
+      }
+    }
+  }
+}
+
+module.exports = {
+  ScanQueue
+};
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ScanQueue } = require('./jobs');
+
+// A run() whose calls finish only when the test says so
+function deferredRun() {
+  const calls = [];
+  const run = (params, onProgress) => new Promise((resolve, reject) => {
+    calls.push({ params, onProgress, resolve, reject });
+  });
+  return { run, calls };
+}
+
+test('ScanQueue requires a run function', () => {
+  assert.throws(() => new ScanQueue(), /run\(params, onProgress\)/);
+});
+
+test('ScanQueue runs at most `concurrency` jobs and reports queue positions', async () => {
+  const { run, calls } = deferredRun();
+  const queue = new ScanQueue({ run, concurrency: 1 });
+  const first = queue.enqueue({ url: 'https://a.example/' });
+  const second = queue.enqueue({ url: 'https://b.example/', crawl: { maxPages: 2 }, engine: 'static' });
+
+  assert.equal(calls.length, 1);
+  assert.equal(first.status, 'running');
+  assert.equal(queue.toJSON(second).position, 1);
+  assert.equal(queue.toJSON(second).mode, 'crawl');
+  assert.equal(queue.toJSON(second).engine, 'static');
+  assert.deepEqual(queue.stats(), { queued: 1, running: 1, completed: 0, failed: 0, concurrency: 1, maxQueued: 50 });
+
+  calls[0].resolve({ score: 80 });
+  await first.done;
+  assert.equal(first.status, 'completed');
+  assert.equal(queue.toJSON(first).result.score, 80);
+  assert.equal(calls.length, 2);
+
+  calls[1].resolve({ error: 'Navigation timeout' });
+  await second.done;
+  assert.equal(second.status, 'failed');
+  assert.equal(second.error, 'Navigation timeout');
+});
+
+test('ScanQueue never moves progress backwards and marks thrown errors as failed', async () => {
+  const { run, calls } = deferredRun();
+  const queue = new ScanQueue({ run });
+  const job = queue.enqueue({ url: 'https://a.example/' });
+
+  calls[0].onProgress({ stage: 'cookies', message: 'Running cookies check...', progress: 60, page: { index: 1, total: 3 } });
+  calls[0].onProgress({ stage: 'navigation', message: 'Retrying', progress: 10 });
+  calls[0].onProgress({ stage: 'score', message: 'Almost there', progress: 150 });
+  assert.equal(job.progress, 99);
+  assert.equal(job.stage, 'score');
+  assert.deepEqual(job.page, { index: 1, total: 3 });
+
+  calls[0].reject(new Error('Browser crashed'));
+  await job.done;
+  assert.equal(job.status, 'failed');
+  assert.equal(job.stage, 'failed');
+  assert.equal(job.progress, 100);
+  assert.equal(queue.toJSON(job).error, 'Browser crashed');
+});
+
+test('ScanQueue rejects jobs over the queue limit and prunes old finished jobs', async () => {
+  const { run, calls } = deferredRun();
+  const queue = new ScanQueue({ run, concurrency: 1, maxQueued: 1, retentionMs: 1000 });
+  const first = queue.enqueue({ url: 'https://a.example/' });
+  queue.enqueue({ url: 'https://b.example/' });
+  assert.throws(() => queue.enqueue({ url: 'https://c.example/' }), error => error.code === 'QUEUE_FULL');
+
+  calls[0].resolve({ score: 100 });
+  await first.done;
+  first.finishedAt = new Date(Date.now() - 2000).toISOString();
+  queue.prune();
+  assert.equal(queue.get(first.id), null);
+  calls[1].resolve({ score: 100 });
+});
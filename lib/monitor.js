@@ -0,0 +1,314 @@
+// Scheduled re-scans of registered sites with HMAC-signed webhook alerts on regressions
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const axios = require('axios');
+const { parseCron, nextRun } = require('./cron');
+const { diffScans } = require('./history');
+
+const STORAGE_DIR = process.env.GDPR_STORAGE_DIR || path.join(__dirname, '..', 'storage');
+const CONFIG_FILE = process.env.GDPR_MONITORS_FILE || path.join(__dirname, '..', 'config', 'monitors.json');
+const DEFAULT_THRESHOLD = 70;
+const SIGNATURE_HEADER = 'X-GDPR-Signature-256';
+
+function signPayload(body, secret) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// Throws on invalid input so API callers get a 400 instead of a broken schedule
+function normalizeMonitor(input, defaults = {}) {
+  if (!input || typeof input !== 'object') throw new Error('Monitor must be an object');
+
+  const url = new URL(input.url);
+  if (!['http:', 'https:'].includes(url.protocol)) throw new Error('Only HTTP and HTTPS URLs are supported');
+
+  const schedule = String(input.schedule || '@daily');
+  parseCron(schedule);
+
+  const webhook = input.webhook || {};
+  if (webhook.url) {
+    const webhookUrl = new URL(webhook.url);
+    if (!['http:', 'https:'].includes(webhookUrl.protocol)) throw new Error('Webhook URL must use HTTP or HTTPS');
+  }
+
+  const threshold = input.threshold === undefined ? DEFAULT_THRESHOLD : Number(input.threshold);
+  if (!Number.isFinite(threshold) || threshold < 0 || threshold > 100) {
+    throw new Error('Threshold must be a number between 0 and 100');
+  }
+
+  return {
+    id: input.id || defaults.id || crypto.randomUUID(),
+    url: url.toString(),
+    schedule,
+    threshold,
+    crawl: input.crawl || false,
+    profile: input.profile || null,
+    webhook: webhook.url ? { url: webhook.url, secret: webhook.secret || null } : null,
+    enabled: input.enabled !== false,
+    source: defaults.source || 'api',
+    createdAt: input.createdAt || new Date().toISOString()
+  };
+}
+
+class MonitorScheduler {
+  constructor({ runScan, getScan, storageDir = STORAGE_DIR, configFile = CONFIG_FILE, webhookSecret = null, log = console.log }) {
+    this.runScan = runScan;
+    this.getScan = getScan;
+    this.storeFile = path.join(storageDir, 'monitors.json');
+    this.configFile = configFile;
+    this.webhookSecret = webhookSecret;
+    this.log = log;
+
+    this.monitors = new Map();
+    this.state = {};
+    this.running = new Set();
+    this.timer = null;
+  }
+
+  load() {
+    this.monitors = new Map();
+
+    if (fs.existsSync(this.configFile)) {
+      try {
+        const config = JSON.parse(fs.readFileSync(this.configFile, 'utf8'));
+        (Array.isArray(config) ? config : config.monitors || []).forEach((entry, i) => {
+          try {
+            const monitor = normalizeMonitor(entry, { id: `config-${i + 1}`, source: 'config' });
+            this.monitors.set(monitor.id, monitor);
+          } catch (error) {
+            this.log(`[MONITOR] Skipping monitor #${i + 1} in ${this.configFile}: ${error.message}`);
+          }
+        });
+      } catch (error) {
+        this.log(`[MONITOR] Could not read ${this.configFile}: ${error.message}`);
+      }
+    }
+
+    if (fs.existsSync(this.storeFile)) {
+      try {
+        const stored = JSON.parse(fs.readFileSync(this.storeFile, 'utf8'));
+        for (const monitor of stored.monitors || []) this.monitors.set(monitor.id, monitor);
+        this.state = stored.state || {};
+      } catch (error) {
+        this.log(`[MONITOR] Could not read ${this.storeFile}: ${error.message}`);
+      }
+    }
+
+    return this.monitors.size;
+  }
+
+  async persist() {
+    const monitors = [...this.monitors.values()].filter(m => m.source === 'api');
+    await fs.promises.mkdir(path.dirname(this.storeFile), { recursive: true });
+    await fs.promises.writeFile(this.storeFile, JSON.stringify({ monitors, state: this.state }, null, 2));
+  }
+
+  // Public view; webhook secrets never leave the server
+  toJSON(monitor) {
+    let next = null;
+    try {
+      next = monitor.enabled ? nextRun(monitor.schedule) : null;
+    } catch {}
+
+    return {
+      ...monitor,
+      webhook: monitor.webhook ? { url: monitor.webhook.url, signed: !!(monitor.webhook.secret || this.webhookSecret) } : null,
+      running: this.running.has(monitor.id),
+      nextRunAt: next ? next.toISOString() : null,
+      ...this.state[monitor.id]
+    };
+  }
+
+  list() {
+    return [...this.monitors.values()];
+  }
+
+  get(id) {
+    return this.monitors.get(id) || null;
+  }
+
+  async add(input) {
+    const monitor = normalizeMonitor({ ...input, id: undefined });
+    this.monitors.set(monitor.id, monitor);
+    await this.persist();
+    return monitor;
+  }
+
+  async remove(id) {
+    const monitor = this.monitors.get(id);
+    if (!monitor) return false;
+    if (monitor.source !== 'api') {
+      const error = new Error('Monitors from the config file cannot be removed through the API');
+      error.code = 'READ_ONLY';
+      throw error;
+    }
+
+    this.monitors.delete(id);
+    delete this.state[id];
+    await this.persist();
+    return true;
+  }
+
+  start() {
+    if (this.timer) return;
+
+    // Tick at the start of every minute so "0 6 * * *" fires at 06:00, not 06:00:37
+    const schedule = () => {
+      const delay = 60000 - (Date.now() % 60000) + 500;
+      this.timer = setTimeout(() => {
+        this.tick(new Date());
+        schedule();
+      }, delay);
+      // Never keep the process alive just for the scheduler
+      if (this.timer.unref) this.timer.unref();
+    };
+    schedule();
+
+    this.log(`[MONITOR] Scheduler started with ${this.monitors.size} monitors`);
+  }
+
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  tick(now) {
+    for (const monitor of this.monitors.values()) {
+      if (!monitor.enabled || this.running.has(monitor.id)) continue;
+      try {
+        if (parseCron(monitor.schedule).matches(now)) {
+          this.runMonitor(monitor).catch(error => {
+            this.log(`[MONITOR] Run of ${monitor.id} failed: ${error.message}`);
+          });
+        }
+      } catch (error) {
+        this.log(`[MONITOR] Invalid schedule for ${monitor.id}: ${error.message}`);
+      }
+    }
+  }
+
+  async runMonitor(monitor) {
+    if (this.running.has(monitor.id)) return null;
+    this.running.add(monitor.id);
+
+    const state = this.state[monitor.id] || {};
+    try {
+      this.log(`[MONITOR] Running ${monitor.id}: ${monitor.url}`);
+      const result = await this.runScan({ url: monitor.url, crawl: monitor.crawl, profile: monitor.profile });
+
+      const previous = state.lastScanId ? await this.getScan(state.lastScanId) : null;
+      const alerts = result.error ? [] : this.evaluate(monitor, result, previous);
+
+      Object.assign(state, {
+        lastRunAt: new Date().toISOString(),
+        lastStatus: result.error ? 'failed' : 'completed',
+        lastError: result.error || null,
+        lastScore: result.error ? state.lastScore ?? null : result.score,
+        // A failed load keeps the last good scan as the comparison baseline
+        lastScanId: result.error ? state.lastScanId ?? null : result.scanId || null
+      });
+
+      if (alerts.length > 0) {
+        state.lastAlertAt = new Date().toISOString();
+        state.lastWebhook = await this.sendWebhook(monitor, result, previous, alerts);
+      }
+
+      return { result, alerts };
+    } finally {
+      this.state[monitor.id] = state;
+      this.running.delete(monitor.id);
+      await this.persist().catch(error => this.log(`[MONITOR] Could not save state: ${error.message}`));
+    }
+  }
+
+  evaluate(monitor, result, previous) {
+    const alerts = [];
+    const previousScore = previous ? previous.score : null;
+
+    // Only the drop below the threshold alerts, not every run that stays below it
+    if (result.score < monitor.threshold && (previousScore === null || previousScore >= monitor.threshold)) {
+      alerts.push({
+        type: 'score-below-threshold',
+        message: `Score ${result.score}% dropped below threshold ${monitor.threshold}%`,
+        score: result.score,
+        previousScore,
+        threshold: monitor.threshold
+      });
+    }
+
+    // Mandatory checks of the scoring profile fail the scan whatever the score
+    if (result.scoring?.passed === false && previous?.scoring?.passed !== false) {
+      alerts.push({
+        type: 'mandatory-check-failed',
+        message: `Mandatory checks failed (${result.scoring.profile.id}): ${result.scoring.mandatoryFailures.map(f => f.check).join(', ')}`,
+        profile: result.scoring.profile.id,
+        failures: result.scoring.mandatoryFailures
+      });
+    }
+
+    if (previous) {
+      const diff = diffScans(previous, result);
+      if (diff.violations.added.length > 0) {
+        alerts.push({
+          type: 'new-violation',
+          message: `New violations: ${diff.violations.added.map(v => v.type).join(', ')}`,
+          violations: diff.violations.added
+        });
+      }
+      // thirdPartyServices are the trackers firing before consent
+      if (diff.trackers.added.length > 0) {
+        alerts.push({
+          type: 'new-pre-consent-tracker',
+          message: `New trackers before consent: ${diff.trackers.added.map(t => t.name).join(', ')}`,
+          trackers: diff.trackers.added
+        });
+      }
+    }
+
+    return alerts;
+  }
+
+  async sendWebhook(monitor, result, previous, alerts) {
+    if (!monitor.webhook) {
+      this.log(`[MONITOR] ${alerts.length} alerts for ${monitor.id}, no webhook configured`);
+      return null;
+    }
+
+    const body = JSON.stringify({
+      event: 'gdpr.monitor.alert',
+      timestamp: new Date().toISOString(),
+      monitor: { id: monitor.id, url: monitor.url, threshold: monitor.threshold, profile: monitor.profile },
+      scan: {
+        id: result.scanId || null,
+        url: result.url,
+        timestamp: result.timestamp,
+        score: result.score,
+        profile: result.scoring?.profile?.id || null,
+        passed: result.scoring ? result.scoring.passed : null
+      },
+      previousScan: previous ? { id: previous.scanId, timestamp: previous.timestamp, score: previous.score } : null,
+      alerts
+    });
+
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'GDPR-Checker/1.0' };
+    const secret = monitor.webhook.secret || this.webhookSecret;
+    if (secret) headers[SIGNATURE_HEADER] = signPayload(body, secret);
+
+    try {
+      const response = await axios.post(monitor.webhook.url, body, { headers, timeout: 10000 });
+      this.log(`[MONITOR] Webhook for ${monitor.id} delivered (${response.status})`);
+      return { deliveredAt: new Date().toISOString(), status: response.status };
+    } catch (error) {
+      this.log(`[MONITOR] Webhook for ${monitor.id} failed: ${error.message}`);
+      return { failedAt: new Date().toISOString(), error: error.message };
+    }
+  }
+}
+
+module.exports = {
+  MonitorScheduler,
+  normalizeMonitor,
+  signPayload,
+  SIGNATURE_HEADER
+};
@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const http = require('node:http');
+const { MonitorScheduler, normalizeMonitor, signPayload, SIGNATURE_HEADER } = require('./monitor');
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'monitors-'));
+}
+
+function scan(scanId, score, { trackers = [], violations = [] } = {}) {
+  return {
+    scanId,
+    url: 'https://example.com/',
+    timestamp: '2026-01-01T00:00:00.000Z',
+    score,
+    thirdPartyServices: trackers,
+    checks: { preConsentViolations: { violations } }
+  };
+}
+
+test('normalizeMonitor validates input and fills defaults', () => {
+  const monitor = normalizeMonitor({ url: 'https://example.com', webhook: { url: 'https://hooks.example.com/x' } });
+  assert.equal(monitor.url, 'https://example.com/');
+  assert.equal(monitor.schedule, '@daily');
+  assert.equal(monitor.threshold, 70);
+  assert.deepEqual(monitor.webhook, { url: 'https://hooks.example.com/x', secret: null });
+  assert.equal(monitor.source, 'api');
+
+  assert.throws(() => normalizeMonitor({ url: 'ftp://example.com' }), /HTTP and HTTPS/);
+  assert.throws(() => normalizeMonitor({ url: 'https://example.com', schedule: '* * *' }), /5 fields/);
+  assert.throws(() => normalizeMonitor({ url: 'https://example.com', threshold: 120 }), /between 0 and 100/);
+  assert.throws(() => normalizeMonitor({ url: 'https://example.com', webhook: { url: 'file:///etc/passwd' } }), /Webhook URL/);
+});
+
+test('load merges config monitors with stored ones; only API monitors are saved or removable', async () => {
+  const dir = tempDir();
+  try {
+    const configFile = path.join(dir, 'config.json');
+    fs.writeFileSync(configFile, JSON.stringify({ monitors: [{ url: 'https://config.example/' }, { url: 'not a url' }] }));
+    const logs = [];
+    const scheduler = new MonitorScheduler({ storageDir: dir, configFile, log: message => logs.push(message) });
+
+    assert.equal(scheduler.load(), 1);
+    assert.match(logs[0], /Skipping monitor #2/);
+    const added = await scheduler.add({ url: 'https://api.example/', schedule: '0 6 * * *', webhook: { url: 'https://hooks.example/', secret: 's3cret' } });
+
+    const stored = JSON.parse(fs.readFileSync(path.join(dir, 'monitors.json'), 'utf8'));
+    assert.deepEqual(stored.monitors.map(monitor => monitor.id), [added.id]);
+    assert.deepEqual(scheduler.toJSON(added).webhook, { url: 'https://hooks.example/', signed: true });
+    await assert.rejects(scheduler.remove('config-1'), error => error.code === 'READ_ONLY');
+
+    const reloaded = new MonitorScheduler({ storageDir: dir, configFile, log: () => {} });
+    assert.equal(reloaded.load(), 2);
+    assert.equal(await reloaded.remove(added.id), true);
+    assert.equal(await reloaded.remove(added.id), false);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('evaluate alerts on the drop below the threshold and on new violations and trackers', () => {
+  const scheduler = new MonitorScheduler({ log: () => {} });
+  const monitor = { threshold: 70 };
+  const previous = scan('a', 80);
+  const current = scan('b', 60, {
+    trackers: [{ id: 'meta-pixel', name: 'Meta Pixel' }],
+    violations: [{ type: 'tracking-cookies', severity: 'high', message: 'Tracking cookies' }]
+  });
+
+  assert.deepEqual(scheduler.evaluate(monitor, current, previous).map(alert => alert.type), [
+    'score-below-threshold',
+    'new-violation',
+    'new-pre-consent-tracker'
+  ]);
+  assert.deepEqual(scheduler.evaluate(monitor, scan('c', 50), scan('b', 60)), []);
+
+  const failed = { ...scan('d', 90), scoring: { passed: false, profile: { id: 'strict' }, mandatoryFailures: [{ check: 'cookieBanner' }] } };
+  const [alert] = scheduler.evaluate(monitor, failed, null);
+  assert.equal(alert.type, 'mandatory-check-failed');
+  assert.match(alert.message, /strict.*cookieBanner/);
+});
+
+test('runMonitor keeps the last good scan as baseline and posts a signed webhook', async () => {
+  const dir = tempDir();
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ body, signature: req.headers[SIGNATURE_HEADER.toLowerCase()] });
+      res.end('ok');
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+  try {
+    const scans = { a: scan('a', 90) };
+    const results = [{ error: 'Navigation timeout' }, scan('b', 40)];
+    const scheduler = new MonitorScheduler({
+      runScan: async () => results.shift(),
+      getScan: async id => scans[id] || null,
+      storageDir: dir,
+      configFile: path.join(dir, 'missing.json'),
+      webhookSecret: 'global',
+      log: () => {}
+    });
+    const monitor = normalizeMonitor({ url: 'https://example.com/', webhook: { url: `http://127.0.0.1:${server.address().port}/hook` } });
+    scheduler.monitors.set(monitor.id, monitor);
+    scheduler.state[monitor.id] = { lastScanId: 'a', lastScore: 90 };
+
+    const failedRun = await scheduler.runMonitor(monitor);
+    assert.deepEqual(failedRun.alerts, []);
+    assert.equal(scheduler.state[monitor.id].lastStatus, 'failed');
+    assert.equal(scheduler.state[monitor.id].lastScanId, 'a');
+    assert.equal(scheduler.state[monitor.id].lastScore, 90);
+
+    const { alerts } = await scheduler.runMonitor(monitor);
+    assert.deepEqual(alerts.map(alert => alert.type), ['score-below-threshold']);
+    assert.equal(scheduler.state[monitor.id].lastScanId, 'b');
+    assert.equal(scheduler.state[monitor.id].lastWebhook.status, 200);
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0].signature, signPayload(received[0].body, 'global'));
+    const payload = JSON.parse(received[0].body);
+    assert.equal(payload.event, 'gdpr.monitor.alert');
+    assert.equal(payload.previousScan.id, 'a');
+  } finally {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
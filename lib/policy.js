@@ -0,0 +1,241 @@
+// Privacy policy content analysis against the GDPR Art. 13/14 mandatory disclosures (SK, CS, EN)
+
+const axios = require('axios');
+const cheerio = require('cheerio');
+const i18n = require('./i18n');
+
+// Shorter extracted texts usually mean a JS-rendered page or a cookie wall, not a real policy
+const MIN_POLICY_TEXT_LENGTH = 500;
+const EXCERPT_LENGTH = 240;
+
+// JS \b only knows ASCII letters, so patterns ending in a word use (?!\p{L}) instead.
+// `conditional` items only apply when the controller does it (appointed DPO, transfers, profiling),
+// yet a policy should still say so; they weigh half in the coverage score
+const POLICY_DISCLOSURES = [
+  {
+    id: 'controller',
+    article: { article: 13, paragraph: 1, point: 'a' },
+    patterns: {
+      sk: [/prevádzkovateľ(?:om|a|ovi)?(?!\p{L})/iu, /\bIČO\s*:?\s*\d/i],
+      cs: [/správce osobních údajů/i, /\bsprávcem\b/i, /\bIČO?\s*:?\s*\d/i],
+      en: [/\bdata controller\b/i, /\bcontroller\b/i, /company (?:registration )?(?:number|no\.)/i]
+    }
+  },
+  {
+    id: 'controllerContact',
+    article: { article: 13, paragraph: 1, point: 'a' },
+    patterns: {
+      any: [/[\w.+-]+@[\w-]+(?:\.[\w-]+)+/, /(?:\+|00)\s?\d{3}[\s\d]{8,}/]
+    }
+  },
+  {
+    id: 'dpo',
+    article: { article: 13, paragraph: 1, point: 'b' },
+    conditional: true,
+    patterns: {
+      sk: [/zodpovedn(?:á|ej|ú|ou) osob/i],
+      cs: [/pověřen(?:ec|ce|cem) pro ochranu osobních údajů/i],
+      en: [/data protection officer/i],
+      any: [/\bDPO\b/]
+    }
+  },
+  {
+    id: 'purposes',
+    article: { article: 13, paragraph: 1, point: 'c' },
+    patterns: {
+      sk: [/účel(?:y|om|u|och|mi)? spracúvania/i, /na (?:tieto |nasledovné )?účely/i],
+      cs: [/účel(?:y|em|u|ech)? zpracování/i, /za účelem/i],
+      en: [/purposes? (?:of|for) (?:the )?processing/i, /we (?:use|process|collect) (?:your )?(?:personal )?(?:data|information) (?:to|for)/i]
+    }
+  },
+  {
+    id: 'legalBasis',
+    article: { article: 13, paragraph: 1, point: 'c' },
+    patterns: {
+      sk: [/právn(?:y|ym|eho|om) základ/i, /oprávnen(?:ý|ého|om) záujm/i, /čl(?:ánk[ua]|\.)?\s*6\s*ods(?:ek|\.)?\s*1/i],
+      cs: [/právní(?:m|ho)? zákla(?:d|dem|du)/i, /oprávněn(?:ý|ého|ém) zájm/i, /čl(?:ánk[ua]|\.)?\s*6\s*odst(?:avec|\.)?\s*1/i],
+      en: [/(?:legal|lawful) bas(?:is|es)/i, /legitimate interests?/i, /art(?:icle|\.)?\s*6\s*\(1\)/i]
+    }
+  },
+  {
+    id: 'retention',
+    article: { article: 13, paragraph: 2, point: 'a' },
+    patterns: {
+      sk: [/dob(?:a|u|y|e) (?:uchovávania|uchovania|uloženia|spracúvania)/i, /uchováva(?:me|né|ť|jú)(?!\p{L})/iu],
+      cs: [/dob(?:a|u|y|ě) (?:uchování|uložení|zpracování|uchovávání)/i, /uchováv(?:áme|ány|at)(?!\p{L})/iu],
+      en: [
+        /retention period/i,
+        /\bdata retention\b/i,
+        /\b(?:retain(?:s|ed)?|keeps?|stores?) (?:your |the |all |such )?(?:personal )?(?:data|information) (?:for|until)\b/i,
+        /\b(?:retained|kept|stored) (?:for (?:up to |at least |a (?:maximum )?period of )?(?:\d+|one|two|three|five|six|ten) (?:days?|weeks?|months?|years?)|for as long as|until)\b/i,
+        /how long we (?:keep|store|retain)/i
+      ]
+    }
+  },
+  {
+    id: 'recipients',
+    article: { article: 13, paragraph: 1, point: 'e' },
+    patterns: {
+      sk: [/príjemc(?:ovia|om|ami|i|a)(?!\p{L})/iu, /sprostredkovateľ/i],
+      cs: [/příjemc(?:i|ům|ů|em)(?!\p{L})/iu, /zpracovatel(?:é|ům|i|em)?(?!\p{L})/iu],
+      en: [/\brecipients?\b/i, /\bprocessors?\b/i, /share (?:your |the )?(?:personal )?(?:data|information) with/i]
+    }
+  },
+  {
+    id: 'transfers',
+    article: { article: 13, paragraph: 1, point: 'f' },
+    conditional: true,
+    patterns: {
+      sk: [/tret(?:ej|ích|ie|iu) krajin/i, /mimo (?:EÚ|EHP|Európsk)/i, /štandardn(?:é|ých) zmluvn(?:é|ých) doložk/i],
+      cs: [/třetí(?:ch|ho)? zem/i, /mimo (?:EU|EHP|Evropsk)/i, /standardní(?:ch)? smluvní(?:ch)? doložk/i],
+      en: [/third countr/i, /outside (?:the )?(?:EU|EEA|European)/i, /international (?:data )?transfers?/i, /standard contractual clauses/i, /adequacy decision/i]
+    }
+  },
+  {
+    id: 'rights',
+    article: { article: 13, paragraph: 2, point: 'b' },
+    patterns: {
+      sk: [/právo na (?:prístup|opravu|vymazanie|výmaz|obmedzenie|prenosnosť|namietanie)/i, /právo namietať/i],
+      cs: [/právo na (?:přístup|opravu|výmaz|omezení|přenositelnost)/i, /právo vznést námitk/i],
+      en: [/right (?:of|to) (?:access|rectification|erasure|restrict|data portability|object)/i, /right to be forgotten/i]
+    }
+  },
+  {
+    id: 'complaint',
+    article: { article: 13, paragraph: 2, point: 'd' },
+    patterns: {
+      sk: [/(?:podať|podanie) (?:sťažnos|návrh)/i, /úrad(?:u|e|om)? na ochranu osobných údajov/i, /dozorn(?:ý|ému|om) orgán/i],
+      cs: [/(?:podat|podání) stížnost/i, /úřad(?:u|em)? pro ochranu osobních údajů/i, /dozorov(?:ý|ému|ém) úřad/i],
+      en: [/lodge a complaint/i, /supervisory authority/i, /data protection authority/i]
+    }
+  },
+  {
+    id: 'automatedDecisions',
+    article: { article: 13, paragraph: 2, point: 'f' },
+    conditional: true,
+    patterns: {
+      sk: [/automatizovan(?:é|ého|om|ému) (?:individuálne )?rozhodovan/i, /profilovan/i],
+      cs: [/automatizovan(?:é|ého|ém|ému) (?:individuální )?rozhodován/i, /profilován/i],
+      en: [/automated (?:individual )?decision/i, /\bprofiling\b/i]
+    }
+  }
+];
+
+const LANGUAGE_HINTS = {
+  sk: ['sú', 'alebo', 'ktoré', 'údajov', 'osobných', 'spracúvanie', 'pre', 'vaše', 'môžete', 'podľa'],
+  cs: ['jsou', 'nebo', 'které', 'údajů', 'osobních', 'zpracování', 'pro', 'vaše', 'můžete', 'podle'],
+  en: ['the', 'and', 'your', 'we', 'data', 'personal', 'with', 'may', 'our', 'information']
+};
+
+function detectLanguage(text) {
+  const words = text.toLowerCase().split(/[^\p{L}]+/u);
+  const counts = Object.fromEntries(Object.keys(LANGUAGE_HINTS).map(lang => [lang, 0]));
+  for (const word of words) {
+    for (const [lang, hints] of Object.entries(LANGUAGE_HINTS)) {
+      if (hints.includes(word)) counts[lang]++;
+    }
+  }
+
+  const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return count > 0 ? best : null;
+}
+
+// Block elements get line breaks so cheerio's text() doesn't glue headings to paragraphs
+function extractPolicyText(html) {
+  const $ = cheerio.load(html);
+  $('script, style, noscript, svg, iframe, nav, header, footer, form').remove();
+  $('br').replaceWith('\n');
+  $('p, div, li, h1, h2, h3, h4, h5, h6, tr, section, article, dd, dt').append('\n');
+
+  const normalize = text => text.replace(/[ \t ]+/g, ' ').replace(/\s*\n\s*/g, '\n').trim();
+
+  const main = normalize($('main').first().text() || $('article').first().text() || '');
+  return main.length >= MIN_POLICY_TEXT_LENGTH ? main : normalize($('body').text() || $.root().text());
+}
+
+function excerptAround(text, index, length) {
+  const start = Math.max(0, text.lastIndexOf('\n', index) + 1, index - EXCERPT_LENGTH / 2);
+  let end = text.indexOf('\n', index + length);
+  if (end === -1 || end - start > EXCERPT_LENGTH) end = Math.min(text.length, start + EXCERPT_LENGTH);
+
+  const excerpt = text.slice(start, end).replace(/\s+/g, ' ').trim();
+  const cutStart = start > 0 && text[start - 1] !== '\n';
+  const cutEnd = end < text.length && text[end] !== '\n';
+  return `${cutStart ? '…' : ''}${excerpt}${cutEnd ? '…' : ''}`;
+}
+
+// Label ("policy.disclosure.<id>") and article reference in the catalogue's citation style
+function disclosureTexts(disclosure) {
+  return {
+    ...i18n.text('policy.article', disclosure.article, 'article'),
+    ...i18n.text(`policy.disclosure.${disclosure.id}`, {}, 'label')
+  };
+}
+
+function analyzePolicyText(text) {
+  const items = POLICY_DISCLOSURES.map(disclosure => {
+    for (const [language, patterns] of Object.entries(disclosure.patterns)) {
+      for (const pattern of patterns) {
+        const match = pattern.exec(text);
+        if (match) {
+          return {
+            id: disclosure.id,
+            ...disclosureTexts(disclosure),
+            conditional: !!disclosure.conditional,
+            found: true,
+            language: language === 'any' ? null : language,
+            excerpt: excerptAround(text, match.index, match[0].length)
+          };
+        }
+      }
+    }
+
+    return {
+      id: disclosure.id,
+      ...disclosureTexts(disclosure),
+      conditional: !!disclosure.conditional,
+      found: false,
+      language: null,
+      excerpt: null
+    };
+  });
+
+  const weight = item => (item.conditional ? 0.5 : 1);
+  const total = items.reduce((sum, item) => sum + weight(item), 0);
+  const found = items.filter(item => item.found).reduce((sum, item) => sum + weight(item), 0);
+
+  return {
+    language: detectLanguage(text),
+    textLength: text.length,
+    coverage: Math.round((found / total) * 100),
+    items,
+    missing: items.filter(item => !item.found).map(item => item.id)
+  };
+}
+
+async function fetchPolicyHtml(url) {
+  const response = await axios.get(url, {
+    timeout: 20000,
+    maxContentLength: 5 * 1024 * 1024,
+    responseType: 'text',
+    headers: {
+      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
+      'Accept-Language': 'sk,cs;q=0.9,en;q=0.8'
+    }
+  });
+
+  const contentType = response.headers['content-type'] || '';
+  if (!contentType.includes('html')) {
+    throw new Error(`Unsupported content type ${contentType || 'unknown'}`);
+  }
+  return response.data;
+}
+
+module.exports = {
+  POLICY_DISCLOSURES,
+  MIN_POLICY_TEXT_LENGTH,
+  extractPolicyText,
+  analyzePolicyText,
+  detectLanguage,
+  fetchPolicyHtml
+};
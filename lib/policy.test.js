@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { POLICY_DISCLOSURES, extractPolicyText, analyzePolicyText, detectLanguage } = require('./policy');
+
+const slovakPolicy = `
+  Prevádzkovateľom je Príklad s.r.o., IČO: 12345678, e-mail: gdpr@priklad.sk.
+  Účely spracúvania: vybavenie objednávok a zasielanie noviniek.
+  Právnym základom je plnenie zmluvy a oprávnený záujem prevádzkovateľa.
+  Osobné údaje uchovávame počas trvania zmluvy a 10 rokov po jej skončení.
+  Príjemcovia: dopravcovia a poskytovatelia platobných služieb.
+  Máte právo na prístup, opravu a vymazanie údajov a právo namietať.
+  Môžete podať sťažnosť na Úrad na ochranu osobných údajov SR.
+`;
+
+test('analyzePolicyText finds Art. 13 disclosures with excerpts', () => {
+  const result = analyzePolicyText(slovakPolicy);
+  const found = id => result.items.find(item => item.id === id);
+
+  assert.equal(result.language, 'sk');
+  assert.deepEqual(result.missing, ['dpo', 'transfers', 'automatedDecisions']);
+  assert.equal(found('controller').language, 'sk');
+  assert.equal(found('controllerContact').language, null);
+  assert.match(found('retention').excerpt, /uchovávame/);
+  assert.equal(found('rights').labelId, 'policy.disclosure.rights');
+  assert.equal(found('rights').articleId, 'policy.article');
+});
+
+test('analyzePolicyText weighs conditional disclosures half', () => {
+  const required = POLICY_DISCLOSURES.filter(item => !item.conditional).length;
+  const conditional = POLICY_DISCLOSURES.length - required;
+  assert.equal(analyzePolicyText(slovakPolicy).coverage, Math.round((required / (required + conditional / 2)) * 100));
+  assert.equal(analyzePolicyText('Nothing relevant here.').coverage, 0);
+});
+
+test('detectLanguage tells Slovak, Czech and English apart', () => {
+  assert.equal(detectLanguage('Osobní údaje, které zpracováváme, jsou uvedeny podle zákona.'), 'cs');
+  assert.equal(detectLanguage('We process your personal data with care.'), 'en');
+  assert.equal(detectLanguage('12345'), null);
+});
+
+test('extractPolicyText drops scripts and navigation and keeps block breaks', () => {
+  const html = `<html><body>
+    <nav>Menu</nav><script>var tracking = 1;</script>
+    <h1>Privacy</h1><p>First paragraph.</p><p>Second<br>line</p>
+    <footer>Footer</footer>
+  </body></html>`;
+  assert.equal(extractPolicyText(html), 'Privacy\nFirst paragraph.\nSecond\nline');
+});
+
+test('analyzePolicyText recognises common English retention wording', () => {
+  const hasRetention = policy => !analyzePolicyText(policy).missing.includes('retention');
+  assert.equal(hasRetention('Data is retained for 3 years after the contract ends.'), true);
+  assert.equal(hasRetention('We keep your data for as long as your account is active.'), true);
+  assert.equal(hasRetention('Personal information is stored until you withdraw consent.'), true);
+  assert.equal(hasRetention('Our data retention policy is described below.'), true);
+  assert.equal(hasRetention('We store your data on servers in the EU.'), false);
+});
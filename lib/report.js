@@ -0,0 +1,427 @@
+// Printable audit report: branded HTML rendered from a scan result, PDF via Puppeteer
+
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_LANGUAGE, translate } = require('./i18n');
+
+const BRANDING_FILE = process.env.GDPR_BRANDING_FILE || path.join(__dirname, '..', 'config', 'branding.json');
+
+const DEFAULT_BRANDING = {
+  companyName: 'GDPR Checker',
+  logoUrl: null,
+  primaryColor: '#667eea',
+  accentColor: '#764ba2',
+  contact: null,
+  // null = the "report.footer" text in the report's language
+  footerText: null
+};
+
+const PRIORITY_COLORS = {
+  CRITICAL: '#b91c1c',
+  HIGH: '#ea580c',
+  MEDIUM: '#ca8a04',
+  LOW: '#2563eb',
+  ERROR: '#6b7280'
+};
+
+const HEX_COLOR = /^#[0-9a-f]{3,8}$/i;
+
+function loadBranding(file = BRANDING_FILE) {
+  if (!fs.existsSync(file)) return { ...DEFAULT_BRANDING };
+  try {
+    return normalizeBranding(JSON.parse(fs.readFileSync(file, 'utf8')));
+  } catch (error) {
+    console.warn(`[REPORT] Could not load branding ${file}: ${error.message}`);
+    return { ...DEFAULT_BRANDING };
+  }
+}
+
+// Colours end up inside CSS and the logo inside an attribute, so both are validated
+function normalizeBranding(input = {}, base = DEFAULT_BRANDING) {
+  const branding = { ...base };
+
+  if (typeof input.companyName === 'string' && input.companyName.trim()) branding.companyName = input.companyName.trim();
+  if (typeof input.contact === 'string') branding.contact = input.contact;
+  if (typeof input.footerText === 'string') branding.footerText = input.footerText;
+  if (HEX_COLOR.test(input.primaryColor || '')) branding.primaryColor = input.primaryColor;
+  if (HEX_COLOR.test(input.accentColor || '')) branding.accentColor = input.accentColor;
+  if (typeof input.logoUrl === 'string' && /^(https?:|data:image\/)/i.test(input.logoUrl)) branding.logoUrl = input.logoUrl;
+
+  return branding;
+}
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function scoreColor(score) {
+  if (score >= 80) return '#16a34a';
+  if (score >= 60) return '#ca8a04';
+  return '#dc2626';
+}
+
+function formatDate(iso, lang) {
+  const date = new Date(iso);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString(lang, { timeZone: 'Europe/Bratislava' });
+}
+
+// Check, safeguard and cookie category labels are "report.<group>.<id>"; unknown ids stay as they are
+function label(lang, group, id) {
+  const messageId = `report.${group}.${id}`;
+  const text = translate(lang, messageId);
+  return text === messageId ? id : text;
+}
+
+function table(lang, headers, rows) {
+  if (rows.length === 0) return `<p class="muted">${escapeHtml(translate(lang, 'report.noRecords'))}</p>`;
+  return `
+    <table>
+      <thead><tr>${headers.map(h => `<th>${escapeHtml(h)}</th>`).join('')}</tr></thead>
+      <tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${cell}</td>`).join('')}</tr>`).join('')}</tbody>
+    </table>`;
+}
+
+function subCheckSummary(subChecks) {
+  return subChecks
+    .map(sub => `${sub.passed ? '✔' : '✘'} ${escapeHtml(sub.label)}${sub.passed ? '' : ` – ${escapeHtml(sub.details)}`}`)
+    .join('<br>');
+}
+
+function checkSummary(lang, name, check) {
+  if (check.error) return escapeHtml(check.error);
+  const t = (id, params) => escapeHtml(translate(lang, `report.summary.${id}`, params));
+
+  switch (name) {
+    case 'cookieBanner':
+      return [
+        check.visible ? t('bannerVisible') : check.found ? t('bannerUnverified') : '',
+        check.cmp?.primary ? `CMP: ${escapeHtml(check.cmp.primary.name)}` : ''
+      ].filter(Boolean).join('<br>');
+    case 'bannerDesign':
+      if (!check.analyzed) return escapeHtml(check.reason || '');
+      return subCheckSummary(check.subChecks);
+    case 'ssl':
+    case 'securityHeaders':
+      return check.subChecks?.length ? subCheckSummary(check.subChecks) : escapeHtml(check.details || '');
+    case 'privacyPolicy':
+      if (!check.analysis?.analyzed) return check.links?.[0] ? escapeHtml(check.links[0].href) : '';
+      return [
+        t('policyCoverage', { coverage: check.analysis.coverage }),
+        ...check.analysis.items.map(item => `${item.found ? '✔' : '✘'} ${escapeHtml(item.label)}`)
+      ].join('<br>');
+    case 'cookiePolicy': {
+      const declaration = check.declaration;
+      if (!declaration?.analyzed) return check.links?.[0] ? escapeHtml(check.links[0].href) : '';
+      return [
+        t('declaration', { declared: declaration.declaredCount, observed: declaration.observedCount }),
+        declaration.undeclared.length
+          ? `${t('undeclared')} <span class="mono">${declaration.undeclared.map(c => escapeHtml(c.name)).join(', ')}</span>`
+          : t('allDeclared'),
+        declaration.notObserved.length
+          ? `${t('notObserved')} <span class="mono">${declaration.notObserved.map(escapeHtml).join(', ')}</span>`
+          : ''
+      ].filter(Boolean).join('<br>');
+    }
+    case 'cookies':
+      return t('cookies', { count: (check.cookies || []).length });
+    case 'forms':
+      if (!check.summary) return escapeHtml(check.error || '');
+      return [
+        t('forms', { total: check.summary.total, personal: check.summary.collectingPersonalData }),
+        ...check.forms.flatMap(form => form.issues.map(issue => `✘ ${escapeHtml(issue.message)}`)),
+        check.widgets.length ? t('widgets', { widgets: check.widgets.map(w => w.name).join(', ') }) : ''
+      ].filter(Boolean).join('<br>');
+    case 'transfers':
+      if (!check.summary) return escapeHtml(check.error || '');
+      return t('transfers', {
+        count: check.summary.thirdPartyHosts,
+        outside: check.summary.outsideEEA,
+        contractual: check.summary.contractual,
+        unknown: check.summary.unknown
+      });
+    case 'deviceAccess':
+      if (!check.summary) return escapeHtml(check.error || '');
+      return t('deviceAccess', { storage: check.summary.storageWrites, fingerprinting: check.summary.fingerprintingCalls });
+    case 'attribution':
+      if (!check.summary) return escapeHtml(check.error || '');
+      return [
+        t('attribution', {
+          services: check.summary.services,
+          viaTagManager: check.summary.viaTagManager,
+          containers: check.containers.map(container => container.id).join(', ') || '—'
+        }),
+        ...check.services.map(service => escapeHtml(service.message))
+      ].join('<br>');
+    case 'consentMode':
+      if (check.evaluated === false) return t('consentModeNotEvaluated');
+      if (!check.found) return t('consentModeMissing');
+      return [
+        t('consentMode', {
+          version: check.version || '?',
+          defaults: Object.entries(check.defaults).map(([type, state]) => `${type}: ${state || '—'}`).join(', '),
+          hits: check.hits.beforeConsent.total,
+          cookieless: check.hits.beforeConsent.cookieless
+        }),
+        ...check.issues.map(issue => `✘ ${escapeHtml(issue.message)}`)
+      ].join('<br>');
+    case 'preConsentViolations':
+    case 'consentInteraction':
+      return (check.violations || []).map(v => escapeHtml(v.message)).join('<br>');
+    default:
+      return check.url ? escapeHtml(check.url) : '';
+  }
+}
+
+// Violation details are cookies, tracking requests, storage/fingerprinting calls or TCF purposes depending on the type
+function violationEvidence(lang, details = []) {
+  return details.slice(0, 25).map(d => {
+    if (d.api) {
+      const call = d.key !== undefined ? `${d.api}: ${d.key}` : `${d.api}${d.detail ? ` (${d.detail})` : ''}`;
+      return `<span class="mono">${escapeHtml(call)}</span>${d.service ? ` ${escapeHtml(d.service)}` : ''}${d.script ? ` <span class="mono">${escapeHtml(d.script)}</span>` : ''}`;
+    }
+    if (d.url) {
+      const loader = d.initiator ? ` ← <span class="mono">${escapeHtml(d.initiator)}</span>` : '';
+      return `${escapeHtml(d.service || '')} <span class="mono">${escapeHtml(d.url)}</span>${loader}`;
+    }
+    if (d.domain) return `<span class="mono">${escapeHtml(d.name)}</span> (${escapeHtml(d.domain)}${d.category ? `, ${escapeHtml(label(lang, 'category', d.category))}` : ''})`;
+    return escapeHtml(d.name || d.id || JSON.stringify(d));
+  }).join('<br>') + (details.length > 25 ? `<br><span class="muted">${escapeHtml(translate(lang, 'report.moreEvidence', { count: details.length - 25 }))}</span>` : '');
+}
+
+// The result should already be localized (localizeResult) into the same language
+function renderReportHtml(result, branding = DEFAULT_BRANDING, lang = result.language || DEFAULT_LANGUAGE) {
+  const t = (id, params) => escapeHtml(translate(lang, `report.${id}`, params));
+  const checks = result.checks || {};
+  const cookies = result.site ? result.site.cookies : checks.cookies?.cookies || [];
+  const trackers = result.thirdPartyServices || [];
+  const violations = [
+    ...(checks.preConsentViolations?.violations || []),
+    ...(checks.consentInteraction?.violations || [])
+  ];
+  const score = typeof result.score === 'number' ? result.score : 0;
+  const columns = (...ids) => ids.map(id => translate(lang, `report.column.${id}`));
+
+  const checkRows = Object.entries(checks)
+    .filter(([, check]) => check && typeof check === 'object')
+    .map(([name, check]) => [
+      escapeHtml(label(lang, 'check', name)),
+      typeof check.score === 'number'
+        ? `<strong style="color: ${scoreColor(check.score)}">${escapeHtml(check.score)}%</strong>`
+        : '<span class="muted">—</span>',
+      checkSummary(lang, name, check)
+    ]);
+
+  const cookieRows = cookies.map(c => [
+    `<span class="mono">${escapeHtml(c.name)}</span>`,
+    escapeHtml(c.domain),
+    c.category ? escapeHtml(label(lang, 'category', c.category)) : '',
+    c.lifetimeDays === null || c.lifetimeDays === undefined ? t('session') : t('days', { count: c.lifetimeDays }),
+    c.thirdParty ? t('thirdParty') : t('firstParty')
+  ]);
+
+  const trackerRows = trackers.map(t => [
+    escapeHtml(t.name),
+    escapeHtml(t.vendor || ''),
+    escapeHtml(t.category || ''),
+    escapeHtml((t.detectedBy || []).join(', '))
+  ]);
+
+  const violationRows = violations.map(v => [
+    `<span class="badge" style="background: ${PRIORITY_COLORS[v.severity] || '#6b7280'}">${escapeHtml(v.severity)}</span>`,
+    escapeHtml(v.message),
+    violationEvidence(lang, v.details)
+  ]);
+
+  const recommendations = (result.recommendations || []).map(r => `
+    <li>
+      <span class="badge" style="background: ${PRIORITY_COLORS[r.priority] || '#6b7280'}">${escapeHtml(r.priority)}</span>
+      ${escapeHtml(r.message)}
+    </li>`).join('');
+
+  // Only our own base64 screenshots; anything else could pull remote content into the report
+  const isScreenshot = src => typeof src === 'string' && /^data:image\/(?:jpeg|png);base64,[A-Za-z0-9+/=]+$/.test(src);
+  const screenshots = [
+    { src: checks.cookieBanner?.screenshots?.viewport, caption: translate(lang, 'report.screenshots.firstVisit') },
+    { src: checks.cookieBanner?.screenshots?.banner, caption: translate(lang, 'report.screenshots.banner') },
+    {
+      src: checks.consentInteraction?.accept?.screenshot,
+      caption: translate(lang, 'report.screenshots.afterClick', {
+        button: checks.consentInteraction?.accept?.button?.text || translate(lang, 'report.screenshots.accept')
+      })
+    },
+    {
+      src: checks.consentInteraction?.reject?.screenshot,
+      caption: translate(lang, 'report.screenshots.afterClick', {
+        button: checks.consentInteraction?.reject?.button?.text || translate(lang, 'report.screenshots.reject')
+      })
+    }
+  ].filter(shot => isScreenshot(shot.src));
+
+  const screenshotsSection = screenshots.length ? `
+    <section>
+      <h2>${t('screenshots.title')}</h2>
+      <div class="screenshots">
+        ${screenshots.map(shot => `
+        <figure>
+          <img src="${shot.src}" alt="${escapeHtml(shot.caption)}">
+          <figcaption>${escapeHtml(shot.caption)}</figcaption>
+        </figure>`).join('')}
+      </div>
+    </section>` : '';
+
+  const transferRows = (checks.transfers?.vendors || []).map(v => [
+    escapeHtml(v.vendor || v.domain),
+    escapeHtml(`${v.country || '?'}${v.thirdCountries?.length ? ` → ${v.thirdCountries.join(', ')}` : ''}`),
+    escapeHtml(label(lang, 'safeguard', v.safeguard)),
+    `<span class="mono">${v.hosts.map(escapeHtml).join(', ')}</span>`
+  ]);
+
+  const scoring = result.scoring;
+  const scoringSummary = scoring ? `
+      <div><strong>${t('profile')}</strong> ${escapeHtml(scoring.profile.name)} (v${escapeHtml(scoring.profile.version)}, <span class="mono">${escapeHtml(scoring.profile.hash)}</span>)</div>
+      ${scoring.passed ? '' : `<div style="color: #dc2626"><strong>${t('mandatoryFailures')}</strong> ${scoring.mandatoryFailures
+        .map(f => escapeHtml(`${label(lang, 'check', f.check)} ${f.notEvaluated ? translate(lang, 'report.notEvaluated') : `${f.score}%`} < ${f.minScore}%${f.url ? ` (${f.url})` : ''}`))
+        .join(', ')}</div>`}` : '';
+
+  const pagesSection = result.site ? `
+    <section>
+      <h2>${t('pages.title')}</h2>
+      ${table(lang, ['URL', translate(lang, 'report.column.depth'), translate(lang, 'report.column.score')], result.site.pageScores.map(p => [
+        `<span class="mono">${escapeHtml(p.url)}</span>`,
+        escapeHtml(p.depth),
+        p.error ? t('pages.error') : `${escapeHtml(p.score)}%`
+      ]))}
+    </section>` : '';
+
+  return `<!DOCTYPE html>
+<html lang="${escapeHtml(lang)}">
+<head>
+  <meta charset="UTF-8">
+  <title>${t('title')} – ${escapeHtml(result.url)}</title>
+  <style>
+    * { box-sizing: border-box; }
+    body { font-family: 'Segoe UI', Tahoma, Geneva, Verdana, sans-serif; color: #1f2937; margin: 0; padding: 32px; font-size: 12px; line-height: 1.5; }
+    header { display: flex; align-items: center; justify-content: space-between; border-bottom: 4px solid ${branding.primaryColor}; padding-bottom: 16px; margin-bottom: 24px; }
+    header img { max-height: 48px; max-width: 200px; }
+    header .company { font-size: 18px; font-weight: 700; color: ${branding.accentColor}; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    h2 { font-size: 15px; color: ${branding.accentColor}; border-bottom: 1px solid #e5e7eb; padding-bottom: 4px; margin: 28px 0 12px; }
+    .summary { display: flex; align-items: center; gap: 24px; }
+    .score { width: 110px; height: 110px; border-radius: 50%; border: 8px solid ${scoreColor(score)}; display: flex; align-items: center; justify-content: center; font-size: 28px; font-weight: 700; flex-shrink: 0; }
+    table { width: 100%; border-collapse: collapse; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e7eb; vertical-align: top; word-break: break-word; }
+    th { background: ${branding.primaryColor}; color: white; font-weight: 600; }
+    tr { page-break-inside: avoid; }
+    ul { padding-left: 0; list-style: none; }
+    li { margin-bottom: 8px; }
+    .badge { display: inline-block; color: white; border-radius: 4px; padding: 1px 6px; font-size: 10px; font-weight: 700; margin-right: 6px; }
+    .mono { font-family: Consolas, monospace; font-size: 11px; }
+    .muted { color: #6b7280; }
+    footer { margin-top: 32px; padding-top: 12px; border-top: 1px solid #e5e7eb; color: #6b7280; font-size: 10px; }
+    section { page-break-inside: auto; }
+    .screenshots { display: flex; flex-wrap: wrap; gap: 12px; }
+    .screenshots figure { margin: 0; width: calc(50% - 6px); page-break-inside: avoid; }
+    .screenshots img { width: 100%; border: 1px solid #e5e7eb; }
+    .screenshots figcaption { color: #6b7280; font-size: 10px; margin-top: 4px; }
+  </style>
+</head>
+<body>
+  <header>
+    ${branding.logoUrl ? `<img src="${escapeHtml(branding.logoUrl)}" alt="${escapeHtml(branding.companyName)}">` : ''}
+    <div class="company">${escapeHtml(branding.companyName)}</div>
+  </header>
+
+  <div class="summary">
+    <div class="score">${escapeHtml(score)}%</div>
+    <div>
+      <h1>${t('title')}</h1>
+      <div><strong>URL:</strong> ${escapeHtml(result.url)}</div>
+      <div><strong>${t('date')}</strong> ${escapeHtml(formatDate(result.timestamp, lang))}</div>
+      ${result.site ? `<div><strong>${t('pagesScanned')}</strong> ${escapeHtml(result.site.pagesScanned)}</div>` : ''}${scoringSummary}
+      ${result.error ? `<div style="color: #dc2626"><strong>${t('error')}</strong> ${escapeHtml(result.error)}</div>` : ''}
+    </div>
+  </div>
+
+  <section>
+    <h2>${t('checks.title')}</h2>
+    ${table(lang, columns('check', 'score', 'findings'), checkRows)}
+  </section>
+
+  <section>
+    <h2>${t('violations.title')}</h2>
+    ${table(lang, columns('severity', 'finding', 'evidence'), violationRows)}
+  </section>
+
+  ${screenshotsSection}
+
+  <section>
+    <h2>${t('trackers.title')}</h2>
+    ${table(lang, columns('service', 'vendor', 'category', 'detectedBy'), trackerRows)}
+  </section>
+
+  <section>
+    <h2>${t('transfers.title')}</h2>
+    ${table(lang, columns('vendor', 'country', 'safeguard', 'domains'), transferRows)}
+    ${checks.transfers?.dpfSnapshot?.snapshotDate ? `<p class="muted">${t('transfers.dpf', { date: checks.transfers.dpfSnapshot.snapshotDate })}</p>` : ''}
+  </section>
+
+  <section>
+    <h2>${t('cookies.title')}</h2>
+    ${table(lang, columns('name', 'domain', 'category', 'lifetime', 'type'), cookieRows)}
+  </section>
+
+  ${pagesSection}
+
+  <section>
+    <h2>${t('recommendations.title')}</h2>
+    ${recommendations ? `<ul>${recommendations}</ul>` : `<p class="muted">${t('recommendations.none')}</p>`}
+  </section>
+
+  <footer>
+    ${branding.contact ? `<div>${escapeHtml(branding.contact)}</div>` : ''}
+    <div>${escapeHtml(branding.footerText ?? translate(lang, 'report.footer'))}</div>
+  </footer>
+</body>
+</html>`;
+}
+
+// Accepts a browser or a browser context
+async function renderReportPdf(target, html) {
+  const page = await target.newPage();
+  try {
+    // Everything the report needs is inline; a remote logo or injected URL must not make the renderer fetch anything
+    await page.setRequestInterception(true);
+    page.on('request', request => {
+      if (request.isInterceptResolutionHandled()) return;
+      if (request.url().startsWith('data:')) {
+        request.continue();
+      } else {
+        request.abort('blockedbyclient');
+      }
+    });
+    await page.setContent(html, { waitUntil: 'load', timeout: 30000 });
+    return await page.pdf({
+      format: 'A4',
+      printBackground: true,
+      margin: { top: '12mm', bottom: '16mm', left: '10mm', right: '10mm' },
+      displayHeaderFooter: true,
+      headerTemplate: '<span></span>',
+      footerTemplate: '<div style="font-size: 8px; width: 100%; text-align: center; color: #6b7280;"><span class="pageNumber"></span> / <span class="totalPages"></span></div>'
+    });
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+module.exports = {
+  loadBranding,
+  normalizeBranding,
+  renderReportHtml,
+  renderReportPdf,
+  escapeHtml
+};
@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { renderReportHtml, normalizeBranding } = require('./report');
+
+const payload = '<img src=x onerror=alert(1)>';
+
+test('renderReportHtml escapes values from the posted result', () => {
+  const html = renderReportHtml({
+    url: 'https://example.com',
+    timestamp: '2026-01-01T00:00:00Z',
+    score: 50,
+    site: { pagesScanned: payload, pageScores: [{ url: 'https://example.com/', depth: 0, score: payload }], cookies: [] },
+    checks: { ssl: { score: payload } }
+  }, undefined, 'en');
+
+  assert.ok(!html.includes(payload));
+  assert.ok(html.includes('&lt;img src=x onerror=alert(1)&gt;'));
+});
+
+test('renderReportHtml localizes the title and headings', () => {
+  const html = renderReportHtml({ url: 'https://example.com', checks: {} }, undefined, 'de');
+  assert.match(html, /<h1>DSGVO-Audit<\/h1>/);
+  assert.match(html, /<title>DSGVO-Audit – https:\/\/example\.com<\/title>/);
+});
+
+test('normalizeBranding drops colours and logos that could escape their context', () => {
+  const branding = normalizeBranding({ primaryColor: 'red;}</style><script>', logoUrl: 'javascript:alert(1)' });
+  assert.equal(branding.primaryColor, '#667eea');
+  assert.equal(branding.logoUrl, null);
+});
+
+test('the example branding embeds its logo, so the offline PDF renderer can show it', () => {
+  const branding = normalizeBranding(require('../config/branding.example.json'));
+  assert.match(branding.logoUrl, /^data:image\/svg\+xml;base64,/);
+  assert.match(renderReportHtml({ url: 'https://example.com', checks: {} }, branding, 'sk'), /<img src="data:image\/svg\+xml;base64,/);
+});
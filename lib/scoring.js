@@ -0,0 +1,176 @@
+// Named scoring profiles: check weights, per-violation penalties and mandatory checks
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const BUILTIN_PROFILES_DIR = path.join(__dirname, '..', 'data', 'scoring');
+const CUSTOM_PROFILES_DIR = process.env.GDPR_SCORING_DIR || path.join(__dirname, '..', 'config', 'scoring');
+const DEFAULT_PROFILE = process.env.GDPR_SCORING_PROFILE || 'default';
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// Nested objects merge key by key, so a profile only lists what it changes
+function mergeRules(base = {}, override = {}) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeRules(base[key], value) : value;
+  }
+  return merged;
+}
+
+// Key order does not change the hash, only values do
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(',')}]`;
+  if (isPlainObject(value)) {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function validateNumbers(rules, label) {
+  for (const [key, value] of Object.entries(rules || {})) {
+    if (isPlainObject(value)) {
+      validateNumbers(value, `${label}.${key}`);
+    } else if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`${label}.${key} must be a non-negative number`);
+    }
+  }
+}
+
+class ScoringProfiles {
+  constructor() {
+    this.definitions = new Map();
+    this.profiles = new Map();
+    this.sources = [];
+  }
+
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) return 0;
+
+    let count = 0;
+    const files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+    for (const file of files) {
+      const filePath = path.join(dir, file);
+      try {
+        this.addDefinition(JSON.parse(fs.readFileSync(filePath, 'utf8')), filePath);
+        count++;
+      } catch (error) {
+        console.warn(`[SCORING] Skipping ${filePath}: ${error.message}`);
+      }
+    }
+
+    this.sources.push({ dir, profiles: count });
+    return count;
+  }
+
+  // A definition with an existing id replaces the old one (custom profiles can override built-ins)
+  addDefinition(data, source = 'inline') {
+    if (!isPlainObject(data) || !data.id || !/^[a-z0-9-]+$/.test(data.id)) {
+      throw new Error('Profile needs an "id" of lowercase letters, digits and dashes');
+    }
+    for (const key of ['weights', 'penalties', 'mandatory']) {
+      if (data[key] !== undefined) validateNumbers(data[key], key);
+    }
+    this.definitions.set(data.id, { ...data, source });
+    this.profiles.clear();
+  }
+
+  // Resolves "extends" chains into a complete profile
+  resolve(id, chain = []) {
+    if (this.profiles.has(id)) return this.profiles.get(id);
+
+    const definition = this.definitions.get(id);
+    if (!definition) return null;
+    if (chain.includes(id)) throw new Error(`Circular "extends" in scoring profile ${[...chain, id].join(' -> ')}`);
+
+    const parent = definition.extends ? this.resolve(definition.extends, [...chain, id]) : null;
+    if (definition.extends && !parent) throw new Error(`Scoring profile ${id} extends unknown profile ${definition.extends}`);
+
+    const rules = {
+      weights: mergeRules(parent?.weights, definition.weights),
+      penalties: mergeRules(parent?.penalties, definition.penalties),
+      mandatory: mergeRules(parent?.mandatory, definition.mandatory)
+    };
+    const profile = {
+      id,
+      name: definition.name || id,
+      description: definition.description || '',
+      version: definition.version ?? 1,
+      hash: crypto.createHash('sha256').update(canonicalJson(rules)).digest('hex').slice(0, 12),
+      ...rules
+    };
+
+    this.profiles.set(id, profile);
+    return profile;
+  }
+
+  has(id) {
+    return this.definitions.has(id);
+  }
+
+  get(id = DEFAULT_PROFILE) {
+    const profile = this.resolve(id || DEFAULT_PROFILE);
+    if (!profile) throw Object.assign(new Error(`Unknown scoring profile: ${id}`), { code: 'UNKNOWN_PROFILE' });
+    return profile;
+  }
+
+  list() {
+    return [...this.definitions.keys()].sort().map(id => {
+      const { name, description, version, hash, mandatory } = this.resolve(id);
+      return { id, name, description, version, hash, mandatory, default: id === DEFAULT_PROFILE };
+    });
+  }
+}
+
+function loadScoringProfiles() {
+  const profiles = new ScoringProfiles();
+  profiles.loadDirectory(BUILTIN_PROFILES_DIR);
+  profiles.loadDirectory(CUSTOM_PROFILES_DIR);
+  return profiles;
+}
+
+// Weighted average of the check scores; checks without a score or with weight 0 are left out
+function weightedScore(checks, weights) {
+  let totalScore = 0;
+  let totalWeight = 0;
+  for (const [key, weight] of Object.entries(weights)) {
+    if (weight > 0 && checks[key] && typeof checks[key].score === 'number') {
+      totalScore += checks[key].score * weight;
+      totalWeight += weight;
+    }
+  }
+  return totalWeight > 0 ? Math.round(totalScore / totalWeight) : 0;
+}
+
+// Mandatory checks fail the scan below their minimum score. A check without a score (skipped, not run by the
+// engine or failed) cannot show compliance either, so it fails as not evaluated.
+function evaluateMandatory(checks, mandatory) {
+  const failures = [];
+  for (const [check, minScore] of Object.entries(mandatory || {})) {
+    const score = checks[check]?.score;
+    if (typeof score !== 'number') {
+      failures.push({ check, score: null, minScore, notEvaluated: true });
+    } else if (score < minScore) {
+      failures.push({ check, score, minScore });
+    }
+  }
+  return failures;
+}
+
+// What gets stored with a result so the score can be recomputed later
+function describeProfile(profile) {
+  const { id, name, version, hash, weights, penalties, mandatory } = profile;
+  return { id, name, version, hash, weights, penalties, mandatory };
+}
+
+module.exports = {
+  DEFAULT_PROFILE,
+  ScoringProfiles,
+  loadScoringProfiles,
+  weightedScore,
+  evaluateMandatory,
+  describeProfile
+};
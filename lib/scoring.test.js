@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { ScoringProfiles, loadScoringProfiles, weightedScore, evaluateMandatory } = require('./scoring');
+
+test('weightedScore leaves out checks without a score and zero weights', () => {
+  const checks = { ssl: { score: 100 }, cookies: { score: 50 }, forms: { score: null }, contactInfo: { score: 0 } };
+  assert.equal(weightedScore(checks, { ssl: 1, cookies: 3, forms: 5, contactInfo: 0 }), 63);
+  assert.equal(weightedScore({}, { ssl: 1 }), 0);
+});
+
+test('evaluateMandatory fails checks below their minimum score', () => {
+  const failures = evaluateMandatory({ ssl: { score: 70 }, preConsentViolations: { score: 100 } }, { ssl: 80, preConsentViolations: 100 });
+  assert.deepEqual(failures, [{ check: 'ssl', score: 70, minScore: 80 }]);
+});
+
+test('evaluateMandatory fails mandatory checks that have no score as not evaluated', () => {
+  const failures = evaluateMandatory({ bannerDesign: { score: null } }, { bannerDesign: 60, consentInteraction: 80 });
+  assert.deepEqual(failures, [
+    { check: 'bannerDesign', score: null, minScore: 60, notEvaluated: true },
+    { check: 'consentInteraction', score: null, minScore: 80, notEvaluated: true }
+  ]);
+});
+
+test('profiles extend their parent and hash only the rules', () => {
+  const profiles = new ScoringProfiles();
+  profiles.addDefinition({ id: 'base', weights: { ssl: 1, cookies: 2 }, penalties: { cookies: { unknown: 5 } } });
+  profiles.addDefinition({ id: 'child', name: 'Child', version: 2, extends: 'base', weights: { cookies: 4 }, mandatory: { ssl: 80 } });
+
+  const child = profiles.get('child');
+  assert.deepEqual(child.weights, { ssl: 1, cookies: 4 });
+  assert.deepEqual(child.penalties, { cookies: { unknown: 5 } });
+  assert.deepEqual(child.mandatory, { ssl: 80 });
+
+  const renamed = new ScoringProfiles();
+  renamed.addDefinition({ id: 'base', weights: { cookies: 2, ssl: 1 }, penalties: { cookies: { unknown: 5 } } });
+  renamed.addDefinition({ id: 'child', name: 'Other name', extends: 'base', mandatory: { ssl: 80 }, weights: { cookies: 4 } });
+  assert.equal(renamed.get('child').hash, child.hash);
+});
+
+test('profiles reject invalid rules, unknown ids and circular extends', () => {
+  const profiles = new ScoringProfiles();
+  assert.throws(() => profiles.addDefinition({ id: 'Bad Id' }), /"id"/);
+  assert.throws(() => profiles.addDefinition({ id: 'negative', weights: { ssl: -1 } }), /weights\.ssl/);
+  assert.throws(() => profiles.get('missing'), error => error.code === 'UNKNOWN_PROFILE');
+
+  profiles.addDefinition({ id: 'a', extends: 'b' });
+  profiles.addDefinition({ id: 'b', extends: 'a' });
+  assert.throws(() => profiles.get('a'), /Circular/);
+});
+
+test('built-in profiles load', () => {
+  const profiles = loadScoringProfiles();
+  for (const id of ['default', 'strict-cnil', 'eprivacy-only']) {
+    assert.ok(profiles.get(id).hash);
+  }
+});
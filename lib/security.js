@@ -0,0 +1,308 @@
+// Transport and security header checks (GDPR Art. 32 - security of processing)
+
+const net = require('net');
+const tls = require('tls');
+const axios = require('axios');
+const { text } = require('./i18n');
+
+const TLS_TIMEOUT = 10000;
+const PROTOCOLS = ['TLSv1', 'TLSv1.1', 'TLSv1.2', 'TLSv1.3'];
+const DEPRECATED_PROTOCOLS = ['TLSv1', 'TLSv1.1'];
+
+// 180 days, the minimum most scanners (and the HSTS preload list) accept
+const MIN_HSTS_MAX_AGE = 15552000;
+
+// Passive mixed content (images, media) is only degraded by browsers; active content is blocked or dangerous
+const PASSIVE_RESOURCE_TYPES = ['image', 'media'];
+
+const UNSAFE_REFERRER_POLICIES = ['unsafe-url', 'no-referrer-when-downgrade'];
+
+function connect(host, port, options = {}) {
+  return new Promise((resolve, reject) => {
+    const socket = tls.connect({
+      host,
+      port,
+      // SNI must not carry an IP address (RFC 6066)
+      servername: net.isIP(host) ? undefined : host,
+      rejectUnauthorized: false,
+      ...options
+    }, () => {
+      resolve(socket);
+    });
+
+    socket.setTimeout(TLS_TIMEOUT, () => {
+      socket.destroy(new Error(`TLS handshake timed out after ${TLS_TIMEOUT}ms`));
+    });
+    socket.once('error', reject);
+  });
+}
+
+// Certificate chain, hostname and expiry as seen by a client that verifies nothing up front
+async function inspectCertificate(host, port = 443) {
+  const socket = await connect(host, port);
+  try {
+    const cert = socket.getPeerCertificate();
+    if (!cert || !cert.valid_to) {
+      return { present: false };
+    }
+
+    const hostnameError = tls.checkServerIdentity(host, cert);
+    const validTo = new Date(cert.valid_to);
+    const validFrom = new Date(cert.valid_from);
+    const now = new Date();
+
+    return {
+      present: true,
+      subject: cert.subject?.CN || null,
+      issuer: cert.issuer?.O || cert.issuer?.CN || null,
+      altNames: cert.subjectaltname || null,
+      validFrom: validFrom.toISOString(),
+      validTo: validTo.toISOString(),
+      daysRemaining: Math.floor((validTo - now) / 86400000),
+      expired: validTo <= now || validFrom > now,
+      chainValid: socket.authorized,
+      chainError: socket.authorized ? null : String(socket.authorizationError || 'unknown'),
+      hostnameMatch: !hostnameError,
+      hostnameError: hostnameError ? hostnameError.message : null,
+      protocol: socket.getProtocol()
+    };
+  } finally {
+    socket.destroy();
+  }
+}
+
+// One handshake per protocol version; legacy versions need OpenSSL security level 0 on the client side
+async function probeProtocols(host, port = 443) {
+  const supported = {};
+  for (const version of PROTOCOLS) {
+    const legacy = DEPRECATED_PROTOCOLS.includes(version);
+    try {
+      const socket = await connect(host, port, {
+        minVersion: version,
+        maxVersion: version,
+        ...(legacy ? { ciphers: 'DEFAULT@SECLEVEL=0' } : {})
+      });
+      supported[version] = socket.getProtocol() === version;
+      socket.destroy();
+    } catch (error) {
+      // The local OpenSSL build may not speak the version at all; that is not the server's answer
+      supported[version] = error.code === 'ERR_SSL_NO_PROTOCOLS_AVAILABLE' ? null : false;
+    }
+  }
+  return supported;
+}
+
+// Follows the plain-HTTP URL hop by hop; the first hop should already leave http://
+async function checkHttpsRedirect(host) {
+  const hops = [];
+  let current = `http://${host}/`;
+
+  for (let i = 0; i < 5; i++) {
+    const response = await axios.get(current, {
+      maxRedirects: 0,
+      timeout: TLS_TIMEOUT,
+      validateStatus: () => true,
+      responseType: 'stream'
+    });
+    response.data.destroy();
+
+    const location = response.headers.location;
+    hops.push({ url: current, status: response.status, location: location || null });
+    if (response.status < 300 || response.status >= 400 || !location) break;
+
+    current = new URL(location, current).toString();
+    if (current.startsWith('https://')) break;
+  }
+
+  const last = hops[hops.length - 1];
+  const finalUrl = last.location ? new URL(last.location, last.url).toString() : last.url;
+  return {
+    redirects: finalUrl.startsWith('https://'),
+    permanent: hops.length > 0 && [301, 308].includes(hops[0].status),
+    hops
+  };
+}
+
+function parseHsts(value) {
+  if (!value) return null;
+  const maxAge = value.match(/max-age\s*=\s*"?(\d+)"?/i);
+  return {
+    maxAge: maxAge ? parseInt(maxAge[1], 10) : null,
+    includeSubDomains: /includesubdomains/i.test(value),
+    preload: /(?:^|;)\s*preload/i.test(value)
+  };
+}
+
+// `headers` as returned by Puppeteer's response.headers() (lower-case names)
+function analyzeSecurityHeaders(headers = {}) {
+  const csp = headers['content-security-policy'] || null;
+  const referrerPolicy = headers['referrer-policy'] || null;
+  // Several policies may be listed; browsers use the last one they understand
+  const effectiveReferrer = referrerPolicy ? referrerPolicy.split(',').map(p => p.trim().toLowerCase()).pop() : null;
+  const frameProtection = /frame-ancestors/i.test(csp || '') || !!headers['x-frame-options'];
+
+  return {
+    hsts: parseHsts(headers['strict-transport-security']),
+    csp: {
+      present: !!csp,
+      reportOnly: !csp && !!headers['content-security-policy-report-only'],
+      value: csp ? csp.slice(0, 500) : null
+    },
+    referrerPolicy: {
+      present: !!referrerPolicy,
+      value: effectiveReferrer,
+      safe: !!effectiveReferrer && !UNSAFE_REFERRER_POLICIES.includes(effectiveReferrer)
+    },
+    permissionsPolicy: {
+      present: !!(headers['permissions-policy'] || headers['feature-policy'])
+    },
+    contentTypeOptions: {
+      present: (headers['x-content-type-options'] || '').toLowerCase().includes('nosniff')
+    },
+    frameProtection: { present: frameProtection }
+  };
+}
+
+function findMixedContent(pageUrl, networkRequests) {
+  if (!pageUrl.startsWith('https://')) return { active: [], passive: [] };
+
+  const seen = new Set();
+  const active = [];
+  const passive = [];
+  for (const request of networkRequests) {
+    if (!request.url.startsWith('http://') || seen.has(request.url)) continue;
+    seen.add(request.url);
+    const entry = { url: request.url, type: request.type };
+    (PASSIVE_RESOURCE_TYPES.includes(request.type) ? passive : active).push(entry);
+  }
+  return { active, passive };
+}
+
+function weightedScore(subChecks) {
+  const total = subChecks.reduce((sum, check) => sum + check.weight, 0);
+  if (total === 0) return null;
+  return Math.round(subChecks.reduce((sum, check) => sum + check.score * check.weight, 0) / total);
+}
+
+// Label and details are catalogue texts ("transport.<id>.label", details IDs per outcome)
+function subCheck(prefix, id, weight, severity, score, [detailsId, params = {}]) {
+  return {
+    id,
+    ...text(`${prefix}.${id}.label`, {}, 'label'),
+    weight,
+    severity,
+    score,
+    passed: score === 100,
+    ...text(detailsId, params, 'details')
+  };
+}
+
+// Transport sub-checks: certificate, protocol versions, HTTP->HTTPS redirect, HSTS, mixed content
+function evaluateTransport({ https, certificate, protocols, redirect, hsts, mixedContent }) {
+  const subChecks = [];
+  const add = (id, weight, severity, score, details) => {
+    subChecks.push(subCheck('transport', id, weight, severity, score, details));
+  };
+
+  if (!https) {
+    add('https', 4, 'CRITICAL', 0, ['transport.https.missing']);
+    return { subChecks, score: 0 };
+  }
+
+  if (certificate) {
+    const certProblems = [];
+    if (certificate.expired) {
+      certProblems.push({ messageId: 'transport.certificate.expired', params: { validTo: certificate.validTo.slice(0, 10) } });
+    }
+    if (!certificate.hostnameMatch) {
+      certProblems.push({ messageId: 'transport.certificate.hostnameMismatch', params: { error: certificate.hostnameError } });
+    }
+    if (!certificate.chainValid && !certificate.expired) {
+      certProblems.push({ messageId: 'transport.certificate.untrusted', params: { error: certificate.chainError } });
+    }
+    add('certificate', 3, 'HIGH', certProblems.length ? 0 : 100,
+      certProblems.length
+        ? ['transport.certificate.invalid', { problems: certProblems }]
+        : ['transport.certificate.valid', {
+          issuer: certificate.issuer || { messageId: 'transport.certificate.unknownIssuer' },
+          validTo: certificate.validTo.slice(0, 10),
+          count: certificate.daysRemaining
+        }]);
+  }
+
+  if (protocols) {
+    const deprecated = DEPRECATED_PROTOCOLS.filter(v => protocols[v] === true);
+    const modern = protocols['TLSv1.2'] || protocols['TLSv1.3'];
+    add('tls-versions', 2, 'MEDIUM',
+      !modern ? 0 : deprecated.length ? 50 : 100,
+      !modern
+        ? ['transport.tls-versions.noModern']
+        : deprecated.length
+          ? ['transport.tls-versions.deprecated', { versions: deprecated }]
+          : ['transport.tls-versions.supported', { versions: PROTOCOLS.filter(v => protocols[v]) }]);
+  }
+
+  if (redirect) {
+    add('https-redirect', 2, 'MEDIUM', redirect.redirects ? 100 : 0,
+      redirect.redirects
+        ? ['transport.https-redirect.redirects', { status: redirect.hops[0].status }]
+        : ['transport.https-redirect.missing', { url: redirect.hops[0].url, status: redirect.hops[redirect.hops.length - 1].status }]);
+  }
+
+  const hstsScore = !hsts ? 0 : hsts.maxAge >= MIN_HSTS_MAX_AGE ? 100 : 50;
+  add('hsts', 1, 'MEDIUM', hstsScore,
+    !hsts
+      ? ['transport.hsts.missing']
+      : hsts.maxAge >= MIN_HSTS_MAX_AGE
+        ? ['transport.hsts.set', { value: `max-age=${hsts.maxAge}${hsts.includeSubDomains ? ', includeSubDomains' : ''}${hsts.preload ? ', preload' : ''}` }]
+        : ['transport.hsts.short', { maxAge: hsts.maxAge, minMaxAge: MIN_HSTS_MAX_AGE }]);
+
+  add('mixed-content', 2, mixedContent.active.length ? 'HIGH' : 'LOW',
+    mixedContent.active.length ? 0 : mixedContent.passive.length ? 70 : 100,
+    mixedContent.active.length || mixedContent.passive.length
+      ? ['transport.mixed-content.found', {
+        active: mixedContent.active.length,
+        passive: mixedContent.passive.length,
+        urls: [...mixedContent.active, ...mixedContent.passive].slice(0, 5).map(r => r.url)
+      }]
+      : ['transport.mixed-content.none']);
+
+  return { subChecks, score: weightedScore(subChecks) };
+}
+
+function evaluateSecurityHeaders(headers) {
+  const subChecks = [];
+  const add = (id, weight, score, details) => {
+    subChecks.push(subCheck('headers', id, weight, 'LOW', score, details));
+  };
+
+  add('csp', 3, headers.csp.present ? 100 : headers.csp.reportOnly ? 50 : 0,
+    headers.csp.present
+      ? ['headers.present']
+      : headers.csp.reportOnly ? ['headers.csp.reportOnly'] : ['headers.missing', { header: 'Content-Security-Policy' }]);
+  add('referrer-policy', 2, headers.referrerPolicy.safe ? 100 : headers.referrerPolicy.present ? 50 : 0,
+    headers.referrerPolicy.present
+      ? headers.referrerPolicy.safe
+        ? ['headers.value', { value: headers.referrerPolicy.value }]
+        : ['headers.referrer-policy.unsafe', { value: headers.referrerPolicy.value }]
+      : ['headers.missing', { header: 'Referrer-Policy' }]);
+  add('permissions-policy', 1, headers.permissionsPolicy.present ? 100 : 0,
+    headers.permissionsPolicy.present ? ['headers.present'] : ['headers.missing', { header: 'Permissions-Policy' }]);
+  add('content-type-options', 1, headers.contentTypeOptions.present ? 100 : 0,
+    headers.contentTypeOptions.present ? ['headers.value', { value: 'nosniff' }] : ['headers.missing', { header: 'X-Content-Type-Options: nosniff' }]);
+  add('frame-protection', 1, headers.frameProtection.present ? 100 : 0,
+    headers.frameProtection.present ? ['headers.frame-protection.present'] : ['headers.frame-protection.missing']);
+
+  return { subChecks, score: weightedScore(subChecks) };
+}
+
+module.exports = {
+  MIN_HSTS_MAX_AGE,
+  inspectCertificate,
+  probeProtocols,
+  checkHttpsRedirect,
+  analyzeSecurityHeaders,
+  findMixedContent,
+  evaluateTransport,
+  evaluateSecurityHeaders
+};
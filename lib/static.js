@@ -0,0 +1,248 @@
+// Static scan: the page HTML over plain HTTP, its Set-Cookie headers and the resources it references
+
+const axios = require('axios');
+
+const USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36';
+const FETCH_TIMEOUT = 30000;
+const MAX_REDIRECTS = 10;
+const MAX_HTML_SIZE = 5 * 1024 * 1024;
+
+// Script types a browser executes; CMPs park blocked scripts as type="text/plain" until consent
+const EXECUTABLE_SCRIPT_TYPES = [
+  '', 'module', 'text/javascript', 'application/javascript', 'application/x-javascript',
+  'text/ecmascript', 'application/ecmascript', 'text/jscript'
+];
+
+// Selector, URL attribute and the Puppeteer resource type the browser would report
+const STATIC_RESOURCES = [
+  ['script[src]', 'src', 'script'],
+  ['img[src]', 'src', 'image'],
+  ['iframe[src]', 'src', 'document']
+];
+
+// Absolute or protocol-relative URLs in inline script code (GTM and pixel snippets build their <script> tags this way)
+const INLINE_URL_PATTERN = /(?:https?:)?\/\/[a-z0-9-]+(?:\.[a-z0-9-]+)+(?::\d+)?(?:\/[^\s'"`<>\\)]*)?/gi;
+
+function defaultPath(pathname) {
+  if (!pathname.startsWith('/') || pathname.lastIndexOf('/') === 0) return '/';
+  return pathname.slice(0, pathname.lastIndexOf('/'));
+}
+
+function domainMatches(host, domain) {
+  return host === domain || host.endsWith(`.${domain}`);
+}
+
+// One Set-Cookie header as a cookie in the shape Puppeteer/CDP report (expires in seconds, -1 for session cookies);
+// null when a browser would reject it
+function parseSetCookie(header, requestUrl, now = Date.now()) {
+  const [pair, ...attributes] = String(header).split(';');
+  const separator = pair.indexOf('=');
+  if (separator < 0) return null;
+
+  const name = pair.slice(0, separator).trim();
+  const value = pair.slice(separator + 1).trim();
+  if (!name) return null;
+
+  const { hostname, pathname, protocol } = new URL(requestUrl);
+  const host = hostname.toLowerCase();
+  const cookie = {
+    name,
+    value,
+    domain: host,
+    path: defaultPath(pathname),
+    expires: -1,
+    size: name.length + value.length,
+    httpOnly: false,
+    secure: false,
+    session: true,
+    sameSite: null
+  };
+
+  let maxAge = null;
+  for (const attribute of attributes) {
+    const [key, ...rest] = attribute.split('=');
+    const attributeValue = rest.join('=').trim();
+    switch (key.trim().toLowerCase()) {
+      case 'domain': {
+        const domain = attributeValue.replace(/^\./, '').toLowerCase();
+        if (!domain) break;
+        if (!domainMatches(host, domain)) return null;
+        cookie.domain = `.${domain}`;
+        break;
+      }
+      case 'path':
+        if (attributeValue.startsWith('/')) cookie.path = attributeValue;
+        break;
+      case 'expires': {
+        const time = Date.parse(attributeValue);
+        if (!Number.isNaN(time)) cookie.expires = time / 1000;
+        break;
+      }
+      case 'max-age':
+        if (/^-?\d+$/.test(attributeValue)) maxAge = parseInt(attributeValue, 10);
+        break;
+      case 'secure':
+        cookie.secure = true;
+        break;
+      case 'httponly':
+        cookie.httpOnly = true;
+        break;
+      case 'samesite':
+        cookie.sameSite = attributeValue ? attributeValue[0].toUpperCase() + attributeValue.slice(1).toLowerCase() : null;
+        break;
+    }
+  }
+
+  // Max-Age wins over Expires
+  if (maxAge !== null) cookie.expires = now / 1000 + maxAge;
+  cookie.session = cookie.expires === -1;
+  if (cookie.secure && protocol !== 'https:') return null;
+
+  return cookie;
+}
+
+// Cookies kept across redirects the way a browser jar would: later headers replace or delete earlier ones
+class CookieJar {
+  constructor() {
+    this.cookies = new Map();
+  }
+
+  store(headers, requestUrl, now = Date.now()) {
+    for (const header of [].concat(headers || [])) {
+      const cookie = parseSetCookie(header, requestUrl, now);
+      if (!cookie) continue;
+
+      const key = `${cookie.name}|${cookie.domain}|${cookie.path}`;
+      if (!cookie.session && cookie.expires * 1000 <= now) {
+        this.cookies.delete(key);
+      } else {
+        this.cookies.set(key, cookie);
+      }
+    }
+  }
+
+  header(url) {
+    const { hostname, pathname, protocol } = new URL(url);
+    return this.list()
+      .filter(cookie => {
+        const domain = cookie.domain.replace(/^\./, '');
+        const hostMatch = cookie.domain.startsWith('.') ? domainMatches(hostname, domain) : hostname === domain;
+        return hostMatch && pathname.startsWith(cookie.path) && (!cookie.secure || protocol === 'https:');
+      })
+      .map(cookie => `${cookie.name}=${cookie.value}`)
+      .join('; ');
+  }
+
+  list() {
+    return [...this.cookies.values()];
+  }
+}
+
+// Fetches the page hop by hop so Set-Cookie headers of redirects are kept, as a browser would
+async function fetchStaticPage(url) {
+  const jar = new CookieJar();
+  const redirects = [];
+  let current = url;
+
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const cookieHeader = jar.header(current);
+    const response = await axios.get(current, {
+      maxRedirects: 0,
+      timeout: FETCH_TIMEOUT,
+      maxContentLength: MAX_HTML_SIZE,
+      responseType: 'text',
+      validateStatus: () => true,
+      headers: {
+        'User-Agent': USER_AGENT,
+        'Accept': 'text/html,application/xhtml+xml;q=0.9,*/*;q=0.8',
+        'Accept-Language': 'sk,cs;q=0.9,en;q=0.8',
+        ...(cookieHeader ? { Cookie: cookieHeader } : {})
+      }
+    });
+    jar.store(response.headers['set-cookie'], current);
+
+    const location = response.headers.location;
+    if (response.status >= 300 && response.status < 400 && location) {
+      redirects.push({ url: current, status: response.status, location });
+      current = new URL(location, current).toString();
+      continue;
+    }
+
+    if (response.status >= 400) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+
+    const contentType = response.headers['content-type'] || '';
+    if (!contentType.includes('html')) {
+      throw new Error(`Unsupported content type ${contentType || 'unknown'}`);
+    }
+
+    return {
+      url: current,
+      status: response.status,
+      headers: response.headers,
+      html: typeof response.data === 'string' ? response.data : String(response.data || ''),
+      cookies: jar.list(),
+      redirects
+    };
+  }
+
+  throw new Error(`Too many redirects (more than ${MAX_REDIRECTS})`);
+}
+
+function isExecutableScript($el) {
+  return EXECUTABLE_SCRIPT_TYPES.includes(($el.attr('type') || '').trim().toLowerCase());
+}
+
+function toHttpUrl(value, baseUrl) {
+  try {
+    const url = new URL(value, baseUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch {
+    return null;
+  }
+}
+
+// What the browser would request while parsing the HTML, in the shape of recorded network requests.
+// Inline script URLs are only candidates ("source": "inline"); callers decide which of them count.
+function collectStaticRequests($, pageUrl) {
+  const baseHref = $('base[href]').first().attr('href');
+  const baseUrl = (baseHref && toHttpUrl(baseHref, pageUrl)) || pageUrl;
+  const timestamp = Date.now();
+  const requests = new Map();
+  let deferredScripts = 0;
+
+  // Same initiator shape as a browser scan: the parser for HTML elements, an inline script of the page otherwise
+  const add = (value, type, source) => {
+    const url = toHttpUrl(String(value).trim(), baseUrl);
+    if (!url || requests.has(`${type}|${url}`)) return;
+    const initiator = source === 'inline'
+      ? { type: 'script', url: pageUrl, scripts: [pageUrl] }
+      : { type: 'parser', url: pageUrl, scripts: [] };
+    requests.set(`${type}|${url}`, { url, type, source, initiator, timestamp });
+  };
+
+  for (const [selector, attribute, type] of STATIC_RESOURCES) {
+    $(selector).each((i, el) => {
+      const $el = $(el);
+      if (type === 'script' && !isExecutableScript($el)) {
+        deferredScripts++;
+        return;
+      }
+      add($el.attr(attribute), type, 'html');
+    });
+  }
+
+  $('script:not([src])').each((i, el) => {
+    const $el = $(el);
+    if (!isExecutableScript($el)) return;
+    for (const match of $el.text().match(INLINE_URL_PATTERN) || []) add(match, 'script', 'inline');
+  });
+
+  return { requests: [...requests.values()], deferredScripts };
+}
+
+module.exports = {
+  parseSetCookie,
+  CookieJar,
+  fetchStaticPage,
+  collectStaticRequests
+};
@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const cheerio = require('cheerio');
+const { parseSetCookie, CookieJar, collectStaticRequests } = require('./static');
+
+const now = Date.UTC(2026, 0, 1);
+
+test('parseSetCookie reads attributes in the CDP cookie shape', () => {
+  const cookie = parseSetCookie('_ga=GA1.2.3; Domain=.example.com; Path=/; Max-Age=3600; Secure; SameSite=lax', 'https://www.example.com/shop/item', now);
+  assert.deepEqual(cookie, {
+    name: '_ga',
+    value: 'GA1.2.3',
+    domain: '.example.com',
+    path: '/',
+    expires: now / 1000 + 3600,
+    size: 10,
+    httpOnly: false,
+    secure: true,
+    session: false,
+    sameSite: 'Lax'
+  });
+});
+
+test('parseSetCookie defaults to a host-only session cookie on the request path', () => {
+  const cookie = parseSetCookie('sid=abc; HttpOnly', 'https://example.com/account/login', now);
+  assert.equal(cookie.domain, 'example.com');
+  assert.equal(cookie.path, '/account');
+  assert.equal(cookie.session, true);
+  assert.equal(cookie.expires, -1);
+  assert.equal(cookie.httpOnly, true);
+});
+
+test('parseSetCookie lets Max-Age win over Expires', () => {
+  const cookie = parseSetCookie('a=1; Expires=Wed, 01 Jan 2031 00:00:00 GMT; Max-Age=60', 'https://example.com/', now);
+  assert.equal(cookie.expires, now / 1000 + 60);
+});
+
+test('parseSetCookie rejects cookies a browser would reject', () => {
+  assert.equal(parseSetCookie('novalue', 'https://example.com/', now), null);
+  assert.equal(parseSetCookie('=1', 'https://example.com/', now), null);
+  assert.equal(parseSetCookie('a=1; Domain=other.com', 'https://example.com/', now), null);
+  assert.equal(parseSetCookie('a=1; Secure', 'http://example.com/', now), null);
+});
+
+test('CookieJar replaces, deletes and sends cookies like a browser', () => {
+  const jar = new CookieJar();
+  jar.store(['a=1; Path=/', 'b=2; Domain=example.com', 'c=3; Path=/admin'], 'https://example.com/', now);
+  jar.store('a=updated', 'https://example.com/', now);
+  jar.store('b=; Domain=example.com; Max-Age=0', 'https://example.com/', now);
+
+  assert.deepEqual(jar.list().map(cookie => `${cookie.name}=${cookie.value}`), ['a=updated', 'c=3']);
+  assert.equal(jar.header('https://example.com/admin/users'), 'a=updated; c=3');
+  assert.equal(jar.header('https://example.com/'), 'a=updated');
+  assert.equal(jar.header('https://sub.example.com/'), '');
+});
+
+test('collectStaticRequests lists resources the parser would load', () => {
+  const $ = cheerio.load(`
+    <base href="https://cdn.example.com/">
+    <script src="app.js"></script>
+    <script type="text/plain" src="https://connect.facebook.net/en_US/fbevents.js"></script>
+    <img src="//www.facebook.com/tr?id=1">
+    <iframe src="javascript:void(0)"></iframe>
+    <script>(function(){var s=document.createElement('script');s.src='https://www.googletagmanager.com/gtm.js?id=GTM-ABC123';})();</script>
+  `);
+  const { requests, deferredScripts } = collectStaticRequests($, 'https://example.com/');
+
+  assert.equal(deferredScripts, 1);
+  assert.deepEqual(requests.map(request => [request.type, request.url, request.source]), [
+    ['script', 'https://cdn.example.com/app.js', 'html'],
+    ['image', 'https://www.facebook.com/tr?id=1', 'html'],
+    ['script', 'https://www.googletagmanager.com/gtm.js?id=GTM-ABC123', 'inline']
+  ]);
+  assert.equal(requests[0].initiator.type, 'parser');
+  assert.deepEqual(requests[2].initiator, { type: 'script', url: 'https://example.com/', scripts: ['https://example.com/'] });
+});
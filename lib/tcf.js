@@ -0,0 +1,209 @@
+// IAB TCF v2 consent string (TC string) decoder
+// Spec: https://github.com/InteractiveAdvertisingBureau/GDPR-Transparency-and-Consent-Framework
+
+const TCF_PURPOSES = {
+  1: 'Store and/or access information on a device',
+  2: 'Use limited data to select advertising',
+  3: 'Create profiles for personalised advertising',
+  4: 'Use profiles to select personalised advertising',
+  5: 'Create profiles to personalise content',
+  6: 'Use profiles to select personalised content',
+  7: 'Measure advertising performance',
+  8: 'Measure content performance',
+  9: 'Understand audiences through statistics or combinations of data from different sources',
+  10: 'Develop and improve services',
+  11: 'Use limited data to select content'
+};
+
+const TCF_SPECIAL_FEATURES = {
+  1: 'Use precise geolocation data',
+  2: 'Actively scan device characteristics for identification'
+};
+
+// CMP IDs from the IAB CMP list for the platforms we detect by signature
+const TCF_CMP_IDS = {
+  5: 'Usercentrics',
+  6: 'Sourcepoint',
+  7: 'Didomi',
+  10: 'Quantcast',
+  21: 'TrustArc',
+  28: 'OneTrust',
+  134: 'Cookiebot'
+};
+
+const RESTRICTION_TYPES = {
+  0: 'not-allowed',
+  1: 'require-consent',
+  2: 'require-legitimate-interest'
+};
+
+// Vendor IDs are 16 bit; a crafted string repeating 1-65535 ranges would otherwise expand to
+// hundreds of millions of IDs, so one string may list at most this many in total
+const MAX_VENDOR_ID = 65535;
+const MAX_DECODED_IDS = 100000;
+
+class BitReader {
+  // budget is shared by all segments of one TC string
+  constructor(segment, budget = { ids: MAX_DECODED_IDS }) {
+    const base64 = segment.replace(/-/g, '+').replace(/_/g, '/');
+    const bytes = Buffer.from(base64, 'base64');
+    this.bits = Array.from(bytes, b => b.toString(2).padStart(8, '0')).join('');
+    this.offset = 0;
+    this.budget = budget;
+  }
+
+  int(length) {
+    if (this.offset + length > this.bits.length) {
+      throw new Error('TC string is truncated');
+    }
+    const value = parseInt(this.bits.substr(this.offset, length), 2);
+    this.offset += length;
+    return value;
+  }
+
+  bool() {
+    return this.int(1) === 1;
+  }
+
+  // Returns the 1-based indexes of set bits
+  bitField(length) {
+    const ids = [];
+    for (let i = 1; i <= length; i++) {
+      if (this.bool()) ids.push(i);
+    }
+    return ids;
+  }
+
+  date() {
+    return new Date(this.int(36) * 100).toISOString();
+  }
+
+  letters() {
+    return String.fromCharCode(65 + this.int(6), 65 + this.int(6));
+  }
+
+  // Entries are clamped to maxId and merged before expanding, so overlapping ranges add nothing
+  ranges(maxId = MAX_VENDOR_ID) {
+    const entries = [];
+    const numEntries = this.int(12);
+    for (let i = 0; i < numEntries; i++) {
+      const isRange = this.bool();
+      const start = this.int(16);
+      const end = Math.min(isRange ? this.int(16) : start, maxId);
+      if (start >= 1 && start <= end) entries.push([start, end]);
+    }
+
+    const ids = [];
+    let next = 1;
+    for (const [start, end] of entries.sort((a, b) => a[0] - b[0])) {
+      if (end < next) continue;
+      this.budget.ids -= end - Math.max(start, next) + 1;
+      if (this.budget.ids < 0) throw new Error('TC string lists too many vendor IDs');
+      for (let id = Math.max(start, next); id <= end; id++) ids.push(id);
+      next = end + 1;
+    }
+    return ids;
+  }
+
+  vendorSection() {
+    const maxVendorId = this.int(16);
+    const isRangeEncoding = this.bool();
+    return isRangeEncoding ? this.ranges(maxVendorId) : this.bitField(maxVendorId);
+  }
+}
+
+function decodeCoreSegment(reader) {
+  const core = {
+    version: reader.int(6),
+    created: reader.date(),
+    lastUpdated: reader.date(),
+    cmpId: reader.int(12),
+    cmpVersion: reader.int(12),
+    consentScreen: reader.int(6),
+    consentLanguage: reader.letters(),
+    vendorListVersion: reader.int(12),
+    policyVersion: reader.int(6),
+    isServiceSpecific: reader.bool(),
+    useNonStandardTexts: reader.bool(),
+    specialFeatureOptIns: reader.bitField(12),
+    purposeConsents: reader.bitField(24),
+    purposeLegitimateInterests: reader.bitField(24),
+    purposeOneTreatment: reader.bool(),
+    publisherCountryCode: reader.letters()
+  };
+
+  if (core.version !== 2) {
+    throw new Error(`Unsupported TC string version ${core.version}`);
+  }
+
+  core.vendorConsents = reader.vendorSection();
+  core.vendorLegitimateInterests = reader.vendorSection();
+
+  core.publisherRestrictions = [];
+  const numRestrictions = reader.int(12);
+  for (let i = 0; i < numRestrictions; i++) {
+    const purposeId = reader.int(6);
+    const restrictionType = reader.int(2);
+    core.publisherRestrictions.push({
+      purposeId,
+      restrictionType: RESTRICTION_TYPES[restrictionType] || 'undefined',
+      vendors: reader.ranges()
+    });
+  }
+
+  return core;
+}
+
+function decodeTCString(tcString) {
+  if (!tcString || typeof tcString !== 'string') {
+    throw new Error('TC string is empty');
+  }
+
+  const [coreSegment, ...segments] = tcString.trim().split('.');
+  const budget = { ids: MAX_DECODED_IDS };
+  const core = decodeCoreSegment(new BitReader(coreSegment, budget));
+
+  const result = {
+    ...core,
+    cmpName: TCF_CMP_IDS[core.cmpId] || null,
+    purposes: Object.entries(TCF_PURPOSES).map(([id, name]) => ({
+      id: Number(id),
+      name,
+      consent: core.purposeConsents.includes(Number(id)),
+      legitimateInterest: core.purposeLegitimateInterests.includes(Number(id))
+    })),
+    specialFeatures: core.specialFeatureOptIns.map(id => ({
+      id,
+      name: TCF_SPECIAL_FEATURES[id] || `Special feature ${id}`
+    })),
+    disclosedVendors: null,
+    publisherTC: null
+  };
+
+  for (const segment of segments) {
+    const reader = new BitReader(segment, budget);
+    const segmentType = reader.int(3);
+
+    if (segmentType === 1) {
+      result.disclosedVendors = reader.vendorSection();
+    } else if (segmentType === 3) {
+      const publisherTC = {
+        purposeConsents: reader.bitField(24),
+        purposeLegitimateInterests: reader.bitField(24)
+      };
+      const numCustomPurposes = reader.int(6);
+      publisherTC.customPurposeConsents = reader.bitField(numCustomPurposes);
+      publisherTC.customPurposeLegitimateInterests = reader.bitField(numCustomPurposes);
+      result.publisherTC = publisherTC;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  TCF_PURPOSES,
+  TCF_SPECIAL_FEATURES,
+  TCF_CMP_IDS,
+  decodeTCString
+};
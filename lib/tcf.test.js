@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { decodeTCString } = require('./tcf');
+
+// Builds a TC string segment from [value, bit length] pairs, base64url without padding like real CMPs
+function encode(fields) {
+  let bits = fields.map(([value, length]) => value.toString(2).padStart(length, '0')).join('');
+  bits = bits.padEnd(Math.ceil(bits.length / 8) * 8, '0');
+  const bytes = Buffer.from(bits.match(/.{8}/g).map(byte => parseInt(byte, 2)));
+  return bytes.toString('base64url');
+}
+
+const bitField = (ids, length) => [parseInt(Array.from({ length }, (_, i) => (ids.includes(i + 1) ? '1' : '0')).join(''), 2), length];
+const letter = c => [c.charCodeAt(0) - 65, 6];
+const created = Date.UTC(2024, 0, 15) / 100;
+
+const oneRestriction = [[1, 12], [2, 6], [1, 2], [1, 12], [0, 1], [7, 16]];
+
+function coreSegment({ version = 2, cmpId = 28, purposes = [1, 3], legitimateInterests = [2], vendors = [1, 5], vendorConsents, restrictions = oneRestriction } = {}) {
+  return encode([
+    [version, 6], [created, 36], [created, 36], [cmpId, 12], [3, 12], [1, 6], letter('S'), letter('K'),
+    [200, 12], [4, 6], [0, 1], [0, 1], bitField([1], 12),
+    bitField(purposes, 24), bitField(legitimateInterests, 24), [0, 1], letter('S'), letter('K'),
+    // vendor consents as a bit field, vendor legitimate interests as one range (10-12)
+    ...(vendorConsents || [[5, 16], [0, 1], bitField(vendors, 5)]),
+    [12, 16], [1, 1], [1, 12], [1, 1], [10, 16], [12, 16],
+    // one publisher restriction by default: purpose 2, require consent, vendor 7
+    ...restrictions
+  ]);
+}
+
+test('decodeTCString reads the core segment', () => {
+  const tc = decodeTCString(coreSegment());
+
+  assert.equal(tc.version, 2);
+  assert.equal(tc.created, '2024-01-15T00:00:00.000Z');
+  assert.equal(tc.cmpId, 28);
+  assert.equal(tc.cmpName, 'OneTrust');
+  assert.equal(tc.consentLanguage, 'SK');
+  assert.equal(tc.publisherCountryCode, 'SK');
+  assert.equal(tc.vendorListVersion, 200);
+  assert.deepEqual(tc.purposeConsents, [1, 3]);
+  assert.deepEqual(tc.purposeLegitimateInterests, [2]);
+  assert.deepEqual(tc.specialFeatures.map(feature => feature.id), [1]);
+  assert.deepEqual(tc.vendorConsents, [1, 5]);
+  assert.deepEqual(tc.vendorLegitimateInterests, [10, 11, 12]);
+  assert.deepEqual(tc.publisherRestrictions, [{ purposeId: 2, restrictionType: 'require-consent', vendors: [7] }]);
+});
+
+test('decodeTCString lists every purpose with its consent state', () => {
+  const { purposes } = decodeTCString(coreSegment({ purposes: [1], legitimateInterests: [] }));
+  assert.equal(purposes.length, 11);
+  assert.deepEqual(purposes[0], { id: 1, name: 'Store and/or access information on a device', consent: true, legitimateInterest: false });
+  assert.equal(purposes[1].consent, false);
+});
+
+test('decodeTCString reads disclosed vendors and publisher TC segments', () => {
+  const disclosed = encode([[1, 3], [3, 16], [0, 1], bitField([2, 3], 3)]);
+  const publisher = encode([[3, 3], bitField([1], 24), bitField([], 24), [2, 6], bitField([2], 2), bitField([], 2)]);
+  const tc = decodeTCString(`${coreSegment()}.${disclosed}.${publisher}`);
+
+  assert.deepEqual(tc.disclosedVendors, [2, 3]);
+  assert.deepEqual(tc.publisherTC, {
+    purposeConsents: [1],
+    purposeLegitimateInterests: [],
+    customPurposeConsents: [2],
+    customPurposeLegitimateInterests: []
+  });
+});
+
+test('decodeTCString rejects empty, truncated and non-v2 strings', () => {
+  assert.throws(() => decodeTCString(''), /empty/);
+  assert.throws(() => decodeTCString(coreSegment().slice(0, 20)), /truncated/);
+  assert.throws(() => decodeTCString(coreSegment({ version: 1 })), /version 1/);
+});
+
+test('decodeTCString clamps and merges vendor ranges and caps the IDs of crafted strings', () => {
+  // max vendor ID 20; ranges 15-65535, 1-3 and 2-5
+  const vendorConsents = [[20, 16], [1, 1], [3, 12], [1, 1], [15, 16], [65535, 16], [1, 1], [1, 16], [3, 16], [1, 1], [2, 16], [5, 16]];
+  assert.deepEqual(decodeTCString(coreSegment({ vendorConsents })).vendorConsents, [1, 2, 3, 4, 5, 15, 16, 17, 18, 19, 20]);
+
+  // two restrictions listing every possible vendor ID
+  const everyVendor = [[1, 6], [0, 2], [1, 12], [1, 1], [1, 16], [65535, 16]];
+  assert.throws(() => decodeTCString(coreSegment({ restrictions: [[2, 12], ...everyVendor, ...everyVendor] })), /too many vendor IDs/);
+});
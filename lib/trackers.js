@@ -0,0 +1,188 @@
+// Data-driven tracker catalogue loaded from JSON vendor files
+
+const fs = require('fs');
+const path = require('path');
+const { getDomain } = require('tldts');
+
+const BUILTIN_TRACKERS_DIR = path.join(__dirname, '..', 'data', 'trackers');
+const CUSTOM_TRACKERS_DIR = process.env.GDPR_TRACKERS_DIR || path.join(__dirname, '..', 'config', 'trackers');
+
+// eTLD+1 of a hostname ("sk.hit.gemius.pl" -> "gemius.pl"), falls back to the hostname itself
+function getRegistrableDomain(hostname) {
+  const host = (hostname || '').toLowerCase().replace(/^\./, '');
+  return getDomain(host, { allowPrivateDomains: true }) || host;
+}
+
+function hostnameMatches(hostname, domain) {
+  return hostname === domain || hostname.endsWith(`.${domain}`);
+}
+
+// "/tr" matches "/tr" and "/tr/..." but not "/translate"
+function pathMatches(pathname, rulePath) {
+  if (pathname === rulePath) return true;
+  return pathname.startsWith(rulePath.endsWith('/') ? rulePath : `${rulePath}/`);
+}
+
+// Cookie patterns support a trailing or inner "*" wildcard ("_ga_*", "_pk_id*")
+function cookiePatternToRegExp(pattern) {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+}
+
+class TrackerDatabase {
+  constructor() {
+    this.trackers = new Map();
+    this.sources = [];
+    this.domainIndex = new Map();
+    this.anyHostPaths = [];
+  }
+
+  loadDirectory(dir) {
+    if (!fs.existsSync(dir)) return 0;
+
+    let count = 0;
+    const files = fs.readdirSync(dir).filter(f => f.endsWith('.json')).sort();
+    for (const file of files) {
+      const filePath = path.join(dir, file);
+      try {
+        const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+        count += this.addVendor(data, filePath);
+      } catch (error) {
+        console.warn(`[TRACKERS] Skipping ${filePath}: ${error.message}`);
+      }
+    }
+
+    this.sources.push({ dir, files: files.length, trackers: count });
+    this.buildIndex();
+    return count;
+  }
+
+  // Adds every tracker of a vendor file; a tracker with an existing id replaces the old entry
+  addVendor(data, source = 'inline') {
+    if (!data || !Array.isArray(data.trackers)) {
+      throw new Error('Vendor file must contain a "trackers" array');
+    }
+
+    let count = 0;
+    for (const entry of data.trackers) {
+      if (!entry.id || !entry.name || !entry.category) {
+        console.warn(`[TRACKERS] Tracker without id/name/category in ${source}`);
+        continue;
+      }
+
+      this.trackers.set(entry.id, {
+        id: entry.id,
+        name: entry.name,
+        category: entry.category,
+        consentRequired: entry.consentRequired !== false,
+        vendor: data.vendor || null,
+        country: data.country || null,
+        dataTransfer: data.dataTransfer || null,
+        domains: (entry.domains || []).map(d => d.toLowerCase()),
+        paths: entry.paths || [],
+        cookies: entry.cookies || [],
+        globals: entry.globals || [],
+        cookieMatchers: (entry.cookies || []).map(cookiePatternToRegExp),
+        source
+      });
+      count++;
+    }
+
+    return count;
+  }
+
+  buildIndex() {
+    this.domainIndex = new Map();
+    this.anyHostPaths = [];
+
+    for (const tracker of this.trackers.values()) {
+      for (const domain of tracker.domains) {
+        this.indexDomain(domain, { tracker, domain, path: null });
+      }
+      for (const rule of tracker.paths) {
+        if (rule.domain) {
+          this.indexDomain(rule.domain.toLowerCase(), { tracker, domain: rule.domain.toLowerCase(), path: rule.path });
+        } else {
+          this.anyHostPaths.push({ tracker, path: rule.path });
+        }
+      }
+    }
+  }
+
+  indexDomain(domain, rule) {
+    const key = getRegistrableDomain(domain);
+    if (!this.domainIndex.has(key)) this.domainIndex.set(key, []);
+    this.domainIndex.get(key).push(rule);
+  }
+
+  // Domain+path rules win over plain domain rules, longer (more specific) domains win over shorter ones
+  matchUrl(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch {
+      return null;
+    }
+
+    const hostname = parsed.hostname.toLowerCase();
+    const pathname = parsed.pathname;
+    const candidates = this.domainIndex.get(getRegistrableDomain(hostname)) || [];
+
+    let best = null;
+    let bestScore = -1;
+    for (const rule of candidates) {
+      if (!hostnameMatches(hostname, rule.domain)) continue;
+      if (rule.path && !pathMatches(pathname, rule.path)) continue;
+
+      const score = (rule.path ? 1000 : 0) + rule.domain.length;
+      if (score > bestScore) {
+        best = rule.tracker;
+        bestScore = score;
+      }
+    }
+    if (best) return best;
+
+    // Self-hosted tools (e.g. Matomo) are only recognisable by their script/endpoint path
+    const anyHost = this.anyHostPaths.find(rule => pathname.endsWith(rule.path));
+    return anyHost ? anyHost.tracker : null;
+  }
+
+  matchCookie(name) {
+    for (const tracker of this.trackers.values()) {
+      if (tracker.cookieMatchers.some(re => re.test(name))) return tracker;
+    }
+    return null;
+  }
+
+  matchGlobals(names) {
+    const matches = [];
+    for (const tracker of this.trackers.values()) {
+      const found = tracker.globals.filter(g => names.includes(g));
+      if (found.length > 0) matches.push({ tracker, globals: found });
+    }
+    return matches;
+  }
+
+  allGlobals() {
+    return [...new Set([...this.trackers.values()].flatMap(t => t.globals))];
+  }
+
+  get size() {
+    return this.trackers.size;
+  }
+}
+
+function loadTrackerDatabase(options = {}) {
+  const db = new TrackerDatabase();
+  const builtin = db.loadDirectory(options.builtinDir || BUILTIN_TRACKERS_DIR);
+  const custom = db.loadDirectory(options.customDir || CUSTOM_TRACKERS_DIR);
+  console.log(`[TRACKERS] Loaded ${builtin} built-in and ${custom} custom tracker definitions`);
+  return db;
+}
+
+module.exports = {
+  TrackerDatabase,
+  loadTrackerDatabase,
+  getRegistrableDomain,
+  hostnameMatches
+};
@@ -0,0 +1,87 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const { TrackerDatabase, getRegistrableDomain, hostnameMatches } = require('./trackers');
+
+const vendor = {
+  vendor: 'Example Ads, Inc.',
+  country: 'US',
+  trackers: [
+    { id: 'example-cdn', name: 'Example CDN', category: 'performance', domains: ['example-ads.com'], consentRequired: false },
+    { id: 'example-pixel', name: 'Example Pixel', category: 'advertising', domains: ['px.example-ads.com'], cookies: ['_exa', '_exa_id_*'], globals: ['exaq'] },
+    { id: 'example-collect', name: 'Example Collect', category: 'analytics', paths: [{ domain: 'example-ads.com', path: '/collect' }] },
+    { id: 'self-hosted', name: 'Self-hosted Stats', category: 'analytics', paths: [{ path: '/stats.php' }], globals: ['exaq', '_stq'] }
+  ]
+};
+
+function database() {
+  const db = new TrackerDatabase();
+  db.addVendor(vendor);
+  db.buildIndex();
+  return db;
+}
+
+test('getRegistrableDomain returns the eTLD+1 of a host', () => {
+  assert.equal(getRegistrableDomain('sk.hit.gemius.pl'), 'gemius.pl');
+  assert.equal(getRegistrableDomain('.www.example.co.uk'), 'example.co.uk');
+  assert.equal(getRegistrableDomain('localhost'), 'localhost');
+  assert.equal(hostnameMatches('a.px.example-ads.com', 'px.example-ads.com'), true);
+  assert.equal(hostnameMatches('notexample-ads.com', 'example-ads.com'), false);
+});
+
+test('matchUrl prefers path rules, then the longest domain', () => {
+  const db = database();
+  assert.equal(db.matchUrl('https://cdn.example-ads.com/lib.js').id, 'example-cdn');
+  assert.equal(db.matchUrl('https://px.example-ads.com/pixel.gif').id, 'example-pixel');
+  assert.equal(db.matchUrl('https://example-ads.com/collect?v=1').id, 'example-collect');
+  assert.equal(db.matchUrl('https://example-ads.com/collector').id, 'example-cdn');
+  assert.equal(db.matchUrl('https://shop.example.com/stats.php').id, 'self-hosted');
+  assert.equal(db.matchUrl('https://example.com/'), null);
+  assert.equal(db.matchUrl('not a url'), null);
+});
+
+test('matchCookie and matchGlobals find trackers by their traces', () => {
+  const db = database();
+  assert.equal(db.matchCookie('_exa_id_123').id, 'example-pixel');
+  assert.equal(db.matchCookie('_exa_other'), null);
+  assert.deepEqual(db.matchGlobals(['exaq', 'jQuery']).map(match => [match.tracker.id, match.globals]), [
+    ['example-pixel', ['exaq']],
+    ['self-hosted', ['exaq']]
+  ]);
+  assert.deepEqual(db.allGlobals(), ['exaq', '_stq']);
+});
+
+test('addVendor keeps vendor metadata and skips incomplete trackers', () => {
+  const db = new TrackerDatabase();
+  const warn = console.warn;
+  console.warn = () => {};
+  try {
+    assert.equal(db.addVendor({ vendor: 'V', trackers: [{ id: 'a', name: 'A', category: 'chat' }, { id: 'b', name: 'B' }] }), 1);
+  } finally {
+    console.warn = warn;
+  }
+  assert.equal(db.trackers.get('a').vendor, 'V');
+  assert.equal(db.trackers.get('a').consentRequired, true);
+  assert.throws(() => db.addVendor({}), /trackers/);
+});
+
+test('loadDirectory lets a later directory replace trackers by id', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'trackers-'));
+  try {
+    fs.writeFileSync(path.join(dir, 'override.json'), JSON.stringify({
+      vendor: 'Override',
+      trackers: [{ id: 'example-pixel', name: 'Renamed Pixel', category: 'marketing', domains: ['pixel.example.net'] }]
+    }));
+
+    const db = database();
+    assert.equal(db.loadDirectory(dir), 1);
+    assert.equal(db.size, 4);
+    assert.equal(db.matchUrl('https://pixel.example.net/p').name, 'Renamed Pixel');
+    assert.equal(db.matchUrl('https://px.example-ads.com/p').id, 'example-cdn');
+    assert.equal(db.loadDirectory(path.join(dir, 'missing')), 0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
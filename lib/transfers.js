@@ -0,0 +1,274 @@
+// Third-country transfer mapping: third-party hosts -> vendor -> jurisdiction and transfer safeguard
+
+const fs = require('fs');
+const path = require('path');
+const { getRegistrableDomain, hostnameMatches } = require('./trackers');
+
+const VENDORS_FILE = path.join(__dirname, '..', 'data', 'vendors.json');
+const CUSTOM_VENDORS_FILE = process.env.GDPR_VENDORS_FILE || path.join(__dirname, '..', 'config', 'vendors.json');
+const DPF_FILE = path.join(__dirname, '..', 'data', 'dpf.json');
+
+// EU member states plus Iceland, Liechtenstein and Norway
+const EEA_COUNTRIES = [
+  'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE', 'IT', 'LV', 'LT', 'LU',
+  'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE', 'IS', 'LI', 'NO'
+];
+
+// Countries with an EU adequacy decision (Art. 45); the US one only covers DPF participants
+const ADEQUATE_COUNTRIES = ['AD', 'AR', 'CA', 'FO', 'GG', 'IL', 'IM', 'JP', 'JE', 'NZ', 'KR', 'CH', 'GB', 'UY'];
+
+// Safeguard of a vendor's transfers, from no transfer at all to "nothing we can verify"
+const SAFEGUARDS = {
+  none: 'none',
+  adequacy: 'adequacy',
+  dpf: 'dpf',
+  contractual: 'contractual',
+  unknown: 'unknown'
+};
+
+// "Google LLC", "Google, LLC" and "Functional Software, Inc. (Sentry)" compare by the bare company name
+function normalizeCompanyName(name) {
+  return (name || '')
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/[.,]/g, ' ')
+    .replace(/\b(?:inc|llc|ltd|corp|corporation|co|plc|limited|gmbh|sa|sas|sro|as|a\/s)\b/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+function readJson(file) {
+  return JSON.parse(fs.readFileSync(file, 'utf8'));
+}
+
+class VendorDirectory {
+  constructor(trackerDb = null) {
+    this.trackerDb = trackerDb;
+    this.entries = [];
+    this.dpf = { snapshotDate: null, source: null, names: new Set() };
+  }
+
+  addVendors(data, source = 'inline') {
+    if (!data || !Array.isArray(data.vendors)) {
+      throw new Error('Vendor file must contain a "vendors" array');
+    }
+    for (const vendor of data.vendors) {
+      if (!vendor.vendor || !Array.isArray(vendor.domains)) {
+        console.warn(`[VENDORS] Vendor without name/domains in ${source}`);
+        continue;
+      }
+      this.entries.push({
+        vendor: vendor.vendor,
+        country: vendor.country || null,
+        destinations: vendor.destinations || (vendor.country ? [vendor.country] : []),
+        domains: vendor.domains.map(d => d.toLowerCase()),
+        source
+      });
+    }
+  }
+
+  loadDpfSnapshot(data) {
+    this.dpf = {
+      snapshotDate: data.snapshotDate || null,
+      source: data.source || null,
+      names: new Set((data.participants || []).map(normalizeCompanyName))
+    };
+  }
+
+  isDpfParticipant(vendor) {
+    return this.dpf.names.has(normalizeCompanyName(vendor));
+  }
+
+  // Tracker rules (URL-level) win over the plain host list; longer domains win over shorter ones
+  resolve(url) {
+    let hostname;
+    try {
+      hostname = new URL(url).hostname.toLowerCase();
+    } catch {
+      return null;
+    }
+
+    const tracker = this.trackerDb ? this.trackerDb.matchUrl(url) : null;
+    if (tracker && tracker.vendor) {
+      return {
+        vendor: tracker.vendor,
+        country: tracker.country,
+        destinations: tracker.dataTransfer?.destinations || (tracker.country ? [tracker.country] : []),
+        tracker: tracker.name
+      };
+    }
+
+    let best = null;
+    for (const entry of this.entries) {
+      for (const domain of entry.domains) {
+        if (hostnameMatches(hostname, domain) && (!best || domain.length > best.domain.length)) {
+          best = { entry, domain };
+        }
+      }
+    }
+    if (!best) return null;
+
+    return {
+      vendor: best.entry.vendor,
+      country: best.entry.country,
+      destinations: best.entry.destinations,
+      tracker: null
+    };
+  }
+
+  static load(trackerDb = null) {
+    const directory = new VendorDirectory(trackerDb);
+    for (const file of [CUSTOM_VENDORS_FILE, VENDORS_FILE]) {
+      if (!fs.existsSync(file)) continue;
+      try {
+        directory.addVendors(readJson(file), file);
+      } catch (error) {
+        console.warn(`[VENDORS] Skipping ${file}: ${error.message}`);
+      }
+    }
+    try {
+      directory.loadDpfSnapshot(readJson(DPF_FILE));
+    } catch (error) {
+      console.warn(`[VENDORS] DPF snapshot not loaded: ${error.message}`);
+    }
+    return directory;
+  }
+}
+
+// Where the data ends up and what legitimises it; countries are ISO 3166-1 alpha-2 codes
+function assessTransfer(vendorInfo, dpfParticipant) {
+  if (!vendorInfo || !vendorInfo.country) {
+    return { outsideEEA: null, thirdCountries: [], safeguard: SAFEGUARDS.unknown };
+  }
+
+  const countries = [...new Set([vendorInfo.country, ...(vendorInfo.destinations || [])])];
+  const thirdCountries = countries.filter(c => !EEA_COUNTRIES.includes(c));
+  if (thirdCountries.length === 0) {
+    return { outsideEEA: false, thirdCountries, safeguard: SAFEGUARDS.none };
+  }
+
+  const uncovered = thirdCountries.filter(c => !ADEQUATE_COUNTRIES.includes(c) && !(c === 'US' && dpfParticipant));
+  let safeguard = SAFEGUARDS.adequacy;
+  if (uncovered.length > 0) safeguard = SAFEGUARDS.contractual;
+  else if (thirdCountries.includes('US')) safeguard = SAFEGUARDS.dpf;
+
+  return { outsideEEA: true, thirdCountries, safeguard };
+}
+
+// requestsByPhase: { 'before-consent': [urls], 'after-accept': [urls], ... }
+function buildTransferMap(pageUrl, requestsByPhase, directory) {
+  const siteDomain = getRegistrableDomain(new URL(pageUrl).hostname);
+  const hosts = new Map();
+
+  for (const [phase, urls] of Object.entries(requestsByPhase)) {
+    for (const url of urls || []) {
+      let hostname;
+      try {
+        const parsed = new URL(url);
+        if (!['http:', 'https:'].includes(parsed.protocol)) continue;
+        hostname = parsed.hostname.toLowerCase();
+      } catch {
+        continue;
+      }
+      if (getRegistrableDomain(hostname) === siteDomain) continue;
+
+      if (!hosts.has(hostname)) {
+        hosts.set(hostname, { host: hostname, requests: 0, phases: new Set(), info: null });
+      }
+      const host = hosts.get(hostname);
+      host.requests++;
+      host.phases.add(phase);
+      // The first URL that resolves decides the vendor (path rules need a real URL)
+      if (!host.info) host.info = directory.resolve(url);
+    }
+  }
+
+  const hostList = [...hosts.values()].map(host => {
+    const info = host.info;
+    const dpf = info ? directory.isDpfParticipant(info.vendor) : false;
+    return {
+      host: host.host,
+      requests: host.requests,
+      phases: [...host.phases],
+      vendor: info?.vendor || null,
+      tracker: info?.tracker || null,
+      country: info?.country || null,
+      dpfParticipant: dpf,
+      ...assessTransfer(info, dpf)
+    };
+  });
+
+  return summarizeTransfers(hostList, directory.dpf);
+}
+
+// Groups hosts by vendor; unknown hosts are grouped by their registrable domain
+function summarizeTransfers(hostList, dpf = {}) {
+  const vendors = new Map();
+  for (const host of hostList) {
+    const key = host.vendor || `?${getRegistrableDomain(host.host)}`;
+    if (!vendors.has(key)) {
+      vendors.set(key, {
+        vendor: host.vendor,
+        domain: host.vendor ? null : getRegistrableDomain(host.host),
+        country: host.country,
+        thirdCountries: host.thirdCountries,
+        outsideEEA: host.outsideEEA,
+        dpfParticipant: host.dpfParticipant,
+        safeguard: host.safeguard,
+        hosts: [],
+        phases: []
+      });
+    }
+    const vendor = vendors.get(key);
+    vendor.hosts.push(host.host);
+    vendor.phases = [...new Set([...vendor.phases, ...host.phases])];
+  }
+
+  const vendorList = [...vendors.values()];
+  return {
+    found: vendorList.some(v => v.safeguard === SAFEGUARDS.contractual),
+    dpfSnapshot: { snapshotDate: dpf.snapshotDate || null, source: dpf.source || null },
+    hosts: hostList,
+    vendors: vendorList,
+    summary: {
+      thirdPartyHosts: hostList.length,
+      vendors: vendorList.filter(v => v.vendor).length,
+      outsideEEA: vendorList.filter(v => v.outsideEEA).length,
+      dpf: vendorList.filter(v => v.safeguard === SAFEGUARDS.dpf).length,
+      contractual: vendorList.filter(v => v.safeguard === SAFEGUARDS.contractual).length,
+      unknown: vendorList.filter(v => v.safeguard === SAFEGUARDS.unknown).length
+    },
+    score: null
+  };
+}
+
+// Site-level map for crawls: the union of every page's hosts
+function mergeTransferMaps(maps) {
+  const hosts = new Map();
+  let dpf = {};
+  for (const map of maps) {
+    if (!map) continue;
+    dpf = map.dpfSnapshot || dpf;
+    for (const host of map.hosts || []) {
+      const existing = hosts.get(host.host);
+      if (!existing) {
+        hosts.set(host.host, { ...host, phases: [...host.phases] });
+      } else {
+        existing.requests += host.requests;
+        existing.phases = [...new Set([...existing.phases, ...host.phases])];
+      }
+    }
+  }
+  return summarizeTransfers([...hosts.values()], dpf);
+}
+
+module.exports = {
+  EEA_COUNTRIES,
+  ADEQUATE_COUNTRIES,
+  SAFEGUARDS,
+  VendorDirectory,
+  normalizeCompanyName,
+  assessTransfer,
+  buildTransferMap,
+  mergeTransferMaps
+};
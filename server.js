@@ -1,10 +1,42 @@
 // Enhanced server.js with comprehensive debugging and error fixes
 
 const express = require('express');
-const puppeteer = require('puppeteer');
 const axios = require('axios');
 const cheerio = require('cheerio');
 const path = require('path');
+const { collectCmpSignals, detectCmp, allSignatureGlobals, allSignatureSelectors } = require('./lib/cmp');
+const { decodeTCString } = require('./lib/tcf');
+const { loadTrackerDatabase } = require('./lib/trackers');
+const { CookieClassifier, summarizeCookies, MAX_LIFETIME_DAYS } = require('./lib/cookies');
+const {
+  normalizeCrawlOptions, normalizeUrl, extractLinks, urlPriority, fetchSitemapUrls, aggregateSiteResults
+} = require('./lib/crawler');
+const { ScanQueue } = require('./lib/jobs');
+const { ScanHistory, siteKey, diffScans } = require('./lib/history');
+const { MonitorScheduler } = require('./lib/monitor');
+const { loadBranding, normalizeBranding, renderReportHtml, renderReportPdf } = require('./lib/report');
+const { extractPolicyText, analyzePolicyText, fetchPolicyHtml, MIN_POLICY_TEXT_LENGTH } = require('./lib/policy');
+const { parseCookieDeclaration, compareDeclaredCookies } = require('./lib/declaration');
+const { VendorDirectory, buildTransferMap, mergeTransferMaps } = require('./lib/transfers');
+const { analyzeForms, summarizeForms, mergeForms } = require('./lib/forms');
+const {
+  inspectCertificate, probeProtocols, checkHttpsRedirect, analyzeSecurityHeaders, findMixedContent,
+  evaluateTransport, evaluateSecurityHeaders
+} = require('./lib/security');
+const {
+  BANNER_MARKER, collectBannerVisibility, collectBannerState, collectButtonStyle, evaluateBannerDesign, IMPLICIT_CONSENT_PATTERNS, NECESSARY_LABEL
+} = require('./lib/banner');
+const { loadScoringProfiles, weightedScore, evaluateMandatory, describeProfile } = require('./lib/scoring');
+const { SUPPORTED_LANGUAGES, text, ref, translate, resolveLanguage, localize, localizeResult, catalogue } = require('./lib/i18n');
+const { parseUrlList, batchToCsv, BatchManager } = require('./lib/batch');
+const { BrowserPool } = require('./lib/browsers');
+const { fetchStaticPage, collectStaticRequests } = require('./lib/static');
+const { MAX_BUTTON_TEXT_LENGTH, pickButton } = require('./lib/buttons');
+const {
+  INSTRUMENTATION_KEY, NAVIGATOR_PROPERTIES, NAVIGATOR_THRESHOLD, instrumentDeviceAccess, collectDeviceAccess, analyzeDeviceAccess
+} = require('./lib/instrumentation');
+const { summarizeInitiator, tagManagerScript, analyzeAttribution } = require('./lib/attribution');
+const { parseGoogleHit, summarizeHits, readConsentCommands, parseConsentCommands, analyzeConsentMode } = require('./lib/consentmode');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -22,6 +54,12 @@ app.use((req, res, next) => {
   next();
 });
 
+// Response language: ?lang= or "lang" in the body, then Accept-Language, then the default
+app.use((req, res, next) => {
+  req.lang = resolveLanguage(req.query.lang || req.body?.lang, req.get('accept-language'));
+  next();
+});
+
 // Enhanced GDPR kontrolné pravidlá
 const GDPR_CHECKS = {
   cookieBanner: {
@@ -38,7 +76,57 @@ const GDPR_CHECKS = {
       '.gdpr-banner',
       '[class*="gdpr"]'
     ],
-    keywords: ['cookie', 'súhlas', 'consent', 'gdpr', 'ochrana údajov', 'privacy', 'cookies policy']
+    keywords: ['cookie', 'súhlas', 'consent', 'gdpr', 'ochrana údajov', 'privacy', 'cookies policy'],
+    // Button labels used by the consent interaction simulation (EN, SK, CS, DE, PL, HU, FR, ES, IT)
+    acceptLabels: [
+      'accept all', 'accept all cookies', 'accept cookies', 'accept', 'allow all', 'allow all cookies',
+      'allow cookies', 'allow', 'agree', 'i agree', 'i accept', 'agree and close', 'got it', 'ok',
+      'prijať všetko', 'prijať všetky', 'prijať všetky cookies', 'prijať', 'súhlasím', 'akceptovať',
+      'akceptovať všetko', 'povoliť všetko', 'povoliť všetky', 'rozumiem',
+      'přijmout vše', 'přijmout všechny', 'přijmout', 'souhlasím', 'povolit vše', 'povolit všechny',
+      'alle akzeptieren', 'akzeptieren', 'alle zulassen', 'zustimmen', 'einverstanden',
+      'zaakceptuj wszystkie', 'akceptuję', 'zgadzam się',
+      'összes elfogadása', 'elfogadom', 'elfogadás',
+      'tout accepter', 'accepter', "j'accepte",
+      'aceptar todo', 'aceptar todas', 'aceptar',
+      'accetta tutti', 'accetta', 'accetto'
+    ],
+    rejectLabels: [
+      'reject all', 'reject all cookies', 'reject cookies', 'reject', 'decline all', 'decline',
+      'deny all', 'deny', 'refuse all', 'refuse', 'only necessary', 'necessary only',
+      'only necessary cookies', 'use necessary cookies only', 'continue without accepting',
+      'odmietnuť', 'odmietnuť všetko', 'odmietnuť všetky', 'iba nevyhnutné', 'len nevyhnutné',
+      'povoliť iba nevyhnutné', 'nesúhlasím',
+      'odmítnout', 'odmítnout vše', 'odmítnout všechny', 'pouze nezbytné', 'jen nezbytné', 'nesouhlasím',
+      'alle ablehnen', 'ablehnen', 'nur notwendige', 'nur notwendige cookies', 'nur essenzielle cookies',
+      'odrzuć wszystkie', 'odrzuć', 'tylko niezbędne',
+      'összes elutasítása', 'elutasítom', 'elutasítás',
+      'tout refuser', 'refuser', 'continuer sans accepter',
+      'rechazar todo', 'rechazar todas', 'rechazar',
+      'rifiuta tutti', 'rifiuta'
+    ],
+    // Well-known CMP button ids, tried before the text heuristics
+    acceptSelectors: [
+      '#onetrust-accept-btn-handler',
+      '#CybotCookiebotDialogBodyLevelButtonLevelOptinAllowAll',
+      '#CybotCookiebotDialogBodyButtonAccept',
+      '#didomi-notice-agree-button',
+      '#uc-btn-accept-banner',
+      '[data-testid="uc-accept-all-button"]',
+      '.cky-btn-accept',
+      '.cmplz-accept',
+      '.cm-btn-accept-all'
+    ],
+    rejectSelectors: [
+      '#onetrust-reject-all-handler',
+      '#CybotCookiebotDialogBodyButtonDecline',
+      '#didomi-notice-disagree-button',
+      '#uc-btn-deny-banner',
+      '[data-testid="uc-deny-all-button"]',
+      '.cky-btn-reject',
+      '.cmplz-deny',
+      '.cm-btn-decline'
+    ]
   },
   privacyPolicy: {
     name: 'Privacy Policy',
@@ -77,40 +165,49 @@ const GDPR_CHECKS = {
   }
 };
 
-// Common tracking/analytics services that should require consent
-const TRACKING_SERVICES = {
-  'google-analytics': {
-    patterns: ['google-analytics.com', 'googletagmanager.com', 'gtag', '_ga', '_gid', '_gat'],
-    name: 'Google Analytics',
-    category: 'analytics'
-  },
-  'facebook-pixel': {
-    patterns: ['facebook.com/tr', 'connect.facebook.net', 'fbq', '_fbp', '_fbc'],
-    name: 'Facebook Pixel',
-    category: 'marketing'
-  },
-  'google-ads': {
-    patterns: ['googleadservices.com', 'googlesyndication.com', '_gcl_'],
-    name: 'Google Ads',
-    category: 'advertising'
-  },
-  'hotjar': {
-    patterns: ['hotjar.com', '_hjid', '_hjIncludedInSample'],
-    name: 'Hotjar',
-    category: 'analytics'
-  },
-  'youtube': {
-    patterns: ['youtube.com/embed', 'ytimg.com', 'VISITOR_INFO1_LIVE', 'YSC'],
-    name: 'YouTube Embedded',
-    category: 'media'
-  }
-};
+// Tracker categories that collect personal data through embedded forms or chat
+const FORM_WIDGET_CATEGORIES = ['forms', 'chat'];
+
+// Tracker catalogue from data/trackers plus custom entries from config/trackers
+const trackerDb = loadTrackerDatabase();
+
+// Cookie purpose classifier backed by data/cookies.json and the tracker catalogue
+const cookieClassifier = CookieClassifier.load(trackerDb);
+
+// Vendor jurisdictions (data/vendors.json + tracker catalogue) and the offline DPF snapshot
+const vendorDirectory = VendorDirectory.load(trackerDb);
+
+// Scoring profiles from data/scoring plus custom ones from config/scoring
+const scoringProfiles = loadScoringProfiles();
+
+// Scans lease an incognito context from a few shared Chromium processes instead of launching their own
+const browserPool = new BrowserPool({
+  size: process.env.BROWSER_POOL_SIZE,
+  contextsPerBrowser: process.env.BROWSER_CONTEXTS,
+  maxPagesPerBrowser: process.env.BROWSER_MAX_PAGES,
+  maxMemoryMb: process.env.BROWSER_MAX_MEMORY_MB
+});
+
+// When Chromium cannot launch, scans fall back to the static HTTP mode instead of failing
+const STATIC_FALLBACK = process.env.STATIC_FALLBACK === 'true';
+const SCAN_ENGINES = ['browser', 'static'];
+
+// JPEG quality of the evidence screenshots; they are stored with every scan in the history
+const SCREENSHOT_QUALITY = 60;
+
+// Ordered checkUrl stages, used to turn stage reports into a progress percentage
+const SCAN_STAGES = [
+  'navigate', 'wait', 'cookieBanner', 'bannerDesign', 'privacyPolicy', 'contactInfo', 'forms',
+  'ssl', 'securityHeaders', 'cookies', 'deviceAccess', 'preConsentViolations', 'attribution', 'consentInteraction', 'consentMode', 'transfers', 'cookiePolicy', 'score'
+];
 
 class GDPRChecker {
-  constructor() {
-    this.browser = null;
+  constructor(options = {}) {
+    this.pool = options.pool || browserPool;
     this.maxRetries = 2; // Reduced retries
     this.debug = true; // Enable debugging
+    this.onProgress = options.onProgress || null;
+    this.crawlProgress = null;
   }
 
   log(message, data = null) {
@@ -119,36 +216,20 @@ class GDPRChecker {
     }
   }
 
-  async initBrowser() {
-    if (!this.browser) {
-      try {
-        this.log('Initializing browser...');
-        this.browser = await puppeteer.launch({
-          headless: 'new',
-          args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-gpu',
-            '--disable-web-security',
-            '--disable-features=VizDisplayCompositor',
-            '--disable-extensions',
-            '--disable-plugins',
-            '--disable-default-apps',
-            '--single-process', // Important for some environments
-            '--no-zygote'
-          ],
-          timeout: 60000, // Increased timeout
-          // REMOVE THIS LINE or ensure it's undefined:
-          // executablePath: process.env.PUPPETEER_EXECUTABLE_PATH || undefined,
-        });
-        this.log('Browser initialized successfully');
-      } catch (error) {
-        this.log('Failed to launch browser:', error.message);
-        throw new Error(`Browser initialization failed: ${error.message}`);
-      }
-    }
-    return this.browser;
+  reportStage(stage, message) {
+    this.log(message);
+    if (!this.onProgress) return;
+
+    const stageIndex = SCAN_STAGES.indexOf(stage);
+    const pageFraction = stageIndex >= 0 ? stageIndex / SCAN_STAGES.length : 0;
+    const { index = 0, total = 1 } = this.crawlProgress || {};
+
+    this.onProgress({
+      stage,
+      message,
+      progress: Math.round(((index + pageFraction) / total) * 100),
+      page: this.crawlProgress
+    });
   }
 
   async waitForDelay(page, ms) {
@@ -159,43 +240,128 @@ class GDPRChecker {
     }
   }
 
-  async checkUrl(url, retryCount = 0) {
-    let browser = null;
+  async preparePage(page) {
+    await page.setDefaultNavigationTimeout(60000);
+    await page.setDefaultTimeout(30000);
+    await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
+    await page.setViewport({ width: 1366, height: 768 });
+  }
+
+  isEssentialCookie(cookie) {
+    return cookieClassifier.isEssential(cookie);
+  }
+
+  // page.cookies() only returns cookies for the page URL; CDP also exposes third-party ones
+  async getAllCookies(page) {
+    try {
+      const client = await page.createCDPSession();
+      const { cookies } = await client.send('Network.getAllCookies');
+      await client.detach();
+      return cookies;
+    } catch (error) {
+      this.log('Falling back to page.cookies():', error.message);
+      return page.cookies();
+    }
+  }
+
+  describeTracker(tracker) {
+    return {
+      id: tracker.id,
+      name: tracker.name,
+      category: tracker.category,
+      vendor: tracker.vendor,
+      country: tracker.country
+    };
+  }
+
+  // Matches network requests against the tracker catalogue; only trackers that need consent are reported
+  detectTrackingRequests(networkRequests) {
+    const requests = [];
+    const services = [];
+
+    networkRequests.forEach(request => {
+      const tracker = trackerDb.matchUrl(request.url);
+      if (!tracker || !tracker.consentRequired) return;
+
+      const hit = parseGoogleHit(request.url);
+      requests.push({
+        service: tracker.name,
+        category: tracker.category,
+        url: request.url,
+        type: request.type,
+        initiator: request.initiator?.url || null,
+        ...(hit ? { consentMode: { kind: hit.kind, cookieless: hit.cookieless, consent: hit.consent } } : {})
+      });
+
+      if (!services.find(s => s.id === tracker.id)) {
+        services.push({ ...this.describeTracker(tracker), detected: true });
+      }
+    });
+
+    return { requests, services };
+  }
+
+  async getConsentCommands(page) {
+    try {
+      return await page.evaluate(readConsentCommands);
+    } catch (error) {
+      this.log('Error reading consent commands:', error.message);
+      return null;
+    }
+  }
+
+  // Container and tag IDs registered in window.google_tag_manager by containers that actually ran
+  async getTagManagerGlobals(page) {
+    try {
+      return await page.evaluate(() => Object.keys(window.google_tag_manager || {}));
+    } catch (error) {
+      this.log('Error reading tag manager globals:', error.message);
+      return [];
+    }
+  }
+
+  async getTrackerGlobals(page) {
+    try {
+      return await page.evaluate(names => names.filter(name => {
+        try {
+          return typeof window[name] !== 'undefined';
+        } catch {
+          return false;
+        }
+      }), trackerDb.allGlobals());
+    } catch (error) {
+      this.log('Error reading tracker globals:', error.message);
+      return [];
+    }
+  }
+
+  async checkUrl(url, options = {}, retryCount = 0) {
+    if (options.engine === 'static') return this.checkUrlStatic(url, options);
+
+    let lease = null;
     let page = null;
 
     try {
       this.log(`Starting URL check: ${url} (attempt ${retryCount + 1})`);
 
+      const profile = scoringProfiles.get(options.profile);
       const urlObj = new URL(url);
       if (!['http:', 'https:'].includes(urlObj.protocol)) {
         throw new Error('Only HTTP and HTTPS URLs are supported');
       }
 
-      // 🚀 Launch fresh browser per check
-      browser = await puppeteer.launch({
-        headless: 'new',
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-gpu',
-          '--disable-web-security',
-          '--disable-features=VizDisplayCompositor',
-          '--disable-extensions',
-          '--disable-plugins',
-          '--disable-default-apps',
-          '--single-process',
-          '--no-zygote'
-        ],
-        timeout: 60000
-      });
-
-      page = await browser.newPage();
-
-      await page.setDefaultNavigationTimeout(60000);
-      await page.setDefaultTimeout(30000);
-      await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36');
-      await page.setViewport({ width: 1366, height: 768 });
+      // Each attempt gets a fresh context, so a retry never sees cookies of the failed one
+      try {
+        lease = await this.pool.acquire();
+      } catch (error) {
+        if (error.code !== 'BROWSER_LAUNCH_FAILED' || !(options.staticFallback ?? STATIC_FALLBACK)) throw error;
+        this.log('Browser unavailable, falling back to a static scan:', error.message);
+        return this.checkUrlStatic(url, { ...options, fallbackReason: error.message });
+      }
+      page = await lease.context.newPage();
+      await this.preparePage(page);
+      // Before navigation, so the recorder is in place before the first page script runs
+      await page.evaluateOnNewDocument(instrumentDeviceAccess, INSTRUMENTATION_KEY, NAVIGATOR_PROPERTIES, NAVIGATOR_THRESHOLD);
 
       const networkRequests = [];
       const cookies = [];
@@ -204,6 +370,7 @@ class GDPRChecker {
         networkRequests.push({
           url: req.url(),
           type: req.resourceType(),
+          initiator: summarizeInitiator(req.initiator()),
           timestamp: Date.now()
         });
       });
@@ -222,7 +389,7 @@ class GDPRChecker {
       });
 
       const startTime = Date.now();
-      this.log('Navigating to URL...');
+      this.reportStage('navigate', 'Navigating to URL...');
       const response = await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
       if (!response) throw new Error('No response received from the page');
 
@@ -233,11 +400,12 @@ class GDPRChecker {
       const afterLoadTime = Date.now();
       this.log(`Page loaded in ${afterLoadTime - startTime}ms`);
 
-      this.log('Waiting for dynamic content...');
+      this.reportStage('wait', 'Waiting for dynamic content...');
       await this.waitForDelay(page, 3000);
 
       const results = {
         url,
+        engine: 'browser',
         timestamp: new Date().toISOString(),
         checks: {},
         score: 0,
@@ -251,35 +419,81 @@ class GDPRChecker {
 
       const content = await page.content();
       const $ = cheerio.load(content);
-      const preConsentCookies = await page.cookies();
+      const preConsentCookies = cookieClassifier.classifyAll(await this.getAllCookies(page), url);
+
+      this.reportStage('cookieBanner', 'Running cookie banner check...');
+      results.checks.cookieBanner = await this.checkCookieBanner(page, $, { screenshots: !options.skipScreenshots });
+
+      this.reportStage('bannerDesign', 'Running banner design check...');
+      results.checks.bannerDesign = await this.checkBannerDesign(page, results.checks.cookieBanner);
+
+      this.reportStage('privacyPolicy', 'Running privacy policy check...');
+      results.checks.privacyPolicy = await this.checkPrivacyPolicy($, page.url(), lease);
 
-      this.log('Running cookie banner check...');
-      results.checks.cookieBanner = await this.checkCookieBanner(page, $);
+      this.reportStage('contactInfo', 'Running contact info check...');
+      results.checks.contactInfo = this.checkContactInfo($);
 
-      this.log('Running privacy policy check...');
-      results.checks.privacyPolicy = await this.checkPrivacyPolicy(page, $);
+      this.reportStage('forms', 'Running forms check...');
+      results.checks.forms = this.checkForms($, page.url(), networkRequests, profile.penalties.forms);
 
-      this.log('Running cookie policy check...');
-      results.checks.cookiePolicy = await this.checkCookiePolicy(page, $);
+      this.reportStage('ssl', 'Running SSL check...');
+      const mainHeaders = response.headers();
+      results.checks.ssl = await this.checkSSL(page.url(), mainHeaders, networkRequests);
 
-      this.log('Running contact info check...');
-      results.checks.contactInfo = await this.checkContactInfo(page, $);
+      this.reportStage('securityHeaders', 'Running security headers check...');
+      results.checks.securityHeaders = this.checkSecurityHeaders(mainHeaders);
 
-      this.log('Running SSL check...');
-      results.checks.ssl = await this.checkSSL(url);
+      this.reportStage('cookies', 'Running cookies check...');
+      results.checks.cookies = await this.checkCookies(page, url, profile.penalties.cookies);
 
-      this.log('Running cookies check...');
-      results.checks.cookies = await this.checkCookies(page);
+      this.reportStage('deviceAccess', 'Reading storage and fingerprinting access...');
+      results.checks.deviceAccess = await this.checkDeviceAccess(page);
 
-      this.log('Running pre-consent violations check...');
+      this.reportStage('preConsentViolations', 'Running pre-consent violations check...');
+      const pageGlobals = await this.getTrackerGlobals(page);
+      // Nothing has been clicked yet; the full Consent Mode check runs once the consent scenarios are done
+      const consentLayer = await this.getConsentCommands(page);
+      const googleConsent = analyzeConsentMode({ requests: networkRequests, layer: consentLayer });
       results.checks.preConsentViolations = await this.checkPreConsentViolations(
-        preConsentCookies, networkRequests, content, startTime, afterLoadTime
+        preConsentCookies, networkRequests, content, startTime, afterLoadTime, pageGlobals, profile.penalties.preConsentViolations,
+        results.checks.deviceAccess, googleConsent
       );
 
+      this.reportStage('attribution', 'Tracing what loaded each tracker...');
+      results.checks.attribution = this.checkAttribution(page.url(), networkRequests, content, await this.getTagManagerGlobals(page));
+
+      if (!options.skipConsentInteraction) {
+        this.reportStage('consentInteraction', 'Running consent interaction check...');
+        results.checks.consentInteraction = await this.checkConsentInteraction(url, {
+          screenshots: !options.skipScreenshots,
+          penalties: profile.penalties.consentInteraction,
+          consentMode: googleConsent,
+          lease
+        });
+      }
+
+      this.reportStage('consentMode', 'Running Google Consent Mode check...');
+      results.checks.consentMode = this.checkConsentMode(networkRequests, consentLayer, results.checks.consentInteraction);
+
+      this.reportStage('transfers', 'Mapping third-country data transfers...');
+      results.checks.transfers = this.checkTransfers(page.url(), networkRequests, results.checks.consentInteraction);
+
+      // Runs last so the declaration can be compared with every cookie seen during the scan
+      this.reportStage('cookiePolicy', 'Running cookie policy check...');
+      const observedCookies = [
+        ...preConsentCookies,
+        ...(results.checks.cookies?.cookies || []),
+        ...(results.checks.consentInteraction?.accept?.cookies || [])
+      ];
+      results.checks.cookiePolicy = await this.checkCookiePolicy($, page.url(), lease, observedCookies, profile.penalties.cookiePolicy);
+
+      results.internalLinks = extractLinks($, page.url()).slice(0, 200);
+
       results.thirdPartyServices = results.checks?.preConsentViolations?.trackingServices || [];
 
-      this.log('Calculating final score...');
-      results.score = this.calculateScore(results.checks);
+      this.reportStage('score', 'Calculating final score...');
+      results.score = this.calculateScore(results.checks, profile);
+      results.scoring = this.evaluateProfile(results.checks, profile);
       results.recommendations = this.generateRecommendations(results.checks);
 
       this.log('Final results:', {
@@ -291,28 +505,17 @@ class GDPRChecker {
     } catch (error) {
       this.log(`Error checking URL (attempt ${retryCount + 1}):`, error.message);
 
-      if (retryCount < this.maxRetries) {
-        this.log(`Retrying... (${retryCount + 1}/${this.maxRetries})`);
+      const maxRetries = options.maxRetries ?? this.maxRetries;
+      if (retryCount < maxRetries && error.code !== 'UNKNOWN_PROFILE') {
+        this.log(`Retrying... (${retryCount + 1}/${maxRetries})`);
+        // Give the context back first; a retry holding two leases could starve a full pool
+        if (page && !page.isClosed()) await page.close().catch(() => {});
+        if (lease) await lease.release();
         await this.delay(3000 * (retryCount + 1));
-        return this.checkUrl(url, retryCount + 1);
+        return this.checkUrl(url, options, retryCount + 1);
       }
 
-      return {
-        url,
-        timestamp: new Date().toISOString(),
-        error: error.message,
-        checks: {},
-        score: 0,
-        recommendations: [{
-          priority: 'ERROR',
-          message: `Chyba pri kontrole: ${error.message}`
-        }],
-        debug: {
-          failed: true,
-          retryCount,
-          error: error.message
-        }
-      };
+      return this.failedResult(url, 'browser', error, retryCount);
     } finally {
       try {
         if (page && !page.isClosed()) {
@@ -323,18 +526,317 @@ class GDPRChecker {
         this.log('Error closing page:', err.message);
       }
 
+      if (lease) await lease.release();
+    }
+  }
+
+  failedResult(url, engine, error, retryCount = 0) {
+    return {
+      url,
+      engine,
+      timestamp: new Date().toISOString(),
+      error: error.message,
+      checks: {},
+      score: 0,
+      recommendations: [{
+        priority: 'ERROR',
+        ...text('recommendation.scanError', { error: error.message })
+      }],
+      debug: {
+        failed: true,
+        retryCount,
+        error: error.message
+      }
+    };
+  }
+
+  // Plain HTTP fetch without Chromium: Set-Cookie headers, resources referenced in the HTML and the
+  // cheerio-based checks. Nothing the page does with JavaScript is seen, so the banner and consent checks are skipped.
+  async checkUrlStatic(url, options = {}) {
+    try {
+      this.log(`Starting static URL check: ${url}`);
+
+      const profile = scoringProfiles.get(options.profile);
+      const urlObj = new URL(url);
+      if (!['http:', 'https:'].includes(urlObj.protocol)) {
+        throw new Error('Only HTTP and HTTPS URLs are supported');
+      }
+
+      const startTime = Date.now();
+      this.reportStage('navigate', 'Fetching page HTML...');
+      const page = await fetchStaticPage(url);
+      const afterLoadTime = Date.now();
+      this.log(`Page fetched in ${afterLoadTime - startTime}ms (status ${page.status}, ${page.redirects.length} redirects)`);
+
+      const $ = cheerio.load(page.html);
+      const collected = collectStaticRequests($, page.url);
+      // URLs in inline code are only counted when they belong to a known tracker (e.g. the GTM snippet)
+      const networkRequests = collected.requests.filter(request => request.source !== 'inline' || trackerDb.matchUrl(request.url));
+      const cookies = cookieClassifier.classifyAll(page.cookies, url);
+
+      const results = {
+        url,
+        engine: 'static',
+        timestamp: new Date().toISOString(),
+        checks: {},
+        score: 0,
+        recommendations: [],
+        limitations: {
+          dynamicEvaluated: false,
+          skippedChecks: ['cookieBanner', 'bannerDesign', 'consentInteraction', 'deviceAccess'],
+          ...text('static.limitations'),
+          ...(options.fallbackReason ? text('static.fallback', { error: options.fallbackReason }, 'reason') : {})
+        },
+        debug: {
+          loadTime: afterLoadTime - startTime,
+          networkRequests: networkRequests.length,
+          deferredScripts: collected.deferredScripts,
+          redirects: page.redirects,
+          retryCount: 0
+        }
+      };
+
+      this.reportStage('privacyPolicy', 'Running privacy policy check...');
+      results.checks.privacyPolicy = await this.checkPrivacyPolicy($, page.url);
+
+      this.reportStage('contactInfo', 'Running contact info check...');
+      results.checks.contactInfo = this.checkContactInfo($);
+
+      this.reportStage('forms', 'Running forms check...');
+      results.checks.forms = this.checkForms($, page.url, networkRequests, profile.penalties.forms);
+
+      this.reportStage('ssl', 'Running SSL check...');
+      results.checks.ssl = await this.checkSSL(page.url, page.headers, networkRequests);
+
+      this.reportStage('securityHeaders', 'Running security headers check...');
+      results.checks.securityHeaders = this.checkSecurityHeaders(page.headers);
+
+      this.reportStage('cookies', 'Running cookies check...');
+      results.checks.cookies = this.evaluateCookies(cookies, profile.penalties.cookies);
+
+      this.reportStage('preConsentViolations', 'Running pre-consent violations check...');
+      // Worked out first so tag libraries are not counted as tracking when inline defaults deny storage
+      const googleConsent = this.checkConsentMode(networkRequests, parseConsentCommands(page.html), null, { partial: true });
+      results.checks.preConsentViolations = await this.checkPreConsentViolations(
+        cookies, networkRequests, page.html, startTime, afterLoadTime, [], profile.penalties.preConsentViolations,
+        null, googleConsent
+      );
+
+      this.reportStage('attribution', 'Tracing what loaded each tracker...');
+      results.checks.attribution = this.checkAttribution(page.url, networkRequests, page.html);
+
+      this.reportStage('consentMode', 'Running Google Consent Mode check...');
+      results.checks.consentMode = googleConsent;
+      if (!results.checks.consentMode.evaluated) results.limitations.skippedChecks.push('consentMode');
+
+      this.reportStage('transfers', 'Mapping third-country data transfers...');
+      results.checks.transfers = this.checkTransfers(page.url, networkRequests);
+
+      this.reportStage('cookiePolicy', 'Running cookie policy check...');
+      results.checks.cookiePolicy = await this.checkCookiePolicy($, page.url, null, cookies, profile.penalties.cookiePolicy);
+
+      results.internalLinks = extractLinks($, page.url).slice(0, 200);
+
+      results.thirdPartyServices = results.checks.preConsentViolations.trackingServices || [];
+
+      this.reportStage('score', 'Calculating final score...');
+      results.score = this.calculateScore(results.checks, profile);
+      results.scoring = this.evaluateProfile(results.checks, profile);
+      results.recommendations = this.generateRecommendations(results.checks);
+      results.recommendations.push({ priority: 'LOW', ...text('recommendation.staticScan') });
+
+      this.log('Final static results:', {
+        score: results.score,
+        recommendationsCount: results.recommendations.length
+      });
+
+      return results;
+    } catch (error) {
+      this.log('Error in static check:', error.message);
+      return this.failedResult(url, 'static', error);
+    }
+  }
+
+  // Crawls same-site links and sitemap entries, running the page checks on each page
+  async checkSite(url, crawlOptions = {}, scanOptions = {}) {
+    const options = normalizeCrawlOptions(crawlOptions);
+    const profile = scoringProfiles.get(scanOptions.profile);
+    this.log(`Starting site crawl: ${url}`, options);
+
+    const startUrl = normalizeUrl(url, url) || url;
+    const queue = [{ url: startUrl, depth: 0 }];
+    const seen = new Set([startUrl]);
+    const pages = [];
+
+    const enqueue = (links, depth) => {
+      if (depth > options.maxDepth) return;
+      for (const link of links) {
+        if (seen.has(link)) continue;
+        seen.add(link);
+        queue.push({ url: link, depth });
+      }
+      // Breadth-first, with contact/checkout/blog-like pages first within a depth
+      queue.sort((a, b) => a.depth - b.depth || urlPriority(a.url) - urlPriority(b.url));
+    };
+
+    if (options.sitemap) {
       try {
-        if (browser) {
-          await browser.close();
-          this.log('Browser closed successfully');
+        const sitemapUrls = await fetchSitemapUrls(startUrl);
+        this.log(`Sitemap entries found: ${sitemapUrls.length}`);
+        enqueue(sitemapUrls, 1);
+      } catch (error) {
+        this.log('Error reading sitemap:', error.message);
+      }
+    }
+
+    while (queue.length > 0 && pages.length < options.maxPages) {
+      const { url: pageUrl, depth } = queue.shift();
+      this.log(`Crawling page ${pages.length + 1}/${options.maxPages}: ${pageUrl} (depth ${depth})`);
+      this.crawlProgress = { index: pages.length, total: options.maxPages, url: pageUrl };
+
+      const isStartPage = pages.length === 0;
+      const result = await this.checkUrl(pageUrl, {
+        // Banner behaviour is site-wide, so the click simulation runs on the start page only by default
+        skipConsentInteraction: !isStartPage && !options.consentInteractionOnSubpages,
+        skipScreenshots: !isStartPage || !!scanOptions.skipScreenshots,
+        maxRetries: isStartPage ? this.maxRetries : 0,
+        profile: scanOptions.profile,
+        engine: scanOptions.engine,
+        staticFallback: scanOptions.staticFallback
+      });
+      pages.push({ ...result, depth });
+
+      if (!result.error) enqueue(result.internalLinks || [], depth + 1);
+    }
+
+    this.crawlProgress = null;
+    const site = aggregateSiteResults(pages);
+    const home = pages[0];
+    // Transfers are the union over all pages, everything else describes the start page
+    const checks = {
+      ...home.checks,
+      transfers: mergeTransferMaps(pages.filter(p => !p.error).map(p => p.checks?.transfers)),
+      forms: mergeForms(pages.filter(p => !p.error).map(p => p.checks?.forms), profile.penalties.forms)
+    };
+    const scoring = this.evaluateProfile(checks, profile);
+    // A mandatory check failing on any subpage fails the whole site
+    for (const page of pages.slice(1)) {
+      for (const failure of page.scoring?.mandatoryFailures || []) {
+        scoring.mandatoryFailures.push({ ...failure, url: page.url });
+      }
+    }
+    scoring.passed = scoring.mandatoryFailures.length === 0;
+    const recommendations = home.error ? [...(home.recommendations || [])] : this.generateRecommendations(checks);
+
+    const subpageViolations = site.pagesWithViolations.filter(p => p.url !== home.url);
+    if (subpageViolations.length > 0) {
+      recommendations.unshift({
+        priority: 'CRITICAL',
+        ...text('recommendation.subpageViolations', { count: subpageViolations.length, example: subpageViolations[0].url })
+      });
+    }
+
+    this.log('Site crawl finished:', {
+      pagesScanned: site.pagesScanned,
+      pagesFailed: site.pagesFailed,
+      averageScore: site.averageScore
+    });
+
+    return {
+      url,
+      mode: 'crawl',
+      engine: home.engine,
+      timestamp: new Date().toISOString(),
+      crawl: options,
+      score: site.averageScore,
+      scoring,
+      checks,
+      thirdPartyServices: site.trackers,
+      recommendations,
+      site,
+      pages,
+      ...(home.limitations ? { limitations: home.limitations } : {}),
+      ...(home.error ? { error: home.error } : {})
+    };
+  }
+
+  // Third-party hosts contacted before consent and after accept/reject, mapped to vendor jurisdictions
+  checkTransfers(pageUrl, networkRequests, consentInteraction = null) {
+    try {
+      return buildTransferMap(pageUrl, {
+        'before-consent': networkRequests.map(r => r.url),
+        'after-accept': consentInteraction?.accept?.requestUrls || [],
+        'after-reject': consentInteraction?.reject?.requestUrls || []
+      }, vendorDirectory);
+    } catch (error) {
+      this.log('Error in checkTransfers:', error.message);
+      return { found: false, hosts: [], vendors: [], summary: null, error: error.message, score: null };
+    }
+  }
+
+  // Web Storage / IndexedDB writes and fingerprinting API calls recorded in every frame since navigation.
+  // Nothing has been clicked on this page yet, so all of it happened before consent.
+  async checkDeviceAccess(page) {
+    try {
+      const events = [];
+      for (const frame of page.frames()) {
+        try {
+          const frameEvents = await frame.evaluate(collectDeviceAccess, INSTRUMENTATION_KEY);
+          events.push(...frameEvents.map(event => ({ ...event, frame: frame.url() })));
+        } catch (error) {
+          this.log(`Error reading device access in frame ${frame.url()}:`, error.message);
         }
-      } catch (err) {
-        this.log('Error closing browser:', err.message);
       }
+
+      const analysis = analyzeDeviceAccess(events, { pageUrl: page.url(), trackerDb, cookieClassifier });
+      return {
+        found: analysis.storage.length + analysis.fingerprinting.length > 0,
+        ...analysis,
+        score: null
+      };
+    } catch (error) {
+      this.log('Error in checkDeviceAccess:', error.message);
+      return { found: false, storage: [], fingerprinting: [], summary: null, error: error.message, score: null };
+    }
+  }
+
+  // Who loaded each tracker (initiator chains) and which tags the GTM containers fired before consent
+  checkAttribution(pageUrl, networkRequests, html, tagManagerGlobals = []) {
+    try {
+      const analysis = analyzeAttribution(networkRequests, { pageUrl, trackerDb, html, tagManagerGlobals });
+      return {
+        found: analysis.services.length > 0 || analysis.containers.length > 0,
+        ...analysis,
+        score: null
+      };
+    } catch (error) {
+      this.log('Error in checkAttribution:', error.message);
+      return { found: false, services: [], containers: [], summary: null, error: error.message, score: null };
+    }
+  }
+
+  // Consent Mode defaults and updates from the dataLayer, and the consent state Google hits carried before
+  // consent and after accept/reject. Static scans only see hits and gtag() calls in the HTML (options.partial).
+  checkConsentMode(networkRequests, layer = null, consentInteraction = null, options = {}) {
+    const scenario = s => (s?.clicked && s.googleConsent ? { clicked: true, ...s.googleConsent } : null);
+    try {
+      return {
+        ...analyzeConsentMode({
+          requests: networkRequests,
+          layer,
+          accept: scenario(consentInteraction?.accept),
+          reject: scenario(consentInteraction?.reject),
+          partial: options.partial
+        }),
+        score: null
+      };
+    } catch (error) {
+      this.log('Error in checkConsentMode:', error.message);
+      return { found: false, issues: [], error: error.message, score: null };
     }
   }
 
-  async checkPreConsentViolations(cookies, networkRequests, htmlContent, startTime, endTime) {
+  async checkPreConsentViolations(cookies, networkRequests, htmlContent, startTime, endTime, pageGlobals = [], penalties = scoringProfiles.get().penalties.preConsentViolations, deviceAccess = null, consentMode = null) {
     const result = {
       found: false,
       violations: [],
@@ -347,56 +849,56 @@ class GDPRChecker {
       this.log(`Checking pre-consent violations: ${cookies.length} cookies, ${networkRequests.length} requests`);
       
       // Check for cookies set immediately on page load
-      const problematicCookies = cookies.filter(cookie => {
-        const essentialPatterns = [
-          'session', 'csrf', 'xsrf', 'auth', 'login', 'security',
-          'lang', 'language', 'timezone', 'currency', 'theme', 'wordpress',
-          'wp-', 'phpsessid'
-        ];
-
-        const cookieName = (cookie.name || '').toLowerCase();
-        const isEssential = essentialPatterns.some(pattern => 
-          cookieName.includes(pattern.toLowerCase())
-        );
-
-        return !isEssential;
-      });
+      const problematicCookies = cookies.filter(cookie => !this.isEssentialCookie(cookie));
+      const trackingCookies = problematicCookies.filter(c => c.category !== 'unknown');
 
       // Check network requests for tracking services
-      const trackingRequests = [];
-      networkRequests.forEach(request => {
-        for (const [serviceId, service] of Object.entries(TRACKING_SERVICES)) {
-          if (service.patterns.some(pattern => request.url.toLowerCase().includes(pattern.toLowerCase()))) {
-            trackingRequests.push({
-              service: service.name,
-              category: service.category,
-              url: request.url,
-              type: request.type
-            });
-            
-            if (!result.trackingServices.find(s => s.name === service.name)) {
-              result.trackingServices.push({
-                name: service.name,
-                category: service.category,
-                detected: true
-              });
-            }
-          }
+      const tracking = this.detectTrackingRequests(networkRequests);
+      // With Consent Mode denying storage by default, Google tag libraries load and send cookieless pings
+      // instead of tracking; the pings are a lesser violation of their own, the libraries none
+      const consentModeActive = !!consentMode?.deniedByDefault;
+      const pings = consentModeActive ? tracking.requests.filter(r => r.consentMode?.cookieless) : [];
+      const trackingRequests = tracking.requests.filter(r => !pings.includes(r) && !(consentModeActive && tagManagerScript(r.url)));
+      result.trackingServices = tracking.services.map(s => ({ ...s, detectedBy: ['request'] }));
+
+      // Cookies and page globals attribute further services without adding violations on their own
+      const addService = (tracker, source) => {
+        const existing = result.trackingServices.find(s => s.id === tracker.id);
+        if (existing) {
+          if (!existing.detectedBy.includes(source)) existing.detectedBy.push(source);
+        } else if (tracker.consentRequired) {
+          result.trackingServices.push({ ...this.describeTracker(tracker), detected: true, detectedBy: [source] });
         }
+      };
+      cookies.forEach(cookie => {
+        const tracker = trackerDb.matchCookie(cookie.name || '');
+        if (tracker) addService(tracker, 'cookie');
       });
+      trackerDb.matchGlobals(pageGlobals).forEach(({ tracker }) => addService(tracker, 'global'));
+
+      // Art. 5(3) ePrivacy covers any storage on the device and reading device characteristics, not only cookies
+      const storageWrites = (deviceAccess?.storage || []).filter(entry => entry.consentRequired);
+      const fingerprinting = (deviceAccess?.fingerprinting || []).filter(entry => entry.consentRequired);
+      storageWrites.forEach(entry => entry.tracker && addService(entry.tracker, 'storage'));
+      fingerprinting.forEach(entry => entry.tracker && addService(entry.tracker, 'fingerprinting'));
 
       // Analyze violations
       if (problematicCookies.length > 0) {
         result.found = true;
         result.violations.push({
           type: 'pre-consent-cookies',
-          severity: 'HIGH',
-          message: `${problematicCookies.length} cookies nastavených pred súhlasom`,
+          // Unclassified cookies are only suspicious, statistics/marketing cookies are a clear breach
+          severity: trackingCookies.length > 0 ? 'HIGH' : 'MEDIUM',
+          ...text('violation.pre-consent-cookies', { count: problematicCookies.length }),
           details: problematicCookies.map(c => ({
             name: c.name,
             domain: c.domain,
             secure: c.secure,
-            httpOnly: c.httpOnly
+            httpOnly: c.httpOnly,
+            category: c.category,
+            vendor: c.vendor || null,
+            thirdParty: c.thirdParty,
+            lifetimeDays: c.lifetimeDays
           }))
         });
       }
@@ -406,16 +908,66 @@ class GDPRChecker {
         result.violations.push({
           type: 'tracking-requests',
           severity: 'HIGH',
-          message: `${trackingRequests.length} tracking požiadaviek pred súhlasom`,
+          ...text('violation.tracking-requests', { count: trackingRequests.length }),
           details: trackingRequests
         });
       }
 
+      if (pings.length > 0) {
+        result.found = true;
+        result.violations.push({
+          type: 'consent-mode-pings',
+          severity: 'MEDIUM',
+          ...text('violation.consent-mode-pings', { count: pings.length }),
+          details: pings
+        });
+      }
+
+      if (storageWrites.length > 0) {
+        result.found = true;
+        result.violations.push({
+          type: 'pre-consent-storage',
+          severity: 'HIGH',
+          ...text('violation.pre-consent-storage', { count: storageWrites.length }),
+          details: storageWrites.map(entry => ({
+            api: entry.api,
+            key: entry.key,
+            category: entry.category,
+            service: entry.tracker?.name || null,
+            script: entry.script
+          }))
+        });
+      }
+
+      if (fingerprinting.length > 0) {
+        result.found = true;
+        result.violations.push({
+          type: 'fingerprinting',
+          severity: 'HIGH',
+          ...text('violation.fingerprinting', { count: fingerprinting.length }),
+          details: fingerprinting.map(entry => ({
+            api: entry.api,
+            detail: entry.detail,
+            service: entry.tracker?.name || null,
+            script: entry.script
+          }))
+        });
+      }
+
       // Calculate score based on violations
       if (result.found) {
         let penalty = 0;
-        penalty += problematicCookies.length * 15;
-        penalty += trackingRequests.length * 10;
+        penalty += problematicCookies.reduce((sum, c) => sum + (
+          c.category === 'marketing' ? penalties.marketingCookie
+            : c.category === 'statistics' ? penalties.statisticsCookie
+              : penalties.otherCookie
+        ), 0);
+        penalty += trackingRequests.length * penalties.trackingRequest;
+        // Per service: a tag sends several pings per page view
+        penalty += new Set(pings.map(r => r.service)).size * (penalties.consentModePing ?? 0);
+        // Profiles written before device access was checked may not define these
+        penalty += storageWrites.length * (penalties.storageWrite ?? 0);
+        penalty += fingerprinting.length * (penalties.fingerprinting ?? 0);
         
         result.score = Math.max(0, 100 - penalty);
       }
@@ -429,41 +981,85 @@ class GDPRChecker {
     return result;
   }
 
-  async checkCookieBanner(page, $) {
-    const result = { found: false, elements: [], score: 0 };
+  async checkCookieBanner(page, $, options = {}) {
+    const result = { found: false, visible: false, elements: [], screenshots: null, score: 0 };
 
     try {
-      // Check for visible cookie banners
-      for (const selector of GDPR_CHECKS.cookieBanner.selectors) {
-        try {
-          const elements = $(selector);
-          if (elements.length > 0) {
-            elements.each((i, el) => {
+      // Measure candidates on the rendered page; the static HTML only says an element exists
+      try {
+        const visibility = await page.evaluate(
+          collectBannerVisibility, GDPR_CHECKS.cookieBanner.selectors, BANNER_MARKER
+        );
+        result.elements = visibility.elements;
+        result.viewport = visibility.viewport;
+      } catch (e) {
+        this.log('Error measuring banner visibility, falling back to static HTML:', e.message);
+        for (const selector of GDPR_CHECKS.cookieBanner.selectors) {
+          try {
+            $(selector).each((i, el) => {
               const text = $(el).text().toLowerCase();
               if (text.length > 10) {
-                result.found = true;
-                result.elements.push({
-                  selector,
-                  text: text.substring(0, 100),
-                  visible: true
-                });
+                result.elements.push({ selector, text: text.substring(0, 100), visible: null });
               }
             });
+          } catch (err) {
+            this.log(`Error checking selector ${selector}:`, err.message);
           }
-        } catch (e) {
-          this.log(`Error checking selector ${selector}:`, e.message);
         }
       }
 
-      // Check for keywords in body text
-      const bodyText = $('body').text().toLowerCase();
+      result.visible = result.elements.some(el => el.visible);
+      result.found = result.elements.some(el => el.visible !== false);
+      result.detection = result.visible ? 'visible' : result.found ? 'static' : null;
+
+      // Keywords only count when no candidate matched at all (banner in an iframe or shadow DOM);
+      // matched but hidden candidates mean the banner is not shown
+      const bodyText = result.elements.length === 0 ? $('body').text().toLowerCase() : '';
       for (const keyword of GDPR_CHECKS.cookieBanner.keywords) {
+        if (!bodyText) break;
         if (bodyText.includes(keyword.toLowerCase())) {
           result.found = true;
+          result.detection = 'keyword';
           break;
         }
       }
 
+      // Identify the consent management platform and read its TCF state
+      try {
+        const cookies = await page.cookies();
+        const signals = await page.evaluate(
+          collectCmpSignals, allSignatureGlobals(), allSignatureSelectors()
+        );
+        const candidates = detectCmp(signals, cookies.map(c => c.name));
+
+        result.cmp = {
+          detected: candidates.length > 0,
+          primary: candidates[0] ? { id: candidates[0].id, name: candidates[0].name, confidence: candidates[0].confidence } : null,
+          candidates,
+          tcfApi: signals.hasTcfApi
+        };
+        result.tcf = await this.readTcfData(page, cookies);
+
+        if (candidates.some(c => c.evidence.some(e => e.type === 'dom'))) {
+          result.found = true;
+          result.detection = result.detection || 'cmp';
+        }
+      } catch (e) {
+        this.log('Error detecting CMP:', e.message);
+      }
+
+      if (options.screenshots !== false) {
+        result.screenshots = {
+          viewport: await this.captureScreenshot(page),
+          banner: null
+        };
+        const bannerHandle = await page.$(`[${BANNER_MARKER}]`).catch(() => null);
+        if (bannerHandle) {
+          result.screenshots.banner = await this.captureScreenshot(bannerHandle);
+          await bannerHandle.dispose().catch(() => {});
+        }
+      }
+
       result.score = result.found ? 100 : 0;
     } catch (error) {
       this.log('Error in checkCookieBanner:', error.message);
@@ -473,19 +1069,433 @@ class GDPRChecker {
     return result;
   }
 
-  async checkPrivacyPolicy(page, $) {
-    const result = { found: false, links: [], score: 0 };
+  // JPEG data URL of the viewport (page) or of a single element (element handle); null on failure
+  async captureScreenshot(target) {
+    try {
+      const data = await target.screenshot({ type: 'jpeg', quality: SCREENSHOT_QUALITY, encoding: 'base64' });
+      return `data:image/jpeg;base64,${data}`;
+    } catch (error) {
+      this.log('Error taking screenshot:', error.message);
+      return null;
+    }
+  }
 
+  // Deceptive design checks on the live banner (EDPB Guidelines 03/2022); runs before any click
+  async checkBannerDesign(page, banner) {
+    const result = { found: false, analyzed: false, subChecks: [], score: null };
+    if (!banner?.found) return result;
+
+    const handles = [];
     try {
-      $('a').each((i, el) => {
-        const href = $(el).attr('href') || '';
-        const text = $(el).text().toLowerCase();
-        
-        for (const link of GDPR_CHECKS.privacyPolicy.links) {
-          if (href.toLowerCase().includes(link) || text.includes(link)) {
-            result.found = true;
-            result.links.push({
-              href,
+      const state = await page.evaluate(
+        collectBannerState,
+        [...GDPR_CHECKS.cookieBanner.selectors, ...allSignatureSelectors()],
+        IMPLICIT_CONSENT_PATTERNS.map(pattern => pattern.source),
+        NECESSARY_LABEL.source
+      );
+
+      const buttons = {};
+      for (const action of ['accept', 'reject']) {
+        const button = await this.findConsentButton(page, action);
+        if (!button) continue;
+        handles.push(button.handle);
+        buttons[action] = {
+          text: button.text,
+          frameUrl: button.frameUrl,
+          style: await button.handle.evaluate(collectButtonStyle)
+        };
+      }
+
+      // Without a visible banner or a button there is nothing to measure (e.g. a remembered choice)
+      if (!state.bannerVisible && !buttons.accept) {
+        Object.assign(result, text('bannerDesign.notVisible', {}, 'reason'));
+        return result;
+      }
+
+      Object.assign(result, evaluateBannerDesign({ state, accept: buttons.accept, reject: buttons.reject }));
+      result.found = result.subChecks.some(check => !check.passed);
+      result.buttons = buttons;
+    } catch (error) {
+      this.log('Error in checkBannerDesign:', error.message);
+      result.reason = error.message;
+      result.score = null;
+    } finally {
+      for (const handle of handles) await handle.dispose().catch(() => {});
+    }
+
+    return result;
+  }
+
+  // Reads the TC string through the IAB __tcfapi (or the euconsent-v2 cookie) and decodes it
+  async readTcfData(page, cookies = null) {
+    const result = {
+      available: false,
+      source: null,
+      tcString: null,
+      decoded: null
+    };
+
+    try {
+      const apiData = await page.evaluate(() => new Promise(resolve => {
+        if (typeof window.__tcfapi !== 'function') return resolve(null);
+
+        const timer = setTimeout(() => resolve({ timedOut: true }), 3000);
+        try {
+          window.__tcfapi('getTCData', 2, (tcData, success) => {
+            clearTimeout(timer);
+            if (!success || !tcData) return resolve({ success: false });
+            resolve({
+              tcString: tcData.tcString || null,
+              gdprApplies: tcData.gdprApplies,
+              cmpId: tcData.cmpId,
+              cmpVersion: tcData.cmpVersion,
+              cmpStatus: tcData.cmpStatus,
+              eventStatus: tcData.eventStatus
+            });
+          });
+        } catch (e) {
+          clearTimeout(timer);
+          resolve({ error: e.message });
+        }
+      }));
+
+      if (apiData) {
+        result.available = true;
+        result.source = 'tcfapi';
+        Object.assign(result, apiData);
+      }
+
+      if (!result.tcString) {
+        const allCookies = cookies || await page.cookies();
+        const consentCookie = allCookies.find(c => c.name === 'euconsent-v2');
+        if (consentCookie?.value) {
+          result.source = result.source || 'cookie';
+          result.tcString = consentCookie.value;
+        }
+      }
+
+      if (result.tcString) {
+        try {
+          result.decoded = decodeTCString(result.tcString);
+        } catch (e) {
+          result.decodeError = e.message;
+        }
+      }
+    } catch (error) {
+      this.log('Error reading TCF data:', error.message);
+      result.error = error.message;
+    }
+
+    return result;
+  }
+
+  // Finds a visible accept-all or reject-all button in the page or any of its frames
+  async findConsentButton(page, action) {
+    const config = GDPR_CHECKS.cookieBanner;
+    const labels = action === 'accept' ? config.acceptLabels : config.rejectLabels;
+    const excludeLabels = action === 'accept' ? config.rejectLabels : config.acceptLabels;
+    const selectors = action === 'accept' ? config.acceptSelectors : config.rejectSelectors;
+
+    for (const frame of page.frames()) {
+      try {
+        const found = await frame.evaluate((selectors, maxLength) => {
+          const isVisible = (el) => {
+            const rect = el.getBoundingClientRect();
+            const style = window.getComputedStyle(el);
+            return rect.width > 0 && rect.height > 0 &&
+              style.visibility !== 'hidden' && style.display !== 'none' && parseFloat(style.opacity) > 0;
+          };
+
+          for (const el of document.querySelectorAll('[data-gdpr-checker-candidate]')) {
+            delete el.dataset.gdprCheckerCandidate;
+          }
+
+          for (const selector of selectors) {
+            try {
+              const el = document.querySelector(selector);
+              if (el && isVisible(el)) {
+                el.dataset.gdprCheckerMatch = selector;
+                el.dataset.gdprCheckerCandidate = 'selector';
+                return { selector };
+              }
+            } catch {}
+          }
+
+          const candidates = [];
+          const elements = document.querySelectorAll(
+            'button, a, [role="button"], input[type="button"], input[type="submit"]'
+          );
+          elements.forEach((el, index) => {
+            const text = (el.innerText || el.value || el.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim();
+            if (!text || text.length > maxLength || !isVisible(el)) return;
+            el.dataset.gdprCheckerCandidate = String(index);
+            candidates.push({ index, text });
+          });
+          return { candidates };
+        }, selectors, MAX_BUTTON_TEXT_LENGTH);
+
+        const index = found.selector ? 'selector' : pickButton(found.candidates, labels, excludeLabels);
+        if (index === null) continue;
+
+        const element = await frame.$(`[data-gdpr-checker-candidate="${index}"]`);
+        if (!element) continue;
+        if (index !== 'selector') await element.evaluate(el => { el.dataset.gdprCheckerMatch = 'text'; });
+
+        const info = await element.evaluate(el => ({
+          text: (el.innerText || el.value || el.getAttribute('aria-label') || '').replace(/\s+/g, ' ').trim(),
+          match: el.dataset.gdprCheckerMatch
+        }));
+
+        return {
+          handle: element,
+          text: info.text.substring(0, 100),
+          selector: info.match === 'text' ? null : info.match,
+          frameUrl: frame === page.mainFrame() ? null : frame.url()
+        };
+      } catch (e) {
+        this.log(`Error searching ${action} button in frame ${frame.url()}:`, e.message);
+      }
+    }
+
+    return null;
+  }
+
+  // Loads the URL in a fresh context of the scan's browser (options.lease), clicks the accept
+  // or reject button and records what the page does afterwards
+  async runConsentScenario(url, action, options = {}) {
+    const scenario = {
+      action,
+      clicked: false,
+      button: null,
+      cookies: [],
+      newCookies: [],
+      trackingRequests: [],
+      trackingServices: []
+    };
+
+    let context = null;
+    try {
+      context = await options.lease.newContext();
+      const page = await context.newPage();
+      await this.preparePage(page);
+
+      const networkRequests = [];
+      page.on('request', (req) => {
+        networkRequests.push({
+          url: req.url(),
+          type: req.resourceType(),
+          initiator: summarizeInitiator(req.initiator()),
+          timestamp: Date.now()
+        });
+      });
+
+      await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 60000 });
+      await this.waitForDelay(page, 3000);
+
+      const cookiesBefore = await this.getAllCookies(page);
+      const layerBefore = await this.getConsentCommands(page);
+      const button = await this.findConsentButton(page, action);
+      if (!button) {
+        this.log(`No ${action} button found`);
+        return scenario;
+      }
+
+      scenario.button = {
+        text: button.text,
+        selector: button.selector,
+        frameUrl: button.frameUrl
+      };
+
+      const clickTime = Date.now();
+      try {
+        await button.handle.click();
+      } catch (e) {
+        this.log(`Native click on ${action} button failed, using DOM click:`, e.message);
+        await button.handle.evaluate(el => el.click());
+      }
+      scenario.clicked = true;
+      this.log(`Clicked ${action} button: "${button.text}"`);
+
+      // Sites often reload or inject tags right after the consent decision
+      await this.waitForDelay(page, 4000);
+      if (options.screenshots !== false) scenario.screenshot = await this.captureScreenshot(page);
+
+      const cookiesAfter = await this.getAllCookies(page);
+      const namesBefore = new Set(cookiesBefore.map(c => `${c.name}@${c.domain}`));
+
+      scenario.cookies = cookieClassifier.classifyAll(cookiesAfter, url).map(c => ({
+        name: c.name,
+        domain: c.domain,
+        category: c.category,
+        essential: this.isEssentialCookie(c)
+      }));
+      scenario.newCookies = scenario.cookies
+        .filter(c => !namesBefore.has(`${c.name}@${c.domain}`))
+        .map(c => c.name);
+
+      const afterClick = networkRequests.filter(r => r.timestamp >= clickTime);
+      const tracking = this.detectTrackingRequests(afterClick);
+
+      // One URL per host is enough to resolve the vendor for the transfer map
+      const urlsByHost = new Map();
+      for (const request of afterClick) {
+        try {
+          const parsed = new URL(request.url);
+          if (!urlsByHost.has(parsed.hostname)) urlsByHost.set(parsed.hostname, `${parsed.origin}${parsed.pathname}`);
+        } catch {}
+      }
+      scenario.requestUrls = [...urlsByHost.values()];
+      scenario.trackingRequests = tracking.requests;
+      scenario.trackingServices = tracking.services;
+
+      // Commands pushed since the click; a reload after the decision starts a new dataLayer
+      const layerAfter = await this.getConsentCommands(page);
+      const offset = layerBefore && layerAfter && layerAfter.length >= layerBefore.length ? layerBefore.length : 0;
+      scenario.googleConsent = {
+        updates: (layerAfter?.commands || []).filter(c => c.command === 'update' && c.index >= offset),
+        hits: summarizeHits(afterClick.map(r => parseGoogleHit(r.url)).filter(Boolean))
+      };
+
+      const tcf = await this.readTcfData(page, cookiesAfter);
+      scenario.tcf = tcf.available || tcf.tcString ? tcf : null;
+    } catch (error) {
+      this.log(`Error in ${action} scenario:`, error.message);
+      scenario.error = error.message;
+    } finally {
+      if (context) await context.close().catch(() => {});
+    }
+
+    return scenario;
+  }
+
+  async checkConsentInteraction(url, options = {}) {
+    const result = {
+      tested: false,
+      found: false,
+      violations: [],
+      accept: null,
+      reject: null,
+      comparison: null,
+      score: null
+    };
+    const penalties = options.penalties || scoringProfiles.get().penalties.consentInteraction;
+
+    try {
+      result.accept = await this.runConsentScenario(url, 'accept', options);
+      result.reject = await this.runConsentScenario(url, 'reject', options);
+      result.tested = result.accept.clicked || result.reject.clicked;
+
+      if (!result.tested) {
+        this.log('Consent interaction result: no consent buttons found');
+        return result;
+      }
+
+      const acceptCookies = new Set(result.accept.cookies.map(c => c.name));
+      const rejectCookies = new Set(result.reject.cookies.map(c => c.name));
+      const rejectServices = new Set(result.reject.trackingServices.map(s => s.name));
+
+      result.comparison = {
+        cookiesOnlyAfterAccept: [...acceptCookies].filter(name => !rejectCookies.has(name)),
+        cookiesAfterReject: [...rejectCookies],
+        servicesOnlyAfterAccept: result.accept.trackingServices
+          .map(s => s.name)
+          .filter(name => !rejectServices.has(name)),
+        servicesAfterReject: [...rejectServices]
+      };
+
+      let penalty = 0;
+
+      if (!result.reject.clicked) {
+        result.found = true;
+        result.violations.push({
+          type: 'no-reject-button',
+          severity: 'MEDIUM',
+          ...text('violation.no-reject-button'),
+          details: []
+        });
+        penalty += penalties.noRejectButton;
+      } else {
+        const cookiesAfterReject = result.reject.cookies.filter(c => !c.essential);
+        if (cookiesAfterReject.length > 0) {
+          result.found = true;
+          result.violations.push({
+            type: 'cookies-after-reject',
+            severity: 'HIGH',
+            ...text('violation.cookies-after-reject', { count: cookiesAfterReject.length }),
+            details: cookiesAfterReject
+          });
+          penalty += cookiesAfterReject.length * penalties.cookieAfterReject;
+        }
+
+        // Cookieless Consent Mode pings after a rejection are expected when storage is denied by default
+        const pingsAfterReject = options.consentMode?.deniedByDefault
+          ? result.reject.trackingRequests.filter(r => r.consentMode?.cookieless)
+          : [];
+        const trackingAfterReject = result.reject.trackingRequests.filter(r => !pingsAfterReject.includes(r));
+
+        if (trackingAfterReject.length > 0) {
+          result.found = true;
+          result.violations.push({
+            type: 'tracking-after-reject',
+            severity: 'HIGH',
+            ...text('violation.tracking-after-reject', { count: trackingAfterReject.length }),
+            details: trackingAfterReject
+          });
+          penalty += new Set(trackingAfterReject.map(r => r.service)).size * penalties.trackerAfterReject;
+        }
+
+        if (pingsAfterReject.length > 0) {
+          result.found = true;
+          result.violations.push({
+            type: 'consent-mode-pings',
+            severity: 'MEDIUM',
+            ...text('violation.consent-mode-pings', { count: pingsAfterReject.length }),
+            details: pingsAfterReject
+          });
+          penalty += new Set(pingsAfterReject.map(r => r.service)).size * (penalties.consentModePing ?? 0);
+        }
+
+        // After "reject all" the TC string must not carry any purpose consent
+        const tcfConsents = result.reject.tcf?.decoded?.purposeConsents || [];
+        if (tcfConsents.length > 0) {
+          result.found = true;
+          result.violations.push({
+            type: 'tcf-consent-after-reject',
+            severity: 'MEDIUM',
+            ...text('violation.tcf-consent-after-reject', { count: tcfConsents.length }),
+            details: result.reject.tcf.decoded.purposes.filter(p => p.consent)
+          });
+          penalty += penalties.tcfConsentAfterReject;
+        }
+      }
+
+      result.score = Math.max(0, 100 - penalty);
+      this.log('Consent interaction result:', {
+        score: result.score,
+        violations: result.violations.length
+      });
+    } catch (error) {
+      this.log('Error in checkConsentInteraction:', error.message);
+      result.score = 50;
+    }
+
+    return result;
+  }
+
+  // The scan's browser lease renders JS-only policy pages; static scans pass null and rely on plain HTTP
+  async checkPrivacyPolicy($, pageUrl, lease = null) {
+    const result = { found: false, links: [], score: 0 };
+
+    try {
+      $('a').each((i, el) => {
+        const href = $(el).attr('href') || '';
+        const text = $(el).text().toLowerCase();
+        
+        for (const link of GDPR_CHECKS.privacyPolicy.links) {
+          if (href.toLowerCase().includes(link) || text.includes(link)) {
+            result.found = true;
+            result.links.push({
+              href,
               text: $(el).text().trim(),
               type: 'privacy-policy'
             });
@@ -494,7 +1504,18 @@ class GDPRChecker {
         }
       });
 
-      result.score = result.found ? 100 : 0;
+      if (result.found) {
+        result.analysis = await this.analyzePrivacyPolicy(result.links, pageUrl, lease);
+      }
+
+      // Having a link is worth 40 points, the rest depends on the Art. 13/14 disclosures it contains
+      if (!result.found) {
+        result.score = 0;
+      } else if (result.analysis.analyzed) {
+        result.score = 40 + Math.round(result.analysis.coverage * 0.6);
+      } else {
+        result.score = 100;
+      }
     } catch (error) {
       this.log('Error in checkPrivacyPolicy:', error.message);
       result.score = 0;
@@ -503,7 +1524,119 @@ class GDPRChecker {
     return result;
   }
 
-  async checkCookiePolicy(page, $) {
+  // "#" or the current page itself (anchor text "GDPR", "cookies") is not a policy document; PDFs are skipped by normalizeUrl
+  policyCandidates(links, baseUrl) {
+    const currentPage = normalizeUrl(baseUrl, baseUrl);
+    return [...new Set(links
+      .map(link => normalizeUrl(link.href, baseUrl))
+      .filter(url => url && url !== currentPage))]
+      .slice(0, 3);
+  }
+
+  // Follows the discovered policy link and checks the text for the Art. 13/14 mandatory disclosures
+  async analyzePrivacyPolicy(links, pageUrl, lease = null) {
+    const candidates = this.policyCandidates(links, pageUrl);
+
+    if (candidates.length === 0) {
+      return { analyzed: false, ...text('privacyPolicy.notHtml', {}, 'reason') };
+    }
+
+    let lastError = { reason: null };
+    for (const url of candidates) {
+      try {
+        let source = 'http';
+        let policyText = '';
+        try {
+          policyText = extractPolicyText(await fetchPolicyHtml(url));
+        } catch (error) {
+          this.log(`Policy fetch failed for ${url}:`, error.message);
+        }
+
+        // JS-rendered policies come back (almost) empty over plain HTTP
+        if (policyText.length < MIN_POLICY_TEXT_LENGTH && lease) {
+          source = 'browser';
+          policyText = extractPolicyText(await this.loadPageHtmlInBrowser(url, lease));
+        }
+
+        if (policyText.length < MIN_POLICY_TEXT_LENGTH) {
+          lastError = text('privacyPolicy.tooShort', {}, 'reason');
+          continue;
+        }
+
+        this.log(`Privacy policy text loaded from ${url} (${source}, ${policyText.length} chars)`);
+        return { analyzed: true, url, source, ...analyzePolicyText(policyText) };
+      } catch (error) {
+        this.log(`Policy analysis failed for ${url}:`, error.message);
+        lastError = { reason: error.message };
+      }
+    }
+
+    return { analyzed: false, ...lastError };
+  }
+
+  // Separate context of the leased browser so the policy page can't add cookies to the scanned session
+  async loadPageHtmlInBrowser(url, lease) {
+    const context = await lease.newContext();
+    try {
+      const page = await context.newPage();
+      await this.preparePage(page);
+      await page.goto(url, { waitUntil: 'networkidle2', timeout: 30000 });
+      return await page.content();
+    } finally {
+      await context.close().catch(() => {});
+    }
+  }
+
+  // Reads the declared cookies from the cookie policy and compares them with the cookies observed on the site
+  async analyzeCookiePolicy(links, observedCookies, pageUrl, lease = null) {
+    const candidates = this.policyCandidates(links, pageUrl);
+    if (candidates.length === 0) {
+      return { analyzed: false, ...text('cookiePolicy.notHtml', {}, 'reason') };
+    }
+
+    let lastError = { reason: null };
+    for (const url of candidates) {
+      try {
+        let source = 'http';
+        let html = '';
+        try {
+          html = await fetchPolicyHtml(url);
+        } catch (error) {
+          this.log(`Cookie policy fetch failed for ${url}:`, error.message);
+        }
+
+        // Cookiebot and OneTrust inject their declaration tables with JavaScript
+        let declared = html ? parseCookieDeclaration(html) : [];
+        if (declared.length === 0 && lease) {
+          source = 'browser';
+          html = await this.loadPageHtmlInBrowser(url, lease);
+          declared = parseCookieDeclaration(html);
+        }
+
+        const policyText = extractPolicyText(html);
+        if (declared.length === 0 && policyText.length < MIN_POLICY_TEXT_LENGTH) {
+          lastError = text('cookiePolicy.noDeclaration', {}, 'reason');
+          continue;
+        }
+
+        this.log(`Cookie policy loaded from ${url} (${source}, ${declared.length} declared cookies)`);
+        return {
+          analyzed: true,
+          url,
+          source,
+          declared,
+          ...compareDeclaredCookies(declared, observedCookies, policyText)
+        };
+      } catch (error) {
+        this.log(`Cookie policy analysis failed for ${url}:`, error.message);
+        lastError = { reason: error.message };
+      }
+    }
+
+    return { analyzed: false, ...lastError };
+  }
+
+  async checkCookiePolicy($, pageUrl, lease = null, observedCookies = [], penalties = scoringProfiles.get().penalties.cookiePolicy) {
     const result = { found: false, links: [], score: 0 };
 
     try {
@@ -524,7 +1657,17 @@ class GDPRChecker {
         }
       });
 
-      result.score = result.found ? 80 : 0;
+      if (result.found) {
+        result.declaration = await this.analyzeCookiePolicy(result.links, observedCookies, pageUrl, lease);
+      }
+
+      if (!result.found) {
+        result.score = 0;
+      } else if (result.declaration.analyzed) {
+        result.score = Math.max(penalties.minScore, 100 - result.declaration.undeclared.length * penalties.undeclaredCookie);
+      } else {
+        result.score = 80;
+      }
     } catch (error) {
       this.log('Error in checkCookiePolicy:', error.message);
       result.score = 0;
@@ -533,7 +1676,7 @@ class GDPRChecker {
     return result;
   }
 
-  async checkContactInfo(page, $) {
+  checkContactInfo($) {
     const result = { found: false, contacts: [], score: 0 };
 
     try {
@@ -574,179 +1717,344 @@ class GDPRChecker {
     return result;
   }
 
-  async checkSSL(url) {
-      const result = { valid: false, details: '' };
+  // Forms collecting personal data and third-party form/chat widgets loaded by the page
+  checkForms($, pageUrl, networkRequests = [], penalties = scoringProfiles.get().penalties.forms) {
+    try {
+      const widgets = new Map();
+      for (const request of networkRequests) {
+        const tracker = trackerDb.matchUrl(request.url);
+        if (tracker && FORM_WIDGET_CATEGORIES.includes(tracker.category) && !widgets.has(tracker.id)) {
+          widgets.set(tracker.id, { id: tracker.id, name: tracker.name, vendor: tracker.vendor, category: tracker.category });
+        }
+      }
+      return summarizeForms(analyzeForms($, pageUrl), [...widgets.values()], penalties);
+    } catch (error) {
+      this.log('Error in checkForms:', error.message);
+      return { found: false, forms: [], widgets: [], summary: null, error: error.message, score: null };
+    }
+  }
 
-      try {
-        const parsedUrl = new URL(url);
-        if (parsedUrl.protocol !== 'https:') {
-          result.details = 'Stránka nepoužíva HTTPS protokol.';
-          return result;
-        }
-
-        const tls = require('tls');
-        const net = require('net');
-
-        const host = parsedUrl.hostname;
-        const port = 443;
-
-        return new Promise((resolve) => {
-          const socket = tls.connect(
-            {
-              host,
-              port,
-              servername: host,
-              rejectUnauthorized: false,
-            },
-            () => {
-              const cert = socket.getPeerCertificate();
-              const valid = socket.authorized || cert.valid_to;
-
-              if (cert && cert.valid_to) {
-                const now = new Date();
-                const expiry = new Date(cert.valid_to);
-                result.valid = expiry > now;
-                result.details = result.valid
-                  ? `Platný do ${expiry.toLocaleDateString()}`
-                  : `Certifikát expiroval ${expiry.toLocaleDateString()}`;
-              } else {
-                result.details = 'Certifikát nebol nájdený alebo je neplatný.';
-              }
+  // Transport security (Art. 32): certificate, TLS versions, HTTP->HTTPS redirect, HSTS, mixed content
+  async checkSSL(url, headers = {}, networkRequests = []) {
+    const result = { valid: false, details: '', subChecks: [], score: 0 };
+    const setDetails = (id, params) => Object.assign(result, text(id, params, 'details'));
 
-              socket.end();
-              resolve(result);
-            }
-          );
+    try {
+      const parsedUrl = new URL(url);
+      const https = parsedUrl.protocol === 'https:';
+      const host = parsedUrl.hostname;
+      const port = parsedUrl.port ? parseInt(parsedUrl.port, 10) : 443;
 
-          socket.on('error', (err) => {
-            result.details = `Chyba pri kontrole SSL: ${err.message}`;
-            resolve(result);
-          });
-        });
-      } catch (err) {
-        result.details = `Výnimka pri kontrole SSL: ${err.message}`;
-        return result;
+      if (https) {
+        try {
+          result.certificate = await inspectCertificate(host, port);
+        } catch (e) {
+          this.log('Error inspecting certificate:', e.message);
+          result.certificate = null;
+          setDetails('ssl.error', { error: e.message });
+        }
+        try {
+          result.protocols = await probeProtocols(host, port);
+        } catch (e) {
+          this.log('Error probing TLS versions:', e.message);
+        }
+        try {
+          result.redirect = await checkHttpsRedirect(parsedUrl.host);
+        } catch (e) {
+          this.log('Error checking HTTP redirect:', e.message);
+        }
+      }
+
+      const hsts = analyzeSecurityHeaders(headers).hsts;
+      result.hsts = hsts;
+      result.mixedContent = findMixedContent(url, networkRequests);
+      Object.assign(result, evaluateTransport({
+        https,
+        certificate: result.certificate,
+        protocols: result.protocols,
+        redirect: result.redirect,
+        hsts,
+        mixedContent: result.mixedContent
+      }));
+
+      const cert = result.certificate;
+      result.valid = !!(https && cert?.present && cert.chainValid && cert.hostnameMatch && !cert.expired);
+      if (!https) {
+        setDetails('transport.https.missing');
+      } else if (cert?.present) {
+        const certificateCheck = result.subChecks.find(check => check.id === 'certificate');
+        setDetails(certificateCheck.detailsId, certificateCheck.detailsParams);
+      } else if (!result.details) {
+        setDetails('ssl.noCertificate');
       }
+    } catch (err) {
+      this.log('Error in checkSSL:', err.message);
+      setDetails('ssl.error', { error: err.message });
+      result.score = 0;
     }
 
+    return result;
+  }
+
+  // Security headers of the main document response
+  checkSecurityHeaders(headers = {}) {
+    const result = { headers: null, subChecks: [], score: 0 };
+
+    try {
+      result.headers = analyzeSecurityHeaders(headers);
+      Object.assign(result, evaluateSecurityHeaders(result.headers));
+    } catch (error) {
+      this.log('Error in checkSecurityHeaders:', error.message);
+      result.score = 0;
+    }
+
+    return result;
+  }
+
+  async checkCookies(page, url, penalties = scoringProfiles.get().penalties.cookies) {
+    try {
+      return this.evaluateCookies(cookieClassifier.classifyAll(await this.getAllCookies(page), url), penalties);
+    } catch (error) {
+      this.log('Error in checkCookies:', error.message);
+      return { count: 0, cookies: [], summary: null, score: 50 };
+    }
+  }
 
-  async checkCookies(page) {
-    const result = { count: 0, cookies: [], score: 0 };
+  evaluateCookies(cookies, penalties = scoringProfiles.get().penalties.cookies) {
+    const result = { count: 0, cookies: [], summary: null, score: 0 };
 
     try {
-      const cookies = await page.cookies();
       result.count = cookies.length;
-      result.cookies = cookies.map(c => ({
-        name: c.name,
-        domain: c.domain,
-        secure: c.secure || false,
-        httpOnly: c.httpOnly || false,
-        sameSite: c.sameSite || 'none'
-      }));
+      result.cookies = cookies;
+      result.summary = summarizeCookies(cookies);
+
+      // Score by purpose rather than raw count: tracking cookies, long lifetimes and third parties cost points
+      let penalty = 0;
+      for (const cookie of cookies) {
+        if (['marketing', 'statistics', 'unknown'].includes(cookie.category)) penalty += penalties[cookie.category];
+
+        if (cookie.excessiveLifetime) penalty += penalties.excessiveLifetime;
+        if (cookie.thirdParty) penalty += penalties.thirdParty;
+      }
+
+      result.score = Math.max(0, Math.min(100, Math.round(100 - penalty)));
+    } catch (error) {
+      this.log('Error in evaluateCookies:', error.message);
+      result.score = 50;
+    }
+
+    return result;
+  }
+
+  // Checks that could not run (e.g. no consent buttons to click) are left out of the weighted average
+  calculateScore(checks, profile = scoringProfiles.get()) {
+    return weightedScore(checks, profile.weights);
+  }
+
+  // Mandatory checks fail the scan regardless of the score; the profile is stored so the score can be reproduced
+  evaluateProfile(checks, profile = scoringProfiles.get()) {
+    const mandatoryFailures = evaluateMandatory(checks, profile.mandatory);
+    return {
+      profile: describeProfile(profile),
+      passed: mandatoryFailures.length === 0,
+      mandatoryFailures
+    };
+  }
+
+  generateRecommendations(checks) {
+    const recommendations = [];
+    const add = (priority, id, params) => recommendations.push({ priority, ...text(id, params) });
+    // Long lists are cut in the message; the full list stays in the check result
+    const truncate = (items, limit) => (items.length > limit ? [...items.slice(0, limit), '…'] : items);
+
+    try {
+      // Pre-consent violations (highest priority)
+      if (checks.preConsentViolations?.found) {
+        for (const violation of checks.preConsentViolations.violations) {
+          if (violation.type === 'pre-consent-cookies') {
+            add('CRITICAL', 'recommendation.pre-consent-cookies', { count: violation.details.length });
+          }
+          
+          if (violation.type === 'tracking-requests') {
+            add('CRITICAL', 'recommendation.tracking-requests');
+          }
+
+          if (violation.type === 'pre-consent-storage') {
+            add('CRITICAL', 'recommendation.pre-consent-storage', {
+              count: violation.details.length,
+              keys: truncate(violation.details.map(d => `${d.api}: ${d.key}`), 10)
+            });
+          }
+
+          if (violation.type === 'fingerprinting') {
+            add('CRITICAL', 'recommendation.fingerprinting', {
+              apis: [...new Set(violation.details.map(d => d.api))],
+              scripts: truncate([...new Set(violation.details.map(d => d.service || d.script || '?'))], 5)
+            });
+          }
+        }
+      }
+
+      // Tags fired by a GTM container are fixed in the container's triggers, not in the page code
+      for (const container of checks.attribution?.containers || []) {
+        if (container.type === 'gtm' && container.loaded && container.tags.length > 0) {
+          add('HIGH', 'recommendation.tagManager', { container: container.id, tags: container.tags.map(tag => tag.service) });
+        }
+      }
+
+      if (checks.consentInteraction?.found) {
+        for (const violation of checks.consentInteraction.violations) {
+          if (violation.type === 'tracking-after-reject') {
+            add('CRITICAL', 'recommendation.tracking-after-reject', { services: [...new Set(violation.details.map(d => d.service))] });
+          }
+
+          if (violation.type === 'cookies-after-reject') {
+            add('CRITICAL', 'recommendation.cookies-after-reject', {
+              count: violation.details.length,
+              cookies: violation.details.map(c => c.name)
+            });
+          }
+
+          if (violation.type === 'tcf-consent-after-reject') {
+            add('HIGH', 'recommendation.tcf-consent-after-reject', { purposes: violation.details.map(p => p.id) });
+          }
+
+          if (violation.type === 'no-reject-button') {
+            add('HIGH', 'recommendation.no-reject-button');
+          }
+        }
+      }
 
-      // Score based on cookie count
-      if (cookies.length === 0) {
-        result.score = 100;
-      } else if (cookies.length <= 3) {
-        result.score = 80;
-      } else if (cookies.length <= 10) {
-        result.score = 60;
-      } else {
-        result.score = 30;
+      // Pings before consent and after rejection call for the same fix, so one recommendation covers both
+      const pingViolations = [...(checks.preConsentViolations?.violations || []), ...(checks.consentInteraction?.violations || [])]
+        .filter(violation => violation.type === 'consent-mode-pings');
+      if (pingViolations.length > 0) {
+        add('MEDIUM', 'recommendation.consent-mode-pings', {
+          services: [...new Set(pingViolations.flatMap(violation => violation.details.map(d => d.service)))]
+        });
       }
 
-      result.score = Math.min(100, Math.round(result.score));
-    } catch (error) {
-      this.log('Error in checkCookies:', error.message);
-      result.score = 50;
-    }
+      for (const issue of checks.consentMode?.issues || []) {
+        add(issue.severity, `recommendation.consentMode.${issue.type}`, issue.params);
+      }
 
-    return result;
-  }
+      // Static scans do not evaluate the banner at all
+      if (checks.cookieBanner && !checks.cookieBanner.found) {
+        add('HIGH', 'recommendation.cookieBanner');
+      }
 
-  calculateScore(checks) {
-    const weights = {
-      cookieBanner: 0.2,
-      privacyPolicy: 0.2,
-      cookiePolicy: 0.15,
-      contactInfo: 0.1,
-      cookies: 0.1,
-      preConsentViolations: 0.25
-    };
+      const rejectMissing = checks.consentInteraction?.violations?.some(v => v.type === 'no-reject-button');
+      for (const check of checks.bannerDesign?.subChecks || []) {
+        if (check.passed || (check.id === 'reject-first-layer' && rejectMissing)) continue;
+        add(check.severity, `recommendation.bannerDesign.${check.id}`, { details: ref(check, 'details') });
+      }
 
-    let totalScore = 0;
-    for (const [key, weight] of Object.entries(weights)) {
-      if (checks[key] && typeof checks[key].score === 'number') {
-        totalScore += checks[key].score * weight;
+      for (const check of checks.ssl?.subChecks || []) {
+        if (check.passed) continue;
+        add(check.severity, `recommendation.transport.${check.id}`, { details: ref(check, 'details') });
       }
-    }
 
-    return Math.round(totalScore);
-  }
+      const missingHeaders = (checks.securityHeaders?.subChecks || []).filter(check => !check.passed);
+      if (missingHeaders.length > 0) {
+        add('LOW', 'recommendation.securityHeaders', { headers: missingHeaders.map(check => ref(check, 'label')) });
+      }
 
-  generateRecommendations(checks) {
-    const recommendations = [];
+      if (!checks.privacyPolicy?.found) {
+        add('HIGH', 'recommendation.privacyPolicy');
+      }
 
-    try {
-      // Pre-consent violations (highest priority)
-      if (checks.preConsentViolations?.found) {
-        for (const violation of checks.preConsentViolations.violations) {
-          if (violation.type === 'pre-consent-cookies') {
-            recommendations.push({
-              priority: 'CRITICAL',
-              message: `KRITICKÉ: ${violation.details.length} cookies sa nastavuje pred súhlasom používateľa. Toto je závažné porušenie GDPR!`
-            });
-          }
-          
-          if (violation.type === 'tracking-requests') {
-            recommendations.push({
-              priority: 'CRITICAL',
-              message: `KRITICKÉ: Tracking služby sa spúšťajú automaticky bez súhlasu!`
-            });
-          }
+      const policyAnalysis = checks.privacyPolicy?.analysis;
+      if (policyAnalysis?.analyzed) {
+        const missing = policyAnalysis.items.filter(item => !item.found);
+        const required = missing.filter(item => !item.conditional);
+        const conditional = missing.filter(item => item.conditional);
+
+        // Labels as message references, so they follow the language of the recommendation
+        if (required.length > 0) {
+          add('HIGH', 'recommendation.privacyPolicy.required', { items: required.map(item => ref(item, 'label')) });
+        }
+        if (conditional.length > 0) {
+          add('LOW', 'recommendation.privacyPolicy.conditional', { items: conditional.map(item => ref(item, 'label')) });
+        }
+      } else if (checks.privacyPolicy?.found && policyAnalysis) {
+        if (policyAnalysis.reason) {
+          add('LOW', 'recommendation.privacyPolicy.unverifiedReason', { reason: ref(policyAnalysis, 'reason') });
+        } else {
+          add('LOW', 'recommendation.privacyPolicy.unverified');
         }
       }
 
-      if (!checks.cookieBanner?.found) {
-        recommendations.push({
-          priority: 'HIGH',
-          message: 'Pridajte cookie banner s možnosťou súhlasu/odmietnutia cookies'
+      const declaration = checks.cookiePolicy?.declaration;
+      if (declaration?.analyzed && declaration.undeclared.length > 0) {
+        add('MEDIUM', 'recommendation.cookiePolicy.undeclared', {
+          count: declaration.undeclared.length,
+          cookies: declaration.undeclared.map(c => c.name)
+        });
+      }
+      if (declaration?.analyzed && declaration.notObserved.length > 0) {
+        add('LOW', 'recommendation.cookiePolicy.notObserved', {
+          count: declaration.notObserved.length,
+          cookies: truncate(declaration.notObserved, 15)
         });
       }
 
-      if (!checks.privacyPolicy?.found) {
-        recommendations.push({
-          priority: 'HIGH',
-          message: 'Vytvorte a zverejnite zásady ochrany osobných údajov'
+      const transferVendors = checks.transfers?.vendors || [];
+      const contractual = transferVendors.filter(v => v.safeguard === 'contractual');
+      if (contractual.length > 0) {
+        add('MEDIUM', 'recommendation.transfers.contractual', {
+          vendors: contractual.map(v => `${v.vendor} (${v.thirdCountries.join(', ')})`)
+        });
+      }
+      const unknownVendors = transferVendors.filter(v => v.safeguard === 'unknown');
+      if (unknownVendors.length > 0) {
+        add('LOW', 'recommendation.transfers.unknown', {
+          count: unknownVendors.length,
+          domains: truncate(unknownVendors.map(v => v.domain), 10)
         });
       }
 
       if (!checks.cookiePolicy?.found) {
-        recommendations.push({
-          priority: 'MEDIUM',
-          message: 'Pridajte zásady používania cookies'
-        });
+        add('MEDIUM', 'recommendation.cookiePolicy');
       }
 
       if (!checks.contactInfo?.found) {
-        recommendations.push({
-          priority: 'MEDIUM',
-          message: 'Zverejnite kontaktné údaje správcu údajov'
+        add('MEDIUM', 'recommendation.contactInfo');
+      }
+
+      const formIssues = (checks.forms?.forms || []).flatMap(form => form.issues.map(issue => ({ ...issue, form })));
+      for (const [type, priority] of [
+        ['insecure-submission', 'HIGH'],
+        ['pre-ticked-consent', 'HIGH'],
+        ['no-privacy-notice', 'MEDIUM']
+      ]) {
+        const affected = formIssues.filter(issue => issue.type === type);
+        if (affected.length === 0) continue;
+        add(priority, `recommendation.forms.${type}`, {
+          count: affected.length,
+          pages: truncate([...new Set(affected.map(issue => issue.form.page))], 3)
         });
       }
+      if (checks.forms?.widgets?.length > 0) {
+        add('LOW', 'recommendation.forms.widgets', { widgets: checks.forms.widgets.map(w => w.name) });
+      }
 
-      if (checks.cookies?.count > 10) {
-        recommendations.push({
-          priority: 'MEDIUM',
-          message: 'Zvážte zníženie počtu cookies na minimum potrebné'
+      if (checks.cookies?.summary?.excessiveLifetime?.length > 0) {
+        add('MEDIUM', 'recommendation.cookies.lifetime', {
+          cookies: checks.cookies.summary.excessiveLifetime,
+          days: MAX_LIFETIME_DAYS
         });
       }
+
+      if (checks.cookies?.summary?.byCategory?.unknown > 0) {
+        add('LOW', 'recommendation.cookies.unknown', { count: checks.cookies.summary.byCategory.unknown });
+      }
+
+      if (checks.cookies?.count > 10) {
+        add('MEDIUM', 'recommendation.cookies.count');
+      }
     } catch (error) {
       this.log('Error generating recommendations:', error.message);
-      recommendations.push({
-        priority: 'ERROR',
-        message: 'Chyba pri generovaní odporúčaní'
-      });
+      add('ERROR', 'recommendation.error');
     }
 
     return recommendations;
@@ -756,52 +2064,138 @@ class GDPRChecker {
     return new Promise(resolve => setTimeout(resolve, ms));
   }
 
+  // Shuts down the shared browser pool; only for process exit (server shutdown, end of a CLI run)
   async close() {
-    if (this.browser) {
+    await this.pool.close();
+  }
+}
+
+const checker = new GDPRChecker();
+
+const scanHistory = new ScanHistory({ maxScansPerSite: process.env.HISTORY_MAX_SCANS });
+
+const scanQueue = new ScanQueue({
+  concurrency: process.env.SCAN_CONCURRENCY,
+  maxQueued: process.env.SCAN_QUEUE_LIMIT,
+  run: async (params, onProgress) => {
+    // Per-job checker so progress reports of concurrent scans stay separate
+    const jobChecker = new GDPRChecker({ onProgress });
+    const scanOptions = { profile: params.profile, engine: params.engine };
+    const results = params.crawl
+      ? await jobChecker.checkSite(params.url, params.crawl, scanOptions)
+      : await jobChecker.checkUrl(params.url, scanOptions);
+
+    // Failed loads are not stored, they would show up as bogus regressions in diffs
+    if (!results.error) {
       try {
-        await this.browser.close();
-        this.log('Browser closed successfully');
+        results.scanId = await scanHistory.save(results);
       } catch (error) {
-        this.log('Error closing browser:', error.message);
+        console.error('[HISTORY] Failed to store scan:', error.message);
       }
-      this.browser = null;
     }
+
+    return results;
   }
+});
+
+// Runs a scan through the queue and waits for its result
+async function runQueuedScan(params) {
+  const job = scanQueue.enqueue(params);
+  await job.done;
+  if (!job.result) throw new Error(job.error);
+  return job.result;
 }
 
-const checker = new GDPRChecker();
+// Batches feed the same queue, a few URLs at a time, so one upload cannot fill it
+const batchManager = new BatchManager({
+  enqueue: params => scanQueue.enqueue(params),
+  getJob: id => scanQueue.get(id),
+  concurrency: process.env.BATCH_CONCURRENCY,
+  maxUrls: process.env.BATCH_MAX_URLS
+});
+
+const monitorScheduler = new MonitorScheduler({
+  runScan: runQueuedScan,
+  getScan: id => scanHistory.get(id),
+  webhookSecret: process.env.WEBHOOK_SECRET || null
+});
+
+// Error payload in the request's language; the code is the stable identifier
+function apiError(lang, code, params = {}) {
+  return {
+    success: false,
+    error: translate(lang, `error.${code}`, params),
+    code
+  };
+}
+
+// Returns an error payload for an invalid scan request, or null
+function validateScanRequest(url, lang) {
+  if (!url) {
+    console.log('[API] Missing URL');
+    return apiError(lang, 'MISSING_URL');
+  }
+
+  try {
+    const urlObj = new URL(url);
+    if (!['http:', 'https:'].includes(urlObj.protocol)) {
+      throw new Error('Invalid protocol');
+    }
+  } catch {
+    console.log('[API] Invalid URL format');
+    return apiError(lang, 'INVALID_URL');
+  }
+
+  return null;
+}
+
+// Profiles are optional; an unknown id is rejected before the scan is queued
+function validateProfile(profile, lang) {
+  if (profile === undefined || profile === null || profile === '') return null;
+  if (typeof profile === 'string' && scoringProfiles.has(profile)) return null;
+
+  console.log('[API] Unknown scoring profile:', profile);
+  return {
+    ...apiError(lang, 'UNKNOWN_PROFILE', { profile }),
+    profiles: scoringProfiles.list().map(p => p.id)
+  };
+}
+
+// "browser" (default) renders the page in Chromium, "static" only fetches the HTML
+function validateEngine(engine, lang) {
+  if (engine === undefined || engine === null || engine === '' || SCAN_ENGINES.includes(engine)) return null;
+
+  console.log('[API] Unknown scan engine:', engine);
+  return apiError(lang, 'UNKNOWN_ENGINE', { engine, engines: SCAN_ENGINES.join(', ') });
+}
+
+function queueFullResponse(req, res) {
+  return res.status(503).json(apiError(req.lang, 'QUEUE_FULL'));
+}
 
 // API endpoints
 app.post('/api/check', async (req, res) => {
   try {
-    const { url } = req.body;
+    const { url, crawl, profile, engine } = req.body;
     
     console.log('[API] Received check request for:', url);
     
-    if (!url) {
-      console.log('[API] Missing URL');
-      return res.status(400).json({ 
-        error: 'URL je povinná',
-        code: 'MISSING_URL'
-      });
+    const validationError = validateScanRequest(url, req.lang) || validateProfile(profile, req.lang) || validateEngine(engine, req.lang);
+    if (validationError) {
+      return res.status(400).json(validationError);
     }
 
-    // URL validation
-    try {
-      const urlObj = new URL(url);
-      if (!['http:', 'https:'].includes(urlObj.protocol)) {
-        throw new Error('Invalid protocol');
-      }
-    } catch {
-      console.log('[API] Invalid URL format');
-      return res.status(400).json({ 
-        error: 'Neplatná URL. Použite formát: https://example.com',
-        code: 'INVALID_URL'
-      });
+    if (crawl) {
+      // A crawl takes roughly a minute per page, well past the default request timeout
+      const { maxPages } = normalizeCrawlOptions(crawl);
+      req.setTimeout(maxPages * 90000 + 120000);
+      console.log(`[API] Starting site crawl for URL: ${url}`);
+    } else {
+      console.log(`[API] Starting check for URL: ${url}`);
     }
 
-    console.log(`[API] Starting check for URL: ${url}`);
-    const results = await checker.checkUrl(url);
+    // Goes through the scan queue so synchronous checks respect the concurrency limit too
+    const results = await runQueuedScan({ url, crawl: crawl || false, profile: profile || null, engine: engine || 'browser' });
     
     console.log('[API] Check completed, sending response');
     console.log('[API] Results summary:', {
@@ -813,10 +2207,12 @@ app.post('/api/check', async (req, res) => {
     
     res.json({
       success: true,
-      data: results
+      data: localizeResult(results, req.lang)
     });
 
   } catch (error) {
+    if (error.code === 'QUEUE_FULL') return queueFullResponse(req, res);
+
     console.error('[API] Unhandled error:', error.stack || error);
     
     const errorResponse = {
@@ -826,23 +2222,369 @@ app.post('/api/check', async (req, res) => {
     };
 
     if (error.message.includes('timeout') || error.message.includes('Timeout')) {
-      errorResponse.code = 'TIMEOUT';
-      errorResponse.error = 'Časový limit pre načítanie stránky bol prekročený';
+      Object.assign(errorResponse, apiError(req.lang, 'TIMEOUT'));
     } else if (error.message.includes('Failed to load page')) {
-      errorResponse.code = 'LOAD_FAILED';
-      errorResponse.error = 'Stránka sa nepodarila načítať. Skontrolujte URL a dostupnosť stránky.';
+      Object.assign(errorResponse, apiError(req.lang, 'LOAD_FAILED'));
     }
 
     res.status(500).json(errorResponse);
   }
 });
 
+app.post('/api/scans', (req, res) => {
+  const { url, crawl, profile, engine } = req.body;
+  console.log('[API] Received scan request for:', url);
+
+  const validationError = validateScanRequest(url, req.lang) || validateProfile(profile, req.lang) || validateEngine(engine, req.lang);
+  if (validationError) {
+    return res.status(400).json(validationError);
+  }
+
+  try {
+    const job = scanQueue.enqueue({ url, crawl: crawl || false, profile: profile || null, engine: engine || 'browser', lang: req.lang });
+    console.log(`[API] Scan ${job.id} queued for URL: ${url}`);
+
+    res.status(202).json({
+      success: true,
+      data: localizeJob(scanQueue.toJSON(job), req.lang)
+    });
+  } catch (error) {
+    if (error.code === 'QUEUE_FULL') return queueFullResponse(req, res);
+    throw error;
+  }
+});
+
+// The result of a queued scan follows ?lang=, else the language it was requested in
+function localizeJob(view, lang) {
+  return view.result ? { ...view, result: localizeResult(view.result, lang) } : view;
+}
+
+app.get('/api/scans/:id', (req, res) => {
+  const job = scanQueue.get(req.params.id);
+  if (!job) {
+    return res.status(404).json(apiError(req.lang, 'SCAN_NOT_FOUND'));
+  }
+
+  res.json({
+    success: true,
+    data: localizeJob(scanQueue.toJSON(job), req.query.lang ? req.lang : job.params.lang || req.lang)
+  });
+});
+
+// CSV uploads carry the options in the query string: ?crawl=true&maxPages=5&profile=strict-cnil&engine=static
+function batchCrawlOption(options) {
+  if (options.crawl && typeof options.crawl === 'object') return options.crawl;
+  if (options.crawl === true || options.crawl === 'true' || options.crawl === '1') {
+    return options.maxPages ? { maxPages: parseInt(options.maxPages, 10) } : true;
+  }
+  return false;
+}
+
+function batchNotFound(req, res) {
+  return res.status(404).json(apiError(req.lang, 'BATCH_NOT_FOUND'));
+}
+
+// Body is either JSON { urls: [...] | csv: "...", crawl, profile, engine, concurrency } or a text/csv upload
+app.post('/api/batches', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), (req, res) => {
+  const csvUpload = typeof req.body === 'string';
+  const options = csvUpload ? req.query : req.body || {};
+  const { urls, invalid } = parseUrlList(csvUpload ? req.body : options.csv ?? options.urls);
+  console.log(`[API] Received batch request: ${urls.length} URLs, ${invalid.length} invalid`);
+
+  if (urls.length === 0) {
+    return res.status(400).json({ ...apiError(req.lang, 'MISSING_URLS'), invalid });
+  }
+  if (urls.length > batchManager.maxUrls) {
+    return res.status(400).json(apiError(req.lang, 'TOO_MANY_URLS', { max: batchManager.maxUrls }));
+  }
+  const optionsError = validateProfile(options.profile, req.lang) || validateEngine(options.engine, req.lang);
+  if (optionsError) {
+    return res.status(400).json(optionsError);
+  }
+
+  const batch = batchManager.create({
+    urls,
+    invalid,
+    crawl: batchCrawlOption(options),
+    profile: options.profile || null,
+    engine: options.engine || 'browser',
+    lang: req.lang,
+    concurrency: options.concurrency
+  });
+  console.log(`[API] Batch ${batch.id} started with ${urls.length} URLs`);
+
+  res.status(202).json({
+    success: true,
+    data: localize(batchManager.toJSON(batch), req.lang)
+  });
+});
+
+app.get('/api/batches/:id', (req, res) => {
+  const batch = batchManager.get(req.params.id);
+  if (!batch) return batchNotFound(req, res);
+
+  res.json({
+    success: true,
+    data: localize(batchManager.toJSON(batch), req.query.lang ? req.lang : batch.params.lang || req.lang)
+  });
+});
+
+// Summary table as CSV; ?delimiter=, or ; (default follows the language, as Excel does)
+app.get('/api/batches/:id/export', (req, res) => {
+  const batch = batchManager.get(req.params.id);
+  if (!batch) return batchNotFound(req, res);
+
+  const lang = req.query.lang ? req.lang : batch.params.lang || req.lang;
+  const delimiter = { ',': ',', ';': ';', tab: '\t' }[req.query.delimiter];
+  const filename = `gdpr-batch-${batch.createdAt.slice(0, 10)}-${batch.id.slice(0, 8)}.csv`;
+
+  res.set({
+    'Content-Type': 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.send(batchToCsv(batch, lang, delimiter));
+});
+
+// Stops scheduling the remaining URLs; scans already running finish and stay in the table
+app.delete('/api/batches/:id', (req, res) => {
+  const batch = batchManager.get(req.params.id);
+  if (!batch) return batchNotFound(req, res);
+
+  batchManager.cancel(batch);
+  res.json({
+    success: true,
+    data: localize(batchManager.toJSON(batch), req.lang)
+  });
+});
+
+app.get('/api/history', async (req, res, next) => {
+  const { url } = req.query;
+
+  const validationError = validateScanRequest(url, req.lang);
+  if (validationError) {
+    return res.status(400).json(validationError);
+  }
+
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 500);
+    res.json({
+      success: true,
+      data: {
+        site: siteKey(url),
+        scans: await scanHistory.list(url, limit)
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Compares two stored scans (?from=&to=), or the two latest scans of a site (?url=)
+app.get('/api/history/diff', async (req, res, next) => {
+  try {
+    let { from, to } = req.query;
+
+    if (req.query.url && (!from || !to)) {
+      const validationError = validateScanRequest(req.query.url, req.lang);
+      if (validationError) {
+        return res.status(400).json(validationError);
+      }
+
+      const [latest, previous] = await scanHistory.list(req.query.url, 2);
+      if (!previous) {
+        return res.status(404).json(apiError(req.lang, 'NOT_ENOUGH_SCANS'));
+      }
+      from = previous.id;
+      to = latest.id;
+    }
+
+    if (!from || !to) {
+      return res.status(400).json(apiError(req.lang, 'MISSING_SCAN_IDS'));
+    }
+
+    const [before, after] = await Promise.all([scanHistory.get(from), scanHistory.get(to)]);
+    if (!before || !after) {
+      return res.status(404).json(apiError(req.lang, 'SCAN_NOT_FOUND'));
+    }
+
+    res.json({
+      success: true,
+      data: localizeResult(diffScans(before, after), req.lang)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Renders a scan result as a branded HTML page or PDF download
+async function sendReport(res, result, format, lang, brandingOverrides = null) {
+  const branding = normalizeBranding(brandingOverrides || {}, loadBranding());
+  const html = renderReportHtml(localizeResult(result, lang), branding, lang);
+
+  if (format !== 'pdf') {
+    return res.type('html').send(html);
+  }
+
+  const lease = await browserPool.acquire();
+  let pdf;
+  try {
+    pdf = await renderReportPdf(lease.context, html);
+  } finally {
+    await lease.release();
+  }
+  const filename = `gdpr-report-${siteKey(result.url)}-${(result.timestamp || '').slice(0, 10)}.pdf`;
+
+  res.set({
+    'Content-Type': 'application/pdf',
+    'Content-Disposition': `attachment; filename="${filename}"`
+  });
+  res.send(Buffer.from(pdf));
+}
+
+app.post('/api/report', async (req, res, next) => {
+  const { result, branding } = req.body;
+  const validationError = validateScanRequest(result && result.url, req.lang);
+  if (validationError) {
+    return res.status(400).json(apiError(req.lang, 'INVALID_RESULT'));
+  }
+
+  try {
+    await sendReport(res, result, req.query.format, req.lang, branding);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/history/:id/report', async (req, res, next) => {
+  try {
+    const scan = await scanHistory.get(req.params.id);
+    if (!scan) {
+      return res.status(404).json(apiError(req.lang, 'SCAN_NOT_FOUND'));
+    }
+
+    await sendReport(res, scan, req.query.format, req.lang);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.get('/api/history/:id', async (req, res, next) => {
+  try {
+    const scan = await scanHistory.get(req.params.id);
+    if (!scan) {
+      return res.status(404).json(apiError(req.lang, 'SCAN_NOT_FOUND'));
+    }
+
+    res.json({
+      success: true,
+      data: localizeResult(scan, req.lang)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+function monitorNotFound(req, res) {
+  return res.status(404).json(apiError(req.lang, 'MONITOR_NOT_FOUND'));
+}
+
+app.get('/api/monitors', (req, res) => {
+  res.json({
+    success: true,
+    data: monitorScheduler.list().map(m => monitorScheduler.toJSON(m))
+  });
+});
+
+app.post('/api/monitors', async (req, res, next) => {
+  const profileError = validateProfile(req.body?.profile, req.lang);
+  if (profileError) {
+    return res.status(400).json(profileError);
+  }
+
+  let monitor;
+  try {
+    monitor = await monitorScheduler.add(req.body);
+  } catch (error) {
+    if (error.code) return next(error);
+    return res.status(400).json({
+      success: false,
+      error: error.message,
+      code: 'INVALID_MONITOR'
+    });
+  }
+
+  console.log(`[API] Monitor ${monitor.id} registered for ${monitor.url} (${monitor.schedule})`);
+  res.status(201).json({
+    success: true,
+    data: monitorScheduler.toJSON(monitor)
+  });
+});
+
+app.get('/api/monitors/:id', (req, res) => {
+  const monitor = monitorScheduler.get(req.params.id);
+  if (!monitor) return monitorNotFound(req, res);
+
+  res.json({
+    success: true,
+    data: monitorScheduler.toJSON(monitor)
+  });
+});
+
+app.delete('/api/monitors/:id', async (req, res, next) => {
+  try {
+    if (!(await monitorScheduler.remove(req.params.id))) return monitorNotFound(req, res);
+    res.json({ success: true });
+  } catch (error) {
+    if (error.code !== 'READ_ONLY') return next(error);
+    res.status(409).json(apiError(req.lang, 'READ_ONLY'));
+  }
+});
+
+// Runs a monitor immediately, outside its schedule
+app.post('/api/monitors/:id/run', (req, res) => {
+  const monitor = monitorScheduler.get(req.params.id);
+  if (!monitor) return monitorNotFound(req, res);
+
+  monitorScheduler.runMonitor(monitor).catch(error => {
+    console.error(`[MONITOR] Manual run of ${monitor.id} failed:`, error.message);
+  });
+
+  res.status(202).json({
+    success: true,
+    data: monitorScheduler.toJSON(monitor)
+  });
+});
+
+app.get('/api/scoring-profiles', (req, res) => {
+  res.json({
+    success: true,
+    data: scoringProfiles.list()
+  });
+});
+
+// UI texts of the web interface; an unsupported language (e.g. "auto") falls back to Accept-Language
+app.get('/api/locales/:lang', (req, res) => {
+  const language = resolveLanguage(req.params.lang, req.get('accept-language'));
+  res.json({
+    success: true,
+    data: {
+      language,
+      languages: SUPPORTED_LANGUAGES,
+      // Batch column and status names are shared by the UI table and the CSV export
+      messages: { ...catalogue(language, 'ui.'), ...catalogue(language, 'batch.') }
+    }
+  });
+});
+
 app.get('/api/health', (req, res) => {
   res.json({ 
     status: 'OK', 
     timestamp: new Date().toISOString(),
     uptime: process.uptime(),
-    memory: process.memoryUsage()
+    memory: process.memoryUsage(),
+    scans: scanQueue.stats(),
+    batches: batchManager.stats(),
+    browsers: browserPool.stats()
   });
 });
 
@@ -854,26 +2596,20 @@ app.get('/', (req, res) => {
 // Error handling middleware
 app.use((err, req, res, next) => {
   console.error('Unhandled middleware error:', err);
-  res.status(500).json({
-    success: false,
-    error: 'Interná chyba servera',
-    code: 'INTERNAL_ERROR'
-  });
+  res.status(500).json(apiError(req.lang || resolveLanguage(null, req.get('accept-language')), 'INTERNAL_ERROR'));
 });
 
 // 404 handler
 app.use((req, res) => {
-  res.status(404).json({
-    success: false,
-    error: 'Endpoint not found',
-    code: 'NOT_FOUND'
-  });
+  res.status(404).json(apiError(req.lang, 'NOT_FOUND'));
 });
 
 // Graceful shutdown
 const gracefulShutdown = async (signal) => {
   console.log(`Received ${signal}. Shutting down gracefully...`);
   
+  monitorScheduler.stop();
+
   try {
     await checker.close();
     console.log('Browser closed successfully');
@@ -884,20 +2620,36 @@ const gracefulShutdown = async (signal) => {
   process.exit(0);
 };
 
-process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
-process.on('SIGINT', () => gracefulShutdown('SIGINT'));
+// Only a direct `node server.js` starts the server; the CLI requires this module for GDPRChecker.
+// The queue, history and monitor objects above are plain in-memory objects until then: history
+// creates its storage on the first save and monitors are read from disk only here.
+if (require.main === module) {
+  monitorScheduler.load();
 
-process.on('uncaughtException', (error) => {
-  console.error('Uncaught Exception:', error);
-  gracefulShutdown('uncaughtException');
-});
+  process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
+  process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
-process.on('unhandledRejection', (reason, promise) => {
-  console.error('Unhandled Rejection at:', promise, 'reason:', reason);
-});
+  process.on('uncaughtException', (error) => {
+    console.error('Uncaught Exception:', error);
+    gracefulShutdown('uncaughtException');
+  });
 
-app.listen(PORT, () => {
-  console.log(`Enhanced GDPR Checker beží na porte ${PORT}`);
-  console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
-  console.log('Debug mode enabled - check console for detailed logs');
-});
\ No newline at end of file
+  process.on('unhandledRejection', (reason, promise) => {
+    console.error('Unhandled Rejection at:', promise, 'reason:', reason);
+  });
+
+  app.listen(PORT, () => {
+    console.log(`Enhanced GDPR Checker beží na porte ${PORT}`);
+    console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
+    console.log('Debug mode enabled - check console for detailed logs');
+
+    if (process.env.MONITORING_ENABLED !== 'false') {
+      monitorScheduler.start();
+    }
+  });
+}
+
+module.exports = {
+  GDPRChecker,
+  app
+};